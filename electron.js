@@ -1,12 +1,145 @@
 var electron = require('electron');
 var app = electron.app;
 var BrowserWindow = electron.BrowserWindow;
+var dialog = electron.dialog;
+var ipcMain = electron.ipcMain;
 var path = require('path');
+var fs = require('fs');
 
 // isPackaged is true if the app is packaged.
 // When running from source (e.g., with `electron .`), it's false.
 var isDev = !app.isPackaged;
 
+var MAX_RECENT_FILES = 10;
+var XML_FILTERS = [
+  { name: 'XML Files', extensions: ['xml'] },
+  { name: 'All Files', extensions: ['*'] },
+];
+
+// The renderer only gets to read and write files the user picked in a dialog (or
+// picked before, as a recent file); it never names arbitrary paths itself.
+var allowedPaths = new Set();
+// Windows whose document has unsaved changes, by webContents id.
+var dirtyWindows = new Set();
+
+function recentFilesPath() {
+  return path.join(app.getPath('userData'), 'recent-files.json');
+}
+
+function readRecentFiles() {
+  try {
+    var files = JSON.parse(fs.readFileSync(recentFilesPath(), 'utf8'));
+    return Array.isArray(files) ? files.filter(function (file) { return typeof file === 'string'; }) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeRecentFiles(files) {
+  try {
+    fs.writeFileSync(recentFilesPath(), JSON.stringify(files));
+  } catch (e) {
+    console.error('Could not save the recent files list:', e);
+  }
+}
+
+function addRecentFile(filePath) {
+  var files = readRecentFiles().filter(function (file) { return file !== filePath; });
+  files.unshift(filePath);
+  writeRecentFiles(files.slice(0, MAX_RECENT_FILES));
+}
+
+function removeRecentFile(filePath) {
+  writeRecentFiles(readRecentFiles().filter(function (file) { return file !== filePath; }));
+}
+
+function describeFile(filePath) {
+  return { path: filePath, name: path.basename(filePath) };
+}
+
+async function readFile(filePath) {
+  var data = await fs.promises.readFile(filePath);
+  allowedPaths.add(filePath);
+  addRecentFile(filePath);
+  return Object.assign(describeFile(filePath), { data: new Uint8Array(data) });
+}
+
+// Writes next to the target first, so a failed save leaves the original file intact.
+async function writeFile(filePath, data) {
+  var tempPath = filePath + '.saving';
+  await fs.promises.writeFile(tempPath, Buffer.from(data));
+  await fs.promises.rename(tempPath, filePath);
+  allowedPaths.add(filePath);
+  addRecentFile(filePath);
+  return describeFile(filePath);
+}
+
+ipcMain.handle('file:open', async function (event) {
+  var result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    properties: ['openFile'],
+    filters: XML_FILTERS,
+  });
+  if (result.canceled || result.filePaths.length === 0) return null;
+  return readFile(result.filePaths[0]);
+});
+
+ipcMain.handle('file:open-recent', async function (event, filePath) {
+  if (!readRecentFiles().includes(filePath)) {
+    throw new Error('This file is not in the recent files list.');
+  }
+  try {
+    return await readFile(filePath);
+  } catch (e) {
+    // A file that was moved or deleted drops off the list.
+    removeRecentFile(filePath);
+    throw e;
+  }
+});
+
+ipcMain.handle('file:save', function (event, filePath, data) {
+  if (!allowedPaths.has(filePath)) {
+    throw new Error('This file was not opened or saved through a file dialog.');
+  }
+  return writeFile(filePath, data);
+});
+
+ipcMain.handle('file:save-as', async function (event, defaultName, data) {
+  var result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+    defaultPath: defaultName,
+    filters: XML_FILTERS,
+  });
+  if (result.canceled || !result.filePath) return null;
+  return writeFile(result.filePath, data);
+});
+
+// Exports (e.g. a table as a spreadsheet) are not documents the editor can open, so
+// they are neither remembered as recent files nor allowed to be overwritten later.
+ipcMain.handle('file:export', async function (event, defaultName, data) {
+  var extension = path.extname(defaultName).slice(1);
+  var result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+    defaultPath: defaultName,
+    filters: [
+      { name: extension.toUpperCase() + ' Files', extensions: [extension] },
+      { name: 'All Files', extensions: ['*'] },
+    ],
+  });
+  if (result.canceled || !result.filePath) return null;
+  await fs.promises.writeFile(result.filePath, Buffer.from(data));
+  return describeFile(result.filePath);
+});
+
+ipcMain.handle('recent-files:get', function () {
+  return readRecentFiles().map(describeFile);
+});
+
+ipcMain.on('document:dirty', function (event, dirty) {
+  var id = event.sender.id;
+  if (dirty) dirtyWindows.add(id);
+  else dirtyWindows.delete(id);
+  var win = BrowserWindow.fromWebContents(event.sender);
+  if (win) win.setDocumentEdited(!!dirty);
+});
+
 function createWindow() {
   var mainWindow = new BrowserWindow({
     width: 1200,
@@ -19,6 +152,25 @@ function createWindow() {
     },
     autoHideMenuBar: true,
   });
+  var webContentsId = mainWindow.webContents.id;
+
+  // Closing the window would discard unsaved edits, so ask first.
+  mainWindow.on('close', function (e) {
+    if (!dirtyWindows.has(webContentsId)) return;
+    var choice = dialog.showMessageBoxSync(mainWindow, {
+      type: 'warning',
+      buttons: ['Close Without Saving', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1,
+      message: 'You have unsaved changes.',
+      detail: 'Closing the window discards the changes made since the file was last saved.',
+    });
+    if (choice === 1) {
+      e.preventDefault();
+    } else {
+      dirtyWindows.delete(webContentsId);
+    }
+  });
 
   if (isDev) {
     // In development, load from the Vite dev server.
@@ -46,4 +198,4 @@ app.whenReady().then(function() {
 app.on('window-all-closed', function () {
   // Quit when all windows are closed, except on macOS.
   if (process.platform !== 'darwin') app.quit();
-});
\ No newline at end of file
+});
@@ -1,3 +1,39 @@
 // This file runs in a privileged context and can be used to
 // securely expose Node.js APIs to your web content.
-// For now, it can be left empty.
+// Only these narrow file operations are exposed, never ipcRenderer or fs themselves;
+// which paths may be read or written is decided in the main process (electron.js).
+var electron = require('electron');
+var contextBridge = electron.contextBridge;
+var ipcRenderer = electron.ipcRenderer;
+
+contextBridge.exposeInMainWorld('desktop', {
+  // Shows the native open dialog. Resolves with { path, name, data } or null if cancelled.
+  openFile: function () {
+    return ipcRenderer.invoke('file:open');
+  },
+  // Reads a file from the recent files list, like openFile.
+  openRecentFile: function (filePath) {
+    return ipcRenderer.invoke('file:open-recent', filePath);
+  },
+  // Overwrites a file that was opened or saved before. Resolves with { path, name }.
+  saveFile: function (filePath, data) {
+    return ipcRenderer.invoke('file:save', filePath, data);
+  },
+  // Shows the native save dialog. Resolves with { path, name } or null if cancelled.
+  saveFileAs: function (defaultName, data) {
+    return ipcRenderer.invoke('file:save-as', defaultName, data);
+  },
+  // Shows the native save dialog for an exported file, e.g. a spreadsheet. Resolves
+  // with { path, name } or null if cancelled.
+  exportFile: function (defaultName, data) {
+    return ipcRenderer.invoke('file:export', defaultName, data);
+  },
+  // Resolves with the recently opened or saved files, newest first, as [{ path, name }].
+  getRecentFiles: function () {
+    return ipcRenderer.invoke('recent-files:get');
+  },
+  // Tells the main process whether closing the window would lose unsaved changes.
+  setDocumentDirty: function (dirty) {
+    ipcRenderer.send('document:dirty', !!dirty);
+  },
+});
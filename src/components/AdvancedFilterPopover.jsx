@@ -1,6 +1,7 @@
 import React, { useState, useMemo, useEffect, useRef } from 'react';
 import useStore from '../lib/store';
-import { getHeadersFromAllItems } from './ColumnSelectorModal';
+import { getHeadersFromAllItems } from '../lib/tableUtils';
+import { getFilterQueryError, FILTER_SYNTAX_HELP } from '../lib/filterParser';
 
 /**
  * Case-insensitive version of lodash.get, required because data keys from XML are
@@ -35,6 +36,7 @@ export default function AdvancedFilterPopover({ headerKey, path, onClose, rows,
     const [selectedKey, setSelectedKey] = useState(null);
     const [filterInput, setFilterInput] = useState(currentFilter.query || '');
     const inputRef = useRef(null);
+    const queryError = getFilterQueryError(filterInput);
     
     // On mount, check for an existing filter and set the initial state
     useEffect(() => {
@@ -111,7 +113,7 @@ export default function AdvancedFilterPopover({ headerKey, path, onClose, rows,
     };
 
     const handleApply = () => {
-        if (!selectedKey) return;
+        if (!selectedKey || queryError) return;
         const fullKeyPath = [...drilldownPath, selectedKey];
         setTableFilter(path, headerKey, {
             type: filterType,
@@ -183,12 +185,14 @@ export default function AdvancedFilterPopover({ headerKey, path, onClose, rows,
                                 ref={inputRef}
                                 type="text"
                                 placeholder={`Filter by ${getHeaderDisplayName(selectedKey)}...`}
+                                title={FILTER_SYNTAX_HELP}
                                 value={filterInput}
                                 onChange={e => setFilterInput(e.target.value)}
                                 onKeyDown={handleKeyDown}
                             />
-                            <button onClick={handleApply} title="Apply"><span className="icon">check</span></button>
+                            <button onClick={handleApply} title="Apply" disabled={!!queryError}><span className="icon">check</span></button>
                             <button onClick={handleClear} title="Clear"><span className="icon">clear</span></button>
+                            {queryError && <p className="filter-error">{queryError}</p>}
                         </div>
                     </div>
                 )}
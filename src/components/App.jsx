@@ -1,14 +1,38 @@
-import React from 'react';
-import useStore from '../lib/store';
+import React, { useEffect } from 'react';
+import useStore, { getOpenDocuments } from '../lib/store';
 import FileUploader from './FileUploader';
 import Editor from './Editor';
+import desktop from '../lib/desktop';
 
 export default function App() {
   const xmlDoc = useStore.use.xmlDoc();
+  const activeDocumentId = useStore.use.activeDocumentId();
+  const fileOpenerVisible = useStore.use.fileOpenerVisible();
+  const fileName = useStore.use.fileName();
+  const isDirty = useStore(state => state.historyIndex !== state.savedHistoryIndex);
+  const hasUnsavedDocuments = useStore(state => getOpenDocuments(state).some(openDocument => openDocument.isDirty));
+
+  // The window title follows the active document. Closing the desktop app's window, or
+  // leaving the page in a browser, asks first while any open document has unsaved changes.
+  useEffect(() => {
+    document.title = xmlDoc ? `${isDirty ? '• ' : ''}${fileName} - Tally Code Editor` : 'Tally Code Editor';
+  }, [xmlDoc, isDirty, fileName]);
+
+  useEffect(() => {
+    desktop?.setDocumentDirty(hasUnsavedDocuments);
+    if (desktop || !hasUnsavedDocuments) return undefined;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasUnsavedDocuments]);
 
   return (
     <div className="app">
-      {xmlDoc ? <Editor /> : <FileUploader />}
+      {/* Keyed by document, so per-file view state such as the tree's expansion starts afresh. */}
+      {xmlDoc && !fileOpenerVisible ? <Editor key={activeDocumentId} /> : <FileUploader />}
     </div>
   );
 }
@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useStore from '../lib/store';
+import { BULK_EDIT_MODES, planBulkEdit } from '../lib/bulkEdit';
+import { getExpressionError, EXPRESSION_SYNTAX_HELP } from '../lib/expression';
+
+/**
+ * Changes one column of every row the table's filters let through: sets a value,
+ * replaces text in it or computes it with a formula. The change is one undoable edit.
+ */
+export default function BulkEditPopover({ headerKey, columnName, path, rows, data, type, onClose }) {
+    const { replaceValues } = useStore.getState();
+    const [mode, setMode] = useState('set');
+    const [value, setValue] = useState('');
+    const [find, setFind] = useState('');
+    const [replacement, setReplacement] = useState('');
+    const [isRegex, setIsRegex] = useState(false);
+    const [formula, setFormula] = useState('');
+    const [error, setError] = useState(null);
+    const [report, setReport] = useState(null);
+    const inputRef = useRef(null);
+    const formulaError = mode === 'formula' && formula.trim() ? getExpressionError(formula) : null;
+
+    useEffect(() => {
+        inputRef.current?.focus();
+    }, [mode]);
+
+    const handleApply = () => {
+        if (formulaError) return;
+        const edit = { mode, value, find, replacement, isRegex, matchCase: false, formula };
+        try {
+            const { changes, unchanged, missing } = planBulkEdit(rows, data, path, headerKey, type, edit);
+            replaceValues(`Bulk edit ${columnName} (${changes.length} cells)`, path, changes);
+            const notes = [];
+            if (unchanged > 0) notes.push(`${unchanged} stayed the same`);
+            if (missing > 0) notes.push(`${missing} rows have no ${columnName} and were left alone`);
+            setReport(`Changed ${changes.length} ${changes.length === 1 ? 'cell' : 'cells'}${notes.length ? `; ${notes.join(', ')}` : ''}.`);
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+            setReport(null);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') handleApply();
+        if (e.key === 'Escape') onClose();
+    };
+
+    const inputProps = { type: 'text', onKeyDown: handleKeyDown };
+
+    return (
+        <div className="filter-popover bulk-edit-popover" onClick={e => e.stopPropagation()}>
+            <p className="bulk-edit-title">
+                Edit {columnName} in {rows.length} {rows.length === 1 ? 'row' : 'rows'}
+            </p>
+            <select
+                className="encoding-select"
+                value={mode}
+                onChange={e => { setMode(e.target.value); setError(null); setReport(null); }}
+            >
+                {Object.entries(BULK_EDIT_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            {mode === 'set' && (
+                <input {...inputProps} ref={inputRef} placeholder="New value" value={value} onChange={e => setValue(e.target.value)} />
+            )}
+            {mode === 'replace' && (
+                <>
+                    <input {...inputProps} ref={inputRef} placeholder="Find" value={find} onChange={e => setFind(e.target.value)} />
+                    <input
+                        {...inputProps}
+                        placeholder={isRegex ? 'Replace with ($1 for a group)' : 'Replace with'}
+                        value={replacement}
+                        onChange={e => setReplacement(e.target.value)}
+                    />
+                    <label className="bulk-edit-option">
+                        <input type="checkbox" checked={isRegex} onChange={e => setIsRegex(e.target.checked)} />
+                        Regular expression
+                    </label>
+                </>
+            )}
+            {mode === 'formula' && (
+                <input
+                    {...inputProps}
+                    ref={inputRef}
+                    placeholder="e.g. value * 1.18 or addyears(value, 1)"
+                    title={`value is the cell's current value\n${EXPRESSION_SYNTAX_HELP}`}
+                    value={formula}
+                    onChange={e => setFormula(e.target.value)}
+                />
+            )}
+            <button onClick={handleApply} title="Apply to the filtered rows" disabled={!!formulaError || rows.length === 0}>
+                <span className="icon">check</span>
+            </button>
+            <button onClick={onClose} title="Close"><span className="icon">clear</span></button>
+            {(formulaError || error) && <p className="filter-error">{formulaError || error}</p>}
+            {report && <p className="bulk-edit-report">{report}</p>}
+        </div>
+    );
+}
@@ -1,51 +1,11 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import useStore from '../lib/store';
 import get from 'lodash.get';
-
-// Helper to get all unique keys from an array of objects or a single object
-export const getHeadersFromAllItems = (data) => {
-  const dataArray = Array.isArray(data) 
-    ? data 
-    : (typeof data === 'object' && data !== null ? [data] : []);
-    
-  if (dataArray.length === 0) return [];
-  const headerSet = new Set();
-  
-  dataArray.forEach(item => {
-    if (typeof item === 'object' && item !== null) {
-      // Add child node keys
-      Object.keys(item).forEach(key => {
-        if (key !== '@attributes' && key !== '#text') {
-          headerSet.add(key);
-        }
-      });
-      // Add attribute keys, prefixed with '@'
-      if (item['@attributes']) {
-        Object.keys(item['@attributes']).forEach(attrKey => {
-          headerSet.add(`@${attrKey}`);
-        });
-      }
-      // If there's a text value, add '#text' as a possible column
-      if (typeof item['#text'] === 'string' && item['#text'].trim() !== '') {
-          headerSet.add('#text');
-      }
-    } else if (item !== null && item !== undefined) {
-      // For arrays of primitives like <FOO>a</FOO><FOO>b</FOO>
-      headerSet.add('value');
-    }
-  });
-
-  return Array.from(headerSet).sort((a, b) => {
-    const isAAttr = a.startsWith('@');
-    const isBAttr = b.startsWith('@');
-    if (isAAttr && !isBAttr) return -1;
-    if (!isAAttr && isBAttr) return 1;
-    if (a === '#text' || a === 'value') return -1;
-    if (b === '#text' || b === 'value') return 1;
-    return a.localeCompare(b);
-  });
-};
-
+import { getHeadersFromAllItems, RECORD_FILTER_KEY } from '../lib/tableUtils';
+import { getDefaultColumns, TALLY_RECORD_TYPES } from '../lib/tallySchema';
+import { hasLazyNodes } from '../lib/documentTransfer';
+import { isComputedColumn } from '../lib/tableModel';
+import { getExpressionError, EXPRESSION_SYNTAX_HELP } from '../lib/expression';
 
 export default function ColumnSelectorModal() {
   const { 
@@ -53,6 +13,7 @@ export default function ColumnSelectorModal() {
     xmlDoc,
     tableColumns,
     setTableColumns,
+    setTableFilter,
     setViewingNodePath,
     setNodeForColumnSelection 
   } = useStore.getState();
@@ -60,14 +21,20 @@ export default function ColumnSelectorModal() {
   const path = nodeForColumnSelection?.path;
   const parentPath = nodeForColumnSelection?.parentPath;
   const directData = nodeForColumnSelection?.data; // Data passed directly from a filtered view
+  // Set when opened from the Tally navigation; the rows at `path` hold their records under `record.parent`.
+  const record = nodeForColumnSelection?.record;
+  const recordParent = record?.parent?.length ? record.parent : null;
   const pathKey = path ? JSON.stringify(path) : null;
   const parentPathKey = parentPath ? JSON.stringify(parentPath) : null;
 
   const [filter, setFilter] = useState('');
+  const [computedName, setComputedName] = useState('');
+  const [computedFormula, setComputedFormula] = useState('');
 
   const data = useMemo(() => {
-    // Prioritize directly passed data from a filtered view
-    if (directData) return directData;
+    // Prioritize directly passed data from a filtered view, unless it was passed before
+    // the node was loaded.
+    if (directData && !hasLazyNodes(directData)) return directData;
     if (!path || !xmlDoc) return null;
     return get(xmlDoc.doc, path);
   }, [path, xmlDoc, directData]);
@@ -77,6 +44,18 @@ export default function ColumnSelectorModal() {
   const { sourceArray, arrayPath } = useMemo(() => {
     if (!data) return { sourceArray: [], arrayPath: [] };
 
+    // Columns of a Tally collection come from the records themselves, not the
+    // TALLYMESSAGE items wrapping them.
+    if (record) {
+      if (!recordParent || !Array.isArray(data)) return { sourceArray: data, arrayPath: [] };
+      const records = data.flatMap(row => {
+        const value = get(row, recordParent);
+        if (value === undefined) return [];
+        return Array.isArray(value) ? value : [value];
+      });
+      return { sourceArray: records, arrayPath: [] };
+    }
+
     // If we are expanding from within a table (parentPath exists), 
     // or if data was passed directly (implying a filtered context),
     // do not drill down. The user wants to see columns of the specific data provided.
@@ -113,7 +92,7 @@ export default function ColumnSelectorModal() {
       }
     }
     return { sourceArray: currentData, arrayPath: pathSegments };
-  }, [data, parentPath, directData]);
+  }, [data, parentPath, directData, record, recordParent]);
 
 
   const allHeaders = useMemo(() => getHeadersFromAllItems(sourceArray), [sourceArray]);
@@ -127,12 +106,18 @@ export default function ColumnSelectorModal() {
     
     // If we are editing an existing table's columns, load its current selection.
     if (existingSelection && !parentPath) {
-        setSelectedHeaders(new Set(existingSelection));
-    } else {
-        // For new tables or when merging, start with NO columns selected.
+        // Record columns are shown by their name within the record; other columns are kept as they are.
+        const isRecordColumn = (c) => recordParent && typeof c === 'object' && JSON.stringify(c.parent) === JSON.stringify(recordParent);
+        setSelectedHeaders(new Set(existingSelection.map(c => (isRecordColumn(c) ? c.child : c))));
+    } else if (parentPath) {
+        // When merging, start with NO columns selected.
         setSelectedHeaders(new Set());
+    } else {
+        // New tables of known Tally records and lists start with their usual columns.
+        const rowName = record ? record.type : actualArrayPath.filter(segment => typeof segment === 'string').pop();
+        setSelectedHeaders(new Set(getDefaultColumns(rowName, allHeaders)));
     }
-  }, [path, arrayPath, parentPath, tableColumns]);
+  }, [path, arrayPath, parentPath, tableColumns, record, recordParent, allHeaders]);
 
   const filteredHeaders = useMemo(() => {
     if (!filter.trim()) return allHeaders;
@@ -178,6 +163,26 @@ export default function ColumnSelectorModal() {
     });
   };
 
+  // Computed columns are kept in the selection as their definitions.
+  const computedColumns = Array.from(selectedHeaders).filter(isComputedColumn);
+  const computedError = (() => {
+    const name = computedName.trim();
+    if (!name && !computedFormula.trim()) return null;
+    if (!name) return 'Give the computed column a name.';
+    if (computedColumns.some(column => column.name === name)) return `There already is a computed column named ${name}.`;
+    return computedFormula.trim() ? getExpressionError(computedFormula) : null;
+  })();
+
+  const handleAddComputed = () => {
+    if (computedError || !computedFormula.trim()) return;
+    // In a table of Tally records, formulas read the fields of the record.
+    const column = { name: computedName.trim(), formula: computedFormula.trim() };
+    if (recordParent) column.base = recordParent;
+    handleCheckboxChange(column, true);
+    setComputedName('');
+    setComputedFormula('');
+  };
+
   const handleCancel = () => {
     setNodeForColumnSelection(null);
   };
@@ -247,6 +252,14 @@ export default function ColumnSelectorModal() {
     }
 
     const newPath = [...path, ...arrayPath];
+    if (recordParent) {
+      const columns = Array.from(selectedHeaders).map(h => (typeof h === 'string' ? { parent: recordParent, child: h } : h));
+      setTableColumns(newPath, columns);
+      setTableFilter(newPath, RECORD_FILTER_KEY, { type: 'record', key: recordParent, query: recordParent.join('.') });
+      setViewingNodePath(newPath);
+      setNodeForColumnSelection(null);
+      return;
+    }
     setTableColumns(newPath, Array.from(selectedHeaders));
     setViewingNodePath(newPath);
     setNodeForColumnSelection(null);
@@ -266,7 +279,7 @@ export default function ColumnSelectorModal() {
     <div className="modal-overlay" onClick={handleCancel}>
         <div className="modal-content" onClick={e => e.stopPropagation()}>
             <div className="modal-header">
-                <h2>Select Columns to Display</h2>
+                <h2>{record ? `Select Columns for ${TALLY_RECORD_TYPES[record.type].label}` : 'Select Columns to Display'}</h2>
                 <button className="action-button secondary" onClick={handleCancel} style={{padding: '4px'}}><span className="icon">close</span></button>
             </div>
              <div className="modal-actions">
@@ -300,6 +313,47 @@ export default function ColumnSelectorModal() {
                 </div>
                 {filteredHeaders.length === 0 && allHeaders.length > 0 && <p style={{color: 'var(--fg-muted)', fontStyle: 'italic'}}>No columns match your filter.</p>}
                 {allHeaders.length === 0 && <p style={{color: 'var(--fg-muted)'}}>No columns found in this data.</p>}
+                {isSourceDataArray && !parentPath && (
+                    <div className="computed-columns">
+                        <h3>Computed Columns</h3>
+                        {computedColumns.map(column => (
+                            <div key={column.name} className="computed-column-item">
+                                <span className="icon computed-icon">function</span>
+                                <span className="computed-column-name">{column.name}</span>
+                                <code title={column.formula}>= {column.formula}</code>
+                                <button className="row-action-btn" title={`Remove ${column.name}`} onClick={() => handleCheckboxChange(column, false)}>
+                                    <span className="icon">delete</span>
+                                </button>
+                            </div>
+                        ))}
+                        <div className="computed-column-form">
+                            <input
+                              type="text"
+                              placeholder="Name"
+                              value={computedName}
+                              onChange={e => setComputedName(e.target.value)}
+                              aria-label="Name of the computed column"
+                            />
+                            <input
+                              type="text"
+                              placeholder='Formula, e.g. abs(AMOUNT) or if(ISDEEMEDPOSITIVE = "Yes", "Dr", "Cr")'
+                              title={EXPRESSION_SYNTAX_HELP}
+                              value={computedFormula}
+                              onChange={e => setComputedFormula(e.target.value)}
+                              onKeyDown={e => e.key === 'Enter' && handleAddComputed()}
+                              aria-label="Formula of the computed column"
+                            />
+                            <button
+                              onClick={handleAddComputed}
+                              className="action-button secondary"
+                              disabled={!!computedError || !computedFormula.trim()}
+                            >
+                              Add
+                            </button>
+                        </div>
+                        {computedError && <p className="filter-error">{computedError}</p>}
+                    </div>
+                )}
             </div>
             <div className="modal-footer">
                 <button onClick={handleCancel} className="action-button secondary">Cancel</button>
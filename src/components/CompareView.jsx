@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import clsx from 'clsx';
+import useStore, { getOpenDocuments } from '../lib/store';
+import { diffDocuments, getComparableDocument, getOriginalDocument } from '../lib/documentDiff';
+import { TALLY_RECORD_TYPES } from '../lib/tallySchema';
+import useVirtualWindow from '../lib/useVirtualWindow';
+
+const STATUSES = {
+  added: { label: 'Added', icon: 'add_circle' },
+  removed: { label: 'Removed', icon: 'remove_circle' },
+  modified: { label: 'Modified', icon: 'edit' },
+};
+
+// Changes listed per row before the rest are summed up as "+N more".
+const MAX_LISTED_CHANGES = 8;
+// Estimated heights for windowed rendering.
+const ROW_HEIGHT = 45;
+const CHANGE_LINE_HEIGHT = 20;
+
+const ORIGINAL = 'original';
+
+const textOf = (value) => (typeof value === 'object' && value !== null ? value['#text'] : value);
+
+function formatValue(value) {
+  if (value === undefined) return '—';
+  if (typeof value === 'object' && value !== null) return '…';
+  return String(value) === '' ? '(empty)' : String(value);
+}
+
+function readColumn(record, column) {
+  if (!record) return undefined;
+  return column.startsWith('@') ? record['@attributes']?.[column.slice(1)] : textOf(record[column]);
+}
+
+function ChangedValue({ before, after }) {
+  return (
+    <span className="diff-change">
+      <del className="diff-before">{formatValue(before)}</del>
+      <span className="icon">arrow_right_alt</span>
+      <ins className="diff-after">{formatValue(after)}</ins>
+    </span>
+  );
+}
+
+/**
+ * Compares the active document with the file as it was opened, or with another open
+ * document, listing the records added, removed and modified since.
+ */
+export default function CompareView({ onClose }) {
+  const xmlDoc = useStore.use.xmlDoc();
+  const fileName = useStore.use.fileName();
+  // Other open documents can be compared against too.
+  useStore.use.documentIds();
+  useStore.use.parkedDocuments();
+  const { setViewingNodePath } = useStore.getState();
+  const otherDocuments = getOpenDocuments(useStore.getState()).filter(openDocument => !openDocument.isActive);
+
+  const [baselineId, setBaselineId] = useState(ORIGINAL);
+  // A document closed while it was being compared against falls back to the original.
+  const baselineDocument = otherDocuments.find(openDocument => openDocument.id === baselineId);
+  const baseline = baselineDocument ? baselineDocument.xmlDoc : ORIGINAL;
+  const [typeFilter, setTypeFilter] = useState(null);
+  const [statusFilter, setStatusFilter] = useState(null);
+  const [result, setResult] = useState(null);
+  const tbodyRef = useRef(null);
+
+  // Parsing the files to compare can take a moment, so it waits for "Comparing…" to show.
+  useEffect(() => {
+    setResult(null);
+    let isCurrent = true;
+    const timer = setTimeout(async () => {
+      try {
+        const before = baseline === ORIGINAL ? await getOriginalDocument(xmlDoc) : await getComparableDocument(baseline);
+        const diff = diffDocuments(before, await getComparableDocument(xmlDoc));
+        if (isCurrent) setResult({ diff });
+      } catch (error) {
+        console.error('Failed to compare documents:', error);
+        if (isCurrent) setResult({ error: error.message });
+      }
+    }, 0);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [xmlDoc, baseline]);
+
+  const counts = result?.diff?.counts || {};
+  const types = Object.keys(counts);
+  const changedCount = (type) => counts[type].added + counts[type].removed + counts[type].modified;
+  // Starts on the first type with differences.
+  const type = typeFilter && counts[typeFilter] ? typeFilter : types.find(t => changedCount(t) > 0) || types[0];
+
+  const entries = useMemo(
+    () => (result?.diff?.entries || []).filter(entry => entry.type === type && (!statusFilter || entry.status === statusFilter)),
+    [result, type, statusFilter],
+  );
+  // The record's own values shown as columns, as in its table; the rest are listed as changes.
+  const columns = useMemo(
+    () => (type ? TALLY_RECORD_TYPES[type].columns.filter(column => !column.endsWith('.LIST')) : []),
+    [type],
+  );
+  const listedChanges = (entry) => entry.changes.filter(change => !columns.includes(change.field));
+  const sizes = useMemo(
+    () => entries.map(entry => (
+      ROW_HEIGHT + Math.min(entry.changes.filter(change => !columns.includes(change.field)).length, MAX_LISTED_CHANGES + 1) * CHANGE_LINE_HEIGHT
+    )),
+    [entries, columns],
+  );
+  const { start, end, before, after } = useVirtualWindow(tbodyRef, sizes);
+
+  const baselineName = baselineDocument ? baselineDocument.fileName : `${fileName} as opened`;
+
+  const renderContent = () => {
+    if (!result) {
+      return (
+        <div className="placeholder">
+          <span className="icon">hourglass_top</span>
+          <p>Comparing…</p>
+        </div>
+      );
+    }
+    if (result.error) {
+      return (
+        <div className="placeholder">
+          <span className="icon">error</span>
+          <p>Could not compare the files: {result.error}</p>
+        </div>
+      );
+    }
+    if (types.length === 0) {
+      return (
+        <div className="placeholder">
+          <span className="icon">difference</span>
+          <p>Neither file contains Tally vouchers or masters to compare.</p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="compare-filters">
+          {types.map(t => (
+            <button
+              key={t}
+              className={clsx('compare-filter', { active: t === type })}
+              onClick={() => setTypeFilter(t)}
+            >
+              <span className="icon">{TALLY_RECORD_TYPES[t].icon}</span>
+              {TALLY_RECORD_TYPES[t].label}
+              <span className="node-meta">{changedCount(t)}</span>
+            </button>
+          ))}
+          <span className="compare-filters-separator" />
+          {Object.entries(STATUSES).map(([status, { label, icon }]) => (
+            <button
+              key={status}
+              className={clsx('compare-filter', status, { active: statusFilter === status })}
+              onClick={() => setStatusFilter(statusFilter === status ? null : status)}
+              title={statusFilter === status ? 'Show all differences' : `Show ${label.toLowerCase()} records only`}
+            >
+              <span className="icon">{icon}</span>
+              {label}
+              <span className="node-meta">{counts[type][status]}</span>
+            </button>
+          ))}
+          <span className="compare-unchanged">{counts[type].unchanged} unchanged</span>
+        </div>
+        {entries.length === 0 ? (
+          <div className="placeholder">
+            <span className="icon">check_circle</span>
+            <p>No {statusFilter ? STATUSES[statusFilter].label.toLowerCase() : 'changed'} {TALLY_RECORD_TYPES[type].label.toLowerCase()}.</p>
+          </div>
+        ) : (
+          <table className="data-table compare-table">
+            <thead>
+              <tr>
+                <th>Record</th>
+                {columns.map(column => <th key={column}>{column}</th>)}
+                <th>Changes</th>
+              </tr>
+            </thead>
+            <tbody ref={tbodyRef}>
+              {before > 0 && (
+                <tr className="virtual-spacer" style={{ height: before }}><td colSpan={columns.length + 2} /></tr>
+              )}
+              {entries.slice(start, end).map((entry, offset) => {
+                const changes = listedChanges(entry);
+                const record = entry.after || entry.before;
+                return (
+                  <tr key={start + offset} className={clsx('compare-row', entry.status)}>
+                    <td>
+                      <div className="compare-record">
+                        <span className="icon" title={STATUSES[entry.status].label}>{STATUSES[entry.status].icon}</span>
+                        {entry.afterPath ? (
+                          <button
+                            className="compare-record-link"
+                            onClick={() => setViewingNodePath(entry.afterPath)}
+                            title={`Show in ${fileName}`}
+                          >
+                            {entry.label}
+                          </button>
+                        ) : (
+                          <span title={`Only in ${baselineName}`}>{entry.label}</span>
+                        )}
+                      </div>
+                    </td>
+                    {columns.map(column => {
+                      const change = entry.changes.find(c => c.field === column);
+                      return (
+                        <td key={column} className={clsx({ 'diff-cell': !!change })}>
+                          {change ? <ChangedValue before={change.before} after={change.after} /> : formatValue(readColumn(record, column))}
+                        </td>
+                      );
+                    })}
+                    <td>
+                      {entry.status !== 'modified' ? (
+                        <span className="compare-note">
+                          {entry.status === 'added' ? `Not in ${baselineName}` : `Not in ${fileName}`}
+                        </span>
+                      ) : (
+                        <ul className="compare-changes">
+                          {changes.slice(0, MAX_LISTED_CHANGES).map(change => (
+                            <li key={change.field}>
+                              <span className="compare-field">{change.field}</span>
+                              <ChangedValue before={change.before} after={change.after} />
+                            </li>
+                          ))}
+                          {changes.length > MAX_LISTED_CHANGES && (
+                            <li className="compare-note">+{changes.length - MAX_LISTED_CHANGES} more</li>
+                          )}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+              {after > 0 && (
+                <tr className="virtual-spacer" style={{ height: after }}><td colSpan={columns.length + 2} /></tr>
+              )}
+            </tbody>
+          </table>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="data-panel">
+      <div className="main-content-header">
+        <h2>Compare</h2>
+        <label className="compare-baseline">
+          {fileName} against
+          <select className="encoding-select" value={baselineDocument ? baselineId : ORIGINAL} onChange={e => setBaselineId(e.target.value === ORIGINAL ? ORIGINAL : Number(e.target.value))}>
+            <option value={ORIGINAL}>the file as opened</option>
+            {otherDocuments.map(openDocument => (
+              <option key={openDocument.id} value={openDocument.id}>{openDocument.fileName}</option>
+            ))}
+          </select>
+        </label>
+        <div className="main-content-actions">
+          <button onClick={onClose} className="action-button secondary" title="Back to the table">
+            <span className="icon">close</span> Close Compare
+          </button>
+        </div>
+      </div>
+      <div className="data-table-wrapper">
+        {renderContent()}
+      </div>
+    </div>
+  );
+}
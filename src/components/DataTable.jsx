@@ -1,176 +1,35 @@
-import React, { useState, useRef, useEffect, useMemo } from 'react';
+import React, { useState, useRef, useEffect, useLayoutEffect, useMemo, useDeferredValue } from 'react';
 import useStore from '../lib/store';
 import get from 'lodash.get';
 import EditableCell from './EditableCell';
 import ValueRenderer from './ValueRenderer';
-import { parseFilterQuery, testValue } from '../lib/filterParser';
 import clsx from 'clsx';
 import AdvancedFilterPopover from './AdvancedFilterPopover';
-
-function getHeaderKey(header) {
-    if (typeof header === 'object' && header !== null) {
-        // Creates a consistent key like 'PARENT.CHILD' from the complex header object
-        return `${header.parent.join('.')}.${header.child}`;
-    }
-    return header;
-}
-
-/**
- * Case-insensitive version of lodash.get.
- * Required because headers might be lowercase while data keys are uppercase.
- * @param {object} obj - The object to search within.
- * @param {Array<string>} pathSegments - The path to the desired property.
- * @returns {{value: any, actualPath: Array<string>}} The found value and the actual case-sensitive path.
- */
-function caseInsensitiveGet(obj, pathSegments) {
-    let current = obj;
-    const actualPath = [];
-    if (!pathSegments) return { value: undefined, actualPath: null };
-    for (const segment of pathSegments) {
-        if (typeof current !== 'object' || current === null) return { value: undefined, actualPath: null };
-        
-        // Find the key in the current object that matches the segment case-insensitively.
-        const key = Object.keys(current).find(k => k.toLowerCase() === String(segment).toLowerCase());
-        
-        if (key === undefined) return { value: undefined, actualPath: null };
-        
-        current = current[key];
-        actualPath.push(key);
-    }
-    return { value: current, actualPath };
-}
-
-
-/**
- * Flattens a single row of hierarchical data into multiple flat rows based on the headers.
- * This function handles nested arrays by creating a cartesian product.
- * @param {object} row - The original data object for the row.
- * @param {number} rowIndex - The index of the original row in the source data array.
- * @param {Array<string|object>} headers - The column definitions.
- * @param {Array<string>} pathPrefix - The base path to the source data array.
- * @returns {Array<object>} An array of flat row objects.
- */
-function flattenRow(row, rowIndex, headers, pathPrefix) {
-    // wipRows (Work-In-Progress Rows) stores the state for each flattened row being built.
-    // - values: A map of { headerKey: { value, path } }
-    // - contexts: A map that tracks the specific nested item and its actual path for each expansion level.
-    let wipRows = [{ values: {}, contexts: {} }];
-
-    headers.forEach(header => {
-        const headerKey = getHeaderKey(header);
-        const nextWipRows = [];
-
-        for (const wip of wipRows) {
-            const isComplex = typeof header === 'object' && header !== null;
-
-            if (!isComplex) {
-                // SIMPLE HEADER: value is relative to the original row object.
-                let value;
-                let path;
-
-                if (header === 'value') {
-                    // This handles arrays of primitives, where 'row' is the primitive itself.
-                    value = row;
-                    path = [...pathPrefix, rowIndex];
-                } else if (typeof row === 'object' && row !== null) {
-                    // Standard case: row is an object, find a property within it.
-                    let pathSegments;
-                    if (header.startsWith('@')) {
-                        // Support dot notation within attributes if ever needed, e.g., @ATTR.NESTED
-                        pathSegments = ['@attributes', ...header.substring(1).split('.')];
-                    } else {
-                        // A simple header string is treated as a single key, not a path.
-                        pathSegments = [header];
-                    }
-                    const { value: foundValue, actualPath } = caseInsensitiveGet(row, pathSegments);
-                    value = foundValue;
-                    path = actualPath ? [...pathPrefix, rowIndex, ...actualPath] : undefined;
-                } else {
-                    // Row is a primitive, but header is not 'value', so it can't have properties.
-                    value = undefined;
-                    path = undefined;
-                }
-
-                // Fallback for cases like <VOUCHER>123</VOUCHER> where `row` is "123"
-                // and the user selected a column like '#text'. The lookup above would fail.
-                if (value === undefined && (header === '#text') && typeof row !== 'object') {
-                    value = row;
-                    path = [...pathPrefix, rowIndex];
-                }
-                
-                nextWipRows.push({
-                    ...wip,
-                    values: { ...wip.values, [headerKey]: { value, path } }
-                });
-
-            } else { // COMPLEX HEADER: value is relative to a nested context.
-                const parentPathKey = header.parent.join('.');
-                
-                // Find the deepest context this header's path belongs to.
-                let context = { item: row, path: [...pathPrefix, rowIndex] };
-                let longestPrefix = '';
-                
-                for (const contextKey in wip.contexts) {
-                    if (parentPathKey.startsWith(contextKey) && contextKey.length > longestPrefix.length) {
-                        longestPrefix = contextKey;
-                        context = wip.contexts[contextKey];
-                    }
-                }
-                
-                const relativePathSegments = header.parent.slice(longestPrefix.split('.').filter(Boolean).length);
-                const { value: dataBranch, actualPath: actualRelativePath } = caseInsensitiveGet(context.item, relativePathSegments);
-
-                const items = Array.isArray(dataBranch) ? dataBranch : (dataBranch !== undefined && dataBranch !== null ? [dataBranch] : []);
-
-                if (items.length === 0) {
-                    // No items to expand, so just add an empty value for this column.
-                    nextWipRows.push({
-                        ...wip,
-                        values: { ...wip.values, [headerKey]: { value: undefined, path: undefined } },
-                    });
-                } else {
-                    // Create a new WIP row for each item in the nested array/object.
-                    items.forEach((item, itemIndex) => {
-                        const newWip = {
-                            values: { ...wip.values },
-                            contexts: { ...wip.contexts },
-                        };
-                        
-                        const newContextPath = [...context.path, ...actualRelativePath];
-                        if (Array.isArray(dataBranch)) {
-                            newContextPath.push(itemIndex);
-                        }
-                        newWip.contexts[parentPathKey] = { item, path: newContextPath };
-
-                        const childIsAttribute = header.child.startsWith('@');
-                        const childSegment = childIsAttribute ? header.child.substring(1) : header.child;
-                        
-                        let value, path;
-                        
-                        if (childIsAttribute) {
-                            const { value: attrValue, actualPath: attrPath } = caseInsensitiveGet(item, ['@attributes', childSegment]);
-                            value = attrValue;
-                            path = attrPath ? [...newContextPath, ...attrPath] : undefined;
-                        } else if (header.child === 'value') {
-                             value = item;
-                             path = newContextPath;
-                        } else {
-                            const { value: childValue, actualPath: childPath } = caseInsensitiveGet(item, [childSegment]);
-                            value = childValue;
-                            path = childPath ? [...newContextPath, ...childPath] : undefined;
-                        }
-                        
-                        newWip.values[headerKey] = { value, path };
-                        nextWipRows.push(newWip);
-                    });
-                }
-            }
-        }
-        wipRows = nextWipRows;
-    });
-
-    return wipRows.map(wip => ({ ...wip.values, __originalIndex: rowIndex }));
-}
+import BulkEditPopover from './BulkEditPopover';
+import { RECORD_FILTER_KEY, sortFlatRows } from '../lib/tableUtils';
+import { validateDocument, getProblemsByRow } from '../lib/validation';
+import { inferValueType } from '../lib/valueTypes';
+import { getFilterQueryError, FILTER_SYNTAX_HELP } from '../lib/filterParser';
+import { AGGREGATES, getAggregatesFor, resolveAggregate, aggregateColumn } from '../lib/tableAggregates';
+import PivotView from './PivotView';
+import ExportPopover from './ExportPopover';
+import ImportWizard from './ImportWizard';
+import { getRangeBounds, isInRange, rangeToTsv, planPaste } from '../lib/tableClipboard';
+import {
+    getHeaderKey,
+    isComputedColumn,
+    getColumnLabel,
+    flattenRows,
+    getColumnTypes,
+    parseTableFilters,
+    filterTableRows,
+    groupFlatRows,
+} from '../lib/tableModel';
+import useVirtualWindow from '../lib/useVirtualWindow';
+import useLoadedNode from '../lib/useLoadedNode';
+
+// Starting estimate of a table row's height, refined from the rendered rows.
+const ESTIMATED_ROW_HEIGHT = 49;
 
 function FilterPopover({ headerKey, path, onClose }) {
     const { setTableFilter, tableFilters } = useStore.getState();
@@ -178,12 +37,14 @@ function FilterPopover({ headerKey, path, onClose }) {
     const currentFilter = tableFilters[pathKey]?.[headerKey] || '';
     const [filterInput, setFilterInput] = useState(currentFilter);
     const inputRef = useRef(null);
+    const queryError = getFilterQueryError(filterInput);
 
     useEffect(() => {
         inputRef.current?.focus();
     }, []);
 
     const handleApply = () => {
+        if (queryError) return;
         setTableFilter(path, headerKey, filterInput);
         onClose();
     };
@@ -208,13 +69,15 @@ function FilterPopover({ headerKey, path, onClose }) {
             <input
                 ref={inputRef}
                 type="text"
-                placeholder='Filter... (e.g. A*B "C D")'
+                placeholder='Filter... (e.g. A*B "C D" >1000)'
+                title={FILTER_SYNTAX_HELP}
                 value={filterInput}
                 onChange={e => setFilterInput(e.target.value)}
                 onKeyDown={handleKeyDown}
             />
-            <button onClick={handleApply} title="Apply"><span className="icon">check</span></button>
+            <button onClick={handleApply} title="Apply" disabled={!!queryError}><span className="icon">check</span></button>
             <button onClick={handleClear} title="Clear"><span className="icon">clear</span></button>
+            {queryError && <p className="filter-error">{queryError}</p>}
         </div>
     );
 }
@@ -249,364 +112,563 @@ function getColumnFilterType(rows, headerKey) {
     return 'none';
 }
 
-/**
- * Recursively checks if a nested path in an object matches filter conditions.
- * Handles arrays at any level of the path by checking if "some" element matches.
- * @param {object|Array} target - The object or array to search within.
- * @param {Array<string>} pathSegments - The path to follow (e.g., ['LEDGERENTRIES.LIST', 'LEDGERNAME']).
- * @param {Array<object>} conditions - The parsed filter conditions from parseFilterQuery.
- * @returns {boolean} - True if a match is found.
- */
-const checkPathInObject = (target, pathSegments, conditions) => {
-    // If target is an array, check if any element in it matches the full path.
-    if (Array.isArray(target)) {
-        return target.some(item => checkPathInObject(item, pathSegments, conditions));
-    }
-
-    // If we are looking for the 'value' of a primitive and are at the end of the path, test it.
-    // This handles filtering within arrays of strings/numbers.
-    if (pathSegments.length === 1 && pathSegments[0] === 'value' && typeof target !== 'object') {
-        return testValue(target, conditions);
-    }
-    
-    // If target is not an object or path is empty, we can't go deeper.
-    if (typeof target !== 'object' || target === null || pathSegments.length === 0) {
-        return false;
-    }
-
-    const [currentSegment, ...remainingSegments] = pathSegments;
-
-    let value;
-    if (String(currentSegment).startsWith('@')) {
-        const attributeName = String(currentSegment).substring(1);
-        const attributes = target['@attributes'];
-        if (typeof attributes !== 'object' || attributes === null) return false;
-        
-        // Find the attribute key case-insensitively
-        const attrKey = Object.keys(attributes).find(k => k.toLowerCase() === attributeName.toLowerCase());
-        if (attrKey === undefined) return false;
-        value = attributes[attrKey];
-
-    } else {
-        // Find the key in the current object that matches the segment case-insensitively.
-        const key = Object.keys(target).find(k => k.toLowerCase() === String(currentSegment).toLowerCase());
-        if (key === undefined) return false;
-        value = target[key];
-    }
-
-    // If we are at the last segment of the path, test the value.
-    if (remainingSegments.length === 0) {
-        // If the final value is an array, test each element against the conditions.
-        if (Array.isArray(value)) {
-            return value.some(item => testValue(item, conditions));
-        }
-        return testValue(value, conditions);
-    }
-    
-    // If not at the end, recurse deeper. The 'value' becomes the new 'target'.
-    return checkPathInObject(value, remainingSegments, conditions);
-};
-
-function DataTableContent({ data, headers, pathPrefix, onDeleteRow }) {
+function DataTableContent({ data, headers, pathPrefix, onDeleteRow, onInsertRow, onDuplicateRow, onMoveRow }) {
     const [activeFilter, setActiveFilter] = useState(null);
+    const [activeBulkEdit, setActiveBulkEdit] = useState(null);
+    // The selected range of cells, see tableClipboard.
+    const [range, setRange] = useState(null);
+    const [pasteReport, setPasteReport] = useState(null);
+    const isDraggingRef = useRef(false);
+    const tableRef = useRef(null);
     const tableFilters = useStore.use.tableFilters();
-
-    if (!Array.isArray(data) || data.length === 0) {
-        return <div className="placeholder"><p>This node contains no data to display in a table.</p></div>;
-    }
+    const tableSorts = useStore.use.tableSorts();
+    const tableFooters = useStore.use.tableFooters();
+    const tablePivots = useStore.use.tablePivots();
+    const xmlDoc = useStore.use.xmlDoc();
+    const { setTableSort, clearTableSort, reorderRows, setTableAggregate, replaceValues } = useStore.getState();
 
     const handleDelete = (originalIndex) => {
         if (window.confirm('Are you sure you want to delete this row?')) {
             onDeleteRow(originalIndex);
         }
     };
-    
-    // Memoize the flat rows before filtering, needed for column type detection.
+
+    const pathKey = JSON.stringify(pathPrefix);
+    const filtersForTable = tableFilters[pathKey];
+    const sorts = tableSorts[pathKey];
+    const footer = tableFooters[pathKey];
+    const pivot = tablePivots[pathKey];
+    // Filtering and sorting a large table takes a while; the deferred values let React
+    // keep the page responsive and catch up in the background.
+    const deferredFilters = useDeferredValue(filtersForTable);
+    const deferredSorts = useDeferredValue(sorts);
+
+    // The flat rows before filtering, needed for column type detection.
     const allFlatRows = useMemo(() => 
-        data.flatMap((row, rowIndex) => flattenRow(row, rowIndex, headers, pathPrefix)),
+        flattenRows(data, headers, pathPrefix),
     [data, headers, pathPrefix]);
 
-    const parsedFilters = useMemo(() => {
-        const pathKey = JSON.stringify(pathPrefix);
-        const filtersForTable = tableFilters[pathKey];
-        if (!filtersForTable) return null;
-
-        const parsed = {};
-        for (const headerKey in filtersForTable) {
-            const filterConfig = filtersForTable[headerKey];
-            if (typeof filterConfig === 'object' && filterConfig.type) {
-                parsed[headerKey] = {
-                    type: filterConfig.type,
-                    key: filterConfig.key,
-                    conditions: parseFilterQuery(filterConfig.query || ''),
-                };
-            } else if (filterConfig && typeof filterConfig !== 'object') {
-                parsed[headerKey] = {
-                    type: 'simple',
-                    conditions: parseFilterQuery(String(filterConfig)),
-                };
-            }
+    // The value type of each column, which picks its cell editor.
+    const columnTypes = useMemo(() => getColumnTypes(headers, allFlatRows), [headers, allFlatRows]);
+
+    const filterTypes = useMemo(() => {
+        const types = {};
+        headers.forEach(header => {
+            const key = getHeaderKey(header);
+            types[key] = getColumnFilterType(allFlatRows, key);
+        });
+        return types;
+    }, [headers, allFlatRows]);
+
+    const problemsByRow = useMemo(() => 
+        getProblemsByRow(validateDocument(xmlDoc?.doc), pathPrefix),
+    [xmlDoc, pathPrefix]);
+
+    const finalFilteredRows = useMemo(() => 
+        filterTableRows(data, headers, pathPrefix, parseTableFilters(deferredFilters), allFlatRows),
+    [data, headers, pathPrefix, deferredFilters, allFlatRows]);
+
+    // Sort the visible rows. Only the view is sorted; the document keeps its order.
+    const sortedRows = useMemo(() => 
+        sortFlatRows(finalFilteredRows, deferredSorts, columnTypes),
+    [finalFilteredRows, deferredSorts, columnTypes]);
+
+    // The footer aggregates the rows the filters let through; the order does not matter.
+    const footerCells = useMemo(() => {
+        if (!footer) return null;
+        const cells = {};
+        headers.forEach(header => {
+            const key = getHeaderKey(header);
+            if (filterTypes[key] === 'table' || filterTypes[key] === 'advanced') return;
+            const type = columnTypes[key];
+            const aggregate = resolveAggregate(type, footer[key]);
+            cells[key] = { aggregate, result: aggregateColumn(finalFilteredRows, key, type, aggregate) };
+        });
+        return cells;
+    }, [footer, headers, filterTypes, columnTypes, finalFilteredRows]);
+    const recordCount = useMemo(() => 
+        (footer ? new Set(finalFilteredRows.map(row => row.__originalIndex)).size : 0),
+    [footer, finalFilteredRows]);
+
+    // Only the row groups near the visible part of the table are rendered.
+    const groups = useMemo(() => groupFlatRows(sortedRows), [sortedRows]);
+    // The index in `sortedRows` of the first row of each group.
+    const groupOffsets = useMemo(() => {
+        let offset = 0;
+        return groups.map(group => {
+            const groupOffset = offset;
+            offset += group.rows.length;
+            return groupOffset;
+        });
+    }, [groups]);
+    const [rowHeight, setRowHeight] = useState(ESTIMATED_ROW_HEIGHT);
+    const groupSizes = useMemo(() => groups.map(group => group.rows.length * rowHeight), [groups, rowHeight]);
+    const tbodyRef = useRef(null);
+    const { start, end, before, after } = useVirtualWindow(tbodyRef, groupSizes);
+    const visibleRows = groups.slice(start, end).flatMap((group, i) => group.rows.map((row, indexInGroup) => ({
+        row,
+        index: groupOffsets[start + i] + indexInGroup,
+        key: `${group.index}:${indexInGroup}`,
+        isFirstInGroup: indexInGroup === 0,
+        rowSpan: group.rows.length,
+    })));
+
+    // Refine the row height estimate from what was rendered, so the spacers match.
+    useLayoutEffect(() => {
+        // With every row rendered there are no spacers to size.
+        if (!tbodyRef.current || end - start === groups.length) return;
+        let height = 0;
+        let count = 0;
+        for (const tr of tbodyRef.current.children) {
+            if (tr.classList.contains('virtual-spacer')) continue;
+            height += tr.offsetHeight;
+            count++;
         }
-        return parsed;
-    }, [tableFilters, pathPrefix]);
+        const measured = count >= 10 ? Math.round(height / count) : rowHeight;
+        if (Math.abs(measured - rowHeight) > 2) setRowHeight(measured);
+    });
 
-    // STAGE 1: Apply 'table' filters, which transform the data itself.
-    const transformedData = useMemo(() => {
-        if (!parsedFilters) return data;
+    // Writes the sorted order into the document. Rows hidden by filters keep their
+    // places; the visible rows are sorted into the positions they occupy.
+    const handleApplyOrder = () => {
+        const visibleOrder = [...new Set(sortedRows.map(row => row.__originalIndex))];
+        const positions = [...visibleOrder].sort((a, b) => a - b);
+        const order = data.map((_, index) => index);
+        positions.forEach((position, i) => { order[position] = visibleOrder[i]; });
+        if (order.some((index, position) => index !== position)) {
+            reorderRows(pathPrefix, order);
+        }
+        clearTableSort(pathPrefix);
+    };
 
-        const tableTypeFilters = Object.entries(parsedFilters).filter(
-            ([, filter]) => filter.type === 'table' && filter.conditions.length > 0
-        );
+    const headerKeys = useMemo(() => headers.map(getHeaderKey), [headers]);
+    const bounds = range ? getRangeBounds(range) : null;
+    const isSingleCell = !!bounds && bounds.top === bounds.bottom && bounds.left === bounds.right;
 
-        if (tableTypeFilters.length === 0) {
-            return data;
-        }
+    // Another view of the table starts without a selection.
+    useEffect(() => {
+        setRange(null);
+        setPasteReport(null);
+    }, [pathKey, headers, deferredFilters, deferredSorts]);
 
-        // IMPORTANT: Deep copy to avoid mutating original state.
-        let currentData = JSON.parse(JSON.stringify(data)); 
-
-        for (const [headerKey, filter] of tableTypeFilters) {
-            if (!filter.key) continue;
-
-            const headerDefinition = headers.find(h => getHeaderKey(h) === headerKey);
-            if (!headerDefinition) continue;
-
-            // This path is relative to each row in `currentData`
-            const pathSegments = typeof headerDefinition === 'object' && headerDefinition.parent
-                ? [...headerDefinition.parent, headerDefinition.child]
-                : [headerDefinition];
-
-            currentData = currentData.map(parentRow => {
-                const { value: nestedData, actualPath } = caseInsensitiveGet(parentRow, pathSegments);
-                
-                // Treat single objects as an array of one for consistent filtering.
-                const nestedArray = Array.isArray(nestedData)
-                    ? nestedData
-                    : (nestedData !== undefined && nestedData !== null ? [nestedData] : []);
-
-                if (nestedArray.length === 0 || !actualPath) {
-                    return parentRow; // No filterable data at this path.
-                }
-
-                const filteredNestedArray = nestedArray.filter(nestedItem => 
-                    checkPathInObject(nestedItem, filter.key, filter.conditions)
-                );
-
-                if (filteredNestedArray.length === 0) {
-                    return null; // This parent row will be removed.
-                }
-
-                // Restore original data structure: if original was not an array, and result is 1, keep it as an object.
-                const finalNestedValue = !Array.isArray(nestedData) && filteredNestedArray.length === 1
-                    ? filteredNestedArray[0]
-                    : filteredNestedArray;
-                
-                // Update the cloned parent row with the filtered nested data.
-                let objectToModify = parentRow;
-                for (let i = 0; i < actualPath.length - 1; i++) {
-                    objectToModify = objectToModify[actualPath[i]];
-                }
-                const keyToUpdate = actualPath[actualPath.length - 1];
-                objectToModify[keyToUpdate] = finalNestedValue;
-                
-                return parentRow;
-
-            }).filter(Boolean); // Filter out the nulls (rows to be removed).
+    // A drag ends wherever the mouse is released.
+    useEffect(() => {
+        const handleMouseUp = () => { isDraggingRef.current = false; };
+        window.addEventListener('mouseup', handleMouseUp);
+        return () => window.removeEventListener('mouseup', handleMouseUp);
+    }, []);
+
+    // A click selects a cell and still lets its editor take the focus; shift-click extends
+    // the selection to a cell and dragging selects the cells passed over.
+    const handleCellMouseDown = (e, row, column) => {
+        if (e.button !== 0) return;
+        const cell = { row, column };
+        if (e.shiftKey && range) {
+            e.preventDefault();
+            setRange({ anchor: range.anchor, focus: cell });
+            tableRef.current.focus({ preventScroll: true });
+            return;
         }
+        setRange({ anchor: cell, focus: cell });
+        isDraggingRef.current = true;
+    };
 
-        return currentData;
-    }, [data, parsedFilters, headers]);
+    const handleCellMouseEnter = (row, column) => {
+        if (!isDraggingRef.current || !range) return;
+        if (range.focus.row === row && range.focus.column === column) return;
+        // The drag selects cells rather than the text across them.
+        window.getSelection()?.removeAllRanges();
+        if (document.activeElement !== tableRef.current) tableRef.current.focus({ preventScroll: true });
+        setRange({ anchor: range.anchor, focus: { row, column } });
+    };
 
-    // Recalculate flat rows based on the transformed data.
-    const transformedFlatRows = useMemo(() => 
-        transformedData.flatMap((row, rowIndex) => flattenRow(row, rowIndex, headers, pathPrefix)),
-    [transformedData, headers, pathPrefix]);
+    const isEditor = (element) => element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+    const hasTextSelection = (element) => (
+        element.tagName === 'INPUT' || element.tagName === 'TEXTAREA'
+            ? element.selectionStart !== element.selectionEnd
+            : !window.getSelection()?.isCollapsed
+    );
+    // Popovers in the header are part of the table too, but keep the clipboard to themselves.
+    const isCellEvent = (e) => e.target === tableRef.current || !!tbodyRef.current?.contains(e.target);
+
+    // Copies the selected cells, unless the user selected text within a cell's editor.
+    const handleCopy = (e) => {
+        if (!range || !isCellEvent(e)) return;
+        if (isSingleCell && isEditor(e.target) && hasTextSelection(e.target)) return;
+        e.preventDefault();
+        e.clipboardData.setData('text/plain', rangeToTsv(sortedRows, headerKeys, range));
+    };
 
-    // STAGE 2: Apply 'simple' and 'advanced' filters for row visibility.
-    const finalFilteredRows = useMemo(() => {
-        if (!parsedFilters) return transformedFlatRows;
+    // Pastes cells copied from a spreadsheet over the selection, as one edit. Plain text
+    // pasted into the editor of a single cell is left to the editor.
+    const handlePaste = (e) => {
+        if (!range || !isCellEvent(e)) return;
+        const text = e.clipboardData.getData('text/plain');
+        if (!text || (isSingleCell && isEditor(e.target) && !/[\t\r\n]/.test(text))) return;
+        e.preventDefault();
+        // The editor saves what was typed into it first.
+        if (isEditor(document.activeElement)) document.activeElement.blur();
+        const { changes, skipped, range: pastedRange } = planPaste(sortedRows, headerKeys, columnTypes, range, text);
+        replaceValues(`Paste ${changes.length} ${changes.length === 1 ? 'cell' : 'cells'}`, pathPrefix, changes);
+        setRange(pastedRange);
+        setPasteReport(skipped > 0
+            ? `${skipped} pasted ${skipped === 1 ? 'value was' : 'values were'} left out: they did not fit their column's type, or fell on computed cells, fields the row does not have or past the end of the table.`
+            : null);
+        tableRef.current.focus({ preventScroll: true });
+    };
 
-        const visibilityFilters = Object.entries(parsedFilters).filter(
-            ([, filter]) => (filter.type === 'simple' || filter.type === 'advanced') && filter.conditions.length > 0
-        );
+    const handleTableKeyDown = (e) => {
+        if (e.key === 'Escape' && range && !isEditor(e.target)) setRange(null);
+    };
 
-        if (visibilityFilters.length === 0) {
-            return transformedFlatRows;
-        }
-        
-        return transformedFlatRows.filter(flatRow => {
-            // A row must match EVERY active visibility filter.
-            return visibilityFilters.every(([headerKey, filter]) => {
-                if (filter.type === 'simple') {
-                    return testValue(flatRow[headerKey]?.value, filter.conditions);
-                }
-                
-                if (filter.type === 'advanced') {
-                    // For advanced filters, we check the original data structure for context.
-                    const originalRow = data[flatRow.__originalIndex];
-                    if (!originalRow) return false;
-                    const { value: columnData } = caseInsensitiveGet(originalRow, [headerKey]);
-                    if (columnData === undefined || columnData === null) return false;
-                    return checkPathInObject(columnData, filter.key, filter.conditions);
-                }
-                
-                return true; // Should not happen
-            });
-        });
-    }, [transformedFlatRows, parsedFilters, data]);
+    const getColumnName = (key) => {
+        const header = headers.find(h => getHeaderKey(h) === key);
+        return header === undefined ? key : getColumnLabel(header);
+    };
 
-    const pathKey = JSON.stringify(pathPrefix);
-    const filtersForTable = tableFilters[pathKey];
+    if (pivot?.isActive) {
+        return (
+            <PivotView
+                rows={finalFilteredRows}
+                headers={headers}
+                columnTypes={columnTypes}
+                filterTypes={filterTypes}
+                pathPrefix={pathPrefix}
+                pivot={pivot}
+                getColumnName={getColumnName}
+            />
+        );
+    }
 
     return (
-        <table className="data-table">
-            <thead>
-                <tr>
-                    {headers.map((header) => {
-                        const isComplex = typeof header === 'object';
-                        const key = getHeaderKey(header);
-                        const name = isComplex ? key : (header.startsWith('@') ? header.substring(1) : header);
-                        const filterType = getColumnFilterType(allFlatRows, key);
-                        const currentFilter = filtersForTable?.[key];
-                        const isActive = typeof currentFilter === 'string' ? !!currentFilter : !!currentFilter?.query;
-
-                        return (
-                            <th key={key}>
-                                <div className="th-content">
-                                    <span>{name}</span>
-                                    {filterType !== 'none' && (
-                                        <>
-                                            <button
-                                                className={clsx("filter-btn", { active: isActive })}
-                                                onClick={(e) => { e.stopPropagation(); setActiveFilter(activeFilter === key ? null : key) }}
-                                                title="Filter column"
-                                            >
-                                                <span className="icon">filter_list</span>
-                                            </button>
-                                            {activeFilter === key && filterType === 'simple' && (
-                                                <FilterPopover
-                                                    headerKey={key}
-                                                    path={pathPrefix}
-                                                    onClose={() => setActiveFilter(null)}
-                                                />
-                                            )}
-                                            {activeFilter === key && (filterType === 'advanced' || filterType === 'table') && (
-                                                <AdvancedFilterPopover
-                                                    headerKey={key}
-                                                    path={pathPrefix}
-                                                    onClose={() => setActiveFilter(null)}
-                                                    rows={allFlatRows}
-                                                    filterType={filterType}
-                                                />
+        <>
+            {sorts && (
+                <div className="table-sort-bar">
+                    <span className="icon">sort</span>
+                    <span>
+                        Sorted by {sorts.map(sort => `${getColumnName(sort.key)} ${sort.direction === 'asc' ? '↑' : '↓'}`).join(', ')}
+                    </span>
+                    <button onClick={handleApplyOrder} className="action-button secondary" title="Reorder the rows in the file to match this view">
+                        Apply Order to File
+                    </button>
+                    <button onClick={() => clearTableSort(pathPrefix)} className="action-button secondary" title="Show rows in file order">
+                        Clear Sort
+                    </button>
+                </div>
+            )}
+            {pasteReport && (
+                <div className="table-sort-bar">
+                    <span className="icon">content_paste</span>
+                    <span>{pasteReport}</span>
+                    <button onClick={() => setPasteReport(null)} className="action-button secondary">Dismiss</button>
+                </div>
+            )}
+            <table
+                ref={tableRef}
+                className="data-table"
+                tabIndex={-1}
+                onCopy={handleCopy}
+                onPaste={handlePaste}
+                onKeyDown={handleTableKeyDown}
+            >
+                <thead>
+                    <tr>
+                        {headers.map((header) => {
+                            const isComputed = isComputedColumn(header);
+                            const key = getHeaderKey(header);
+                            const name = getColumnName(key);
+                            const filterType = filterTypes[key];
+                            const currentFilter = filtersForTable?.[key];
+                            const isActive = typeof currentFilter === 'string' ? !!currentFilter : !!currentFilter?.query;
+                            const sortIndex = sorts ? sorts.findIndex(sort => sort.key === key) : -1;
+                            const sort = sortIndex !== -1 ? sorts[sortIndex] : null;
+
+                            return (
+                                <th key={key}>
+                                    <div className="th-content">
+                                        <span
+                                            className={clsx('th-sort', { sorted: !!sort })}
+                                            onClick={(e) => setTableSort(pathPrefix, key, e.shiftKey)}
+                                            title={`${isComputed ? `= ${header.formula}\n` : ''}Click to sort, shift-click to add a secondary sort`}
+                                        >
+                                            {isComputed && <span className="icon computed-icon">function</span>}
+                                            {name}
+                                            {sort && (
+                                                <span className="sort-indicator">
+                                                    <span className="icon">{sort.direction === 'asc' ? 'arrow_upward' : 'arrow_downward'}</span>
+                                                    {sorts.length > 1 && sortIndex + 1}
+                                                </span>
                                             )}
-                                        </>
-                                    )}
-                                </div>
-                            </th>
-                        )
-                    })}
-                    <th>Actions</th>
-                </tr>
-            </thead>
-            <tbody>
-                {finalFilteredRows.length > 0 ? (
-                    finalFilteredRows.map((row, index) => {
-                        const isFirstInGroup = index === 0 || finalFilteredRows[index - 1].__originalIndex !== row.__originalIndex;
-                        const rowSpan = isFirstInGroup
-                            ? finalFilteredRows.filter(r => r.__originalIndex === row.__originalIndex).length
-                            : 1;
-
-                        return (
-                            <tr key={index}>
-                                {headers.map((header) => {
-                                    const headerKey = getHeaderKey(header);
-                                    const cell = row[headerKey] || { value: undefined, path: undefined };
-                                    return (
-                                        <td key={headerKey}>
-                                            <ValueRenderer value={cell.value} path={cell.path} />
-                                        </td>
-                                    );
-                                })}
+                                        </span>
+                                        {filterType !== 'none' && (
+                                            <>
+                                                <button
+                                                    className={clsx("filter-btn", { active: isActive })}
+                                                    onClick={(e) => { e.stopPropagation(); setActiveBulkEdit(null); setActiveFilter(activeFilter === key ? null : key) }}
+                                                    title="Filter column"
+                                                >
+                                                    <span className="icon">filter_list</span>
+                                                </button>
+                                                {filterType === 'simple' && !isComputed && (
+                                                    <button
+                                                        className="filter-btn"
+                                                        onClick={(e) => { e.stopPropagation(); setActiveFilter(null); setActiveBulkEdit(activeBulkEdit === key ? null : key) }}
+                                                        title="Edit this column in every filtered row"
+                                                    >
+                                                        <span className="icon">edit_note</span>
+                                                    </button>
+                                                )}
+                                                {activeBulkEdit === key && (
+                                                    <BulkEditPopover
+                                                        headerKey={key}
+                                                        columnName={name}
+                                                        path={pathPrefix}
+                                                        rows={finalFilteredRows}
+                                                        data={data}
+                                                        type={columnTypes[key]}
+                                                        onClose={() => setActiveBulkEdit(null)}
+                                                    />
+                                                )}
+                                                {activeFilter === key && filterType === 'simple' && (
+                                                    <FilterPopover
+                                                        headerKey={key}
+                                                        path={pathPrefix}
+                                                        onClose={() => setActiveFilter(null)}
+                                                    />
+                                                )}
+                                                {activeFilter === key && (filterType === 'advanced' || filterType === 'table') && (
+                                                    <AdvancedFilterPopover
+                                                        headerKey={key}
+                                                        path={pathPrefix}
+                                                        onClose={() => setActiveFilter(null)}
+                                                        rows={allFlatRows}
+                                                        filterType={filterType}
+                                                    />
+                                                )}
+                                            </>
+                                        )}
+                                    </div>
+                                </th>
+                            )
+                        })}
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody ref={tbodyRef}>
+                    {before > 0 && (
+                        <tr className="virtual-spacer" style={{ height: before }}><td colSpan={headers.length + 1} /></tr>
+                    )}
+                    {sortedRows.length > 0 ? (
+                        visibleRows.map(({ row, index, key, isFirstInGroup, rowSpan }) => {
+                            const rowProblems = problemsByRow.get(row.__originalIndex);
+                            const hasError = rowProblems?.some(p => p.severity === 'error');
+
+                            return (
+                                <tr key={key} className={clsx({ 'row-error': hasError, 'row-warning': rowProblems && !hasError })}>
+                                    {headers.map((header, column) => {
+                                        const headerKey = getHeaderKey(header);
+                                        const cell = row[headerKey] || { value: undefined, path: undefined };
+                                        const selectionProps = {
+                                            onMouseDown: (e) => handleCellMouseDown(e, index, column),
+                                            onMouseEnter: () => handleCellMouseEnter(index, column),
+                                        };
+                                        const selectionClasses = {
+                                            'cell-selected': !isSingleCell && !!bounds && isInRange(bounds, index, column),
+                                            'cell-focus': !!range && range.focus.row === index && range.focus.column === column,
+                                        };
+                                        if (cell.computed) {
+                                            return (
+                                                <td key={headerKey} className={clsx('computed-cell', selectionClasses)} {...selectionProps}>
+                                                    {cell.error ? <span className="computed-error" title={cell.error}>#ERROR</span> : cell.value}
+                                                </td>
+                                            );
+                                        }
+                                        return (
+                                            <td key={headerKey} className={clsx(selectionClasses)} {...selectionProps}>
+                                                <ValueRenderer value={cell.value} path={cell.path} type={columnTypes[headerKey]} />
+                                            </td>
+                                        );
+                                    })}
                                 
-                                {isFirstInGroup && (
-                                    <td rowSpan={rowSpan} style={{ textAlign: 'center', verticalAlign: 'middle' }}>
-                                        <button
-                                            className="delete-action-btn"
-                                            title="Delete row"
-                                            onClick={() => handleDelete(row.__originalIndex)}
-                                        >
-                                            <span className="icon">delete</span>
-                                        </button>
-                                    </td>
-                                )}
-                            </tr>
-                        )
-                    })
-                ) : (
-                    <tr>
-                        <td colSpan={headers.length + 1}>
-                             <div className="placeholder" style={{ padding: '32px' }}>
-                                <span className="icon">search_off</span>
-                                <p style={{ fontWeight: 500, color: 'var(--fg-primary)', fontSize: '1.1em', marginTop: '0.5rem' }}>No results match your filter criteria.</p>
+                                    {isFirstInGroup && (
+                                        <td rowSpan={rowSpan} style={{ textAlign: 'center', verticalAlign: 'middle' }}>
+                                            <div className="row-actions">
+                                                {rowProblems && (
+                                                    <span
+                                                        className={clsx('problem-badge', hasError ? 'error' : 'warning')}
+                                                        title={rowProblems.map(p => p.message).join('\n')}
+                                                    >
+                                                        <span className="icon">{hasError ? 'error' : 'warning'}</span>
+                                                        {rowProblems.length}
+                                                    </span>
+                                                )}
+                                                <button
+                                                    className="row-action-btn"
+                                                    title="Move row up"
+                                                    disabled={row.__originalIndex === 0}
+                                                    onClick={() => onMoveRow(row.__originalIndex, row.__originalIndex - 1)}
+                                                >
+                                                    <span className="icon">arrow_upward</span>
+                                                </button>
+                                                <button
+                                                    className="row-action-btn"
+                                                    title="Move row down"
+                                                    disabled={row.__originalIndex === data.length - 1}
+                                                    onClick={() => onMoveRow(row.__originalIndex, row.__originalIndex + 1)}
+                                                >
+                                                    <span className="icon">arrow_downward</span>
+                                                </button>
+                                                <button
+                                                    className="row-action-btn"
+                                                    title="Insert blank row below"
+                                                    onClick={() => onInsertRow(row.__originalIndex + 1)}
+                                                >
+                                                    <span className="icon">add</span>
+                                                </button>
+                                                <button
+                                                    className="row-action-btn"
+                                                    title="Duplicate row"
+                                                    onClick={() => onDuplicateRow(row.__originalIndex)}
+                                                >
+                                                    <span className="icon">content_copy</span>
+                                                </button>
+                                                <button
+                                                    className="delete-action-btn"
+                                                    title="Delete row"
+                                                    onClick={() => handleDelete(row.__originalIndex)}
+                                                >
+                                                    <span className="icon">delete</span>
+                                                </button>
+                                            </div>
+                                        </td>
+                                    )}
+                                </tr>
+                            )
+                        })
+                    ) : data.length === 0 ? (
+                        <tr>
+                            <td colSpan={headers.length + 1}>
+                                <div className="placeholder" style={{ padding: '32px' }}><p>This node contains no data to display in a table.</p></div>
+                            </td>
+                        </tr>
+                    ) : (
+                        <tr>
+                            <td colSpan={headers.length + 1}>
+                                 <div className="placeholder" style={{ padding: '32px' }}>
+                                    <span className="icon">search_off</span>
+                                    <p style={{ fontWeight: 500, color: 'var(--fg-primary)', fontSize: '1.1em', marginTop: '0.5rem' }}>No results match your filter criteria.</p>
                                 
-                                {filtersForTable && Object.keys(filtersForTable).length > 0 && (
-                                    <div style={{ 
-                                        textAlign: 'left', 
-                                        fontFamily: 'var(--font-mono)', 
-                                        fontSize: '0.9em', 
-                                        marginTop: '24px', 
-                                        padding: '16px',
-                                        backgroundColor: 'var(--bg-dark-contrast)',
-                                        borderRadius: '6px',
-                                        border: '1px solid var(--border-color)',
-                                        maxWidth: '600px',
-                                        wordBreak: 'break-all'
-                                    }}>
-                                        <p style={{ fontWeight: 'bold', color: 'var(--fg-secondary)', marginBottom: '12px' }}>Active Filters:</p>
-                                        <ul style={{ listStyle: 'none', padding: 0, display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                                            {Object.entries(filtersForTable).map(([headerKey, filter]) => {
-                                                const hasQuery = (typeof filter === 'string' && filter) || (typeof filter === 'object' && filter?.query);
-                                                if (!hasQuery) return null;
-
-                                                if (typeof filter === 'object' && (filter.type === 'advanced' || filter.type === 'table')) {
-                                                    const fullPath = [headerKey, ...(filter.key || [])].join(' > ');
+                                    {filtersForTable && Object.keys(filtersForTable).length > 0 && (
+                                        <div style={{ 
+                                            textAlign: 'left', 
+                                            fontFamily: 'var(--font-mono)', 
+                                            fontSize: '0.9em', 
+                                            marginTop: '24px', 
+                                            padding: '16px',
+                                            backgroundColor: 'var(--bg-dark-contrast)',
+                                            borderRadius: '6px',
+                                            border: '1px solid var(--border-color)',
+                                            maxWidth: '600px',
+                                            wordBreak: 'break-all'
+                                        }}>
+                                            <p style={{ fontWeight: 'bold', color: 'var(--fg-secondary)', marginBottom: '12px' }}>Active Filters:</p>
+                                            <ul style={{ listStyle: 'none', padding: 0, display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                                                {Object.entries(filtersForTable).map(([headerKey, filter]) => {
+                                                    const hasQuery = (typeof filter === 'string' && filter) || (typeof filter === 'object' && filter?.query);
+                                                    if (!hasQuery) return null;
+
+                                                    if (typeof filter === 'object' && filter.type === 'record') {
+                                                        return (
+                                                            <li key={headerKey}>
+                                                                <span style={{ color: 'var(--accent-cyan)' }}>Records:</span>
+                                                                <span style={{ color: 'var(--fg-primary)' }}> {filter.query} only</span>
+                                                            </li>
+                                                        );
+                                                    }
+
+                                                    if (typeof filter === 'object' && (filter.type === 'advanced' || filter.type === 'table')) {
+                                                        const fullPath = [headerKey, ...(filter.key || [])].join(' > ');
+                                                        return (
+                                                            <li key={headerKey}>
+                                                                <span style={{ color: 'var(--accent-cyan)' }}>{fullPath}:</span>
+                                                                <span style={{ color: 'var(--fg-primary)' }}> "{filter.query}"</span>
+                                                            </li>
+                                                        );
+                                                    }
+                                                
                                                     return (
                                                         <li key={headerKey}>
-                                                            <span style={{ color: 'var(--accent-cyan)' }}>{fullPath}:</span>
-                                                            <span style={{ color: 'var(--fg-primary)' }}> "{filter.query}"</span>
+                                                            <span style={{ color: 'var(--accent-cyan)' }}>{headerKey}:</span>
+                                                            <span style={{ color: 'var(--fg-primary)' }}> "{String(filter)}"</span>
                                                         </li>
                                                     );
-                                                }
-                                                
-                                                return (
-                                                    <li key={headerKey}>
-                                                        <span style={{ color: 'var(--accent-cyan)' }}>{headerKey}:</span>
-                                                        <span style={{ color: 'var(--fg-primary)' }}> "{String(filter)}"</span>
-                                                    </li>
-                                                );
-                                            }).filter(Boolean)}
-                                        </ul>
-                                    </div>
-                                )}
-                            </div>
-                        </td>
-                    </tr>
+                                                }).filter(Boolean)}
+                                            </ul>
+                                        </div>
+                                    )}
+                                </div>
+                            </td>
+                        </tr>
+                    )}
+                    {after > 0 && (
+                        <tr className="virtual-spacer" style={{ height: after }}><td colSpan={headers.length + 1} /></tr>
+                    )}
+                </tbody>
+                {footerCells && (
+                    <tfoot>
+                        <tr className="aggregate-row">
+                            {headers.map((header) => {
+                                const key = getHeaderKey(header);
+                                const footerCell = footerCells[key];
+                                if (!footerCell) return <td key={key} />;
+                                return (
+                                    <td key={key}>
+                                        <select
+                                            className="aggregate-select"
+                                            value={footerCell.aggregate}
+                                            onChange={e => setTableAggregate(pathPrefix, key, e.target.value)}
+                                            title="What to show for this column"
+                                        >
+                                            {getAggregatesFor(columnTypes[key]).map(aggregate => (
+                                                <option key={aggregate} value={aggregate}>{AGGREGATES[aggregate]}</option>
+                                            ))}
+                                        </select>
+                                        <span className="aggregate-value" title={footerCell.result?.title}>
+                                            {footerCell.result?.value ?? '–'}
+                                        </span>
+                                    </td>
+                                );
+                            })}
+                            <td className="aggregate-records" title={`${finalFilteredRows.length} table ${finalFilteredRows.length === 1 ? 'row' : 'rows'}`}>
+                                {recordCount} {recordCount === 1 ? 'record' : 'records'}
+                            </td>
+                        </tr>
+                    </tfoot>
                 )}
-            </tbody>
-        </table>
+            </table>
+        </>
     );
 }
 
 function ObjectViewer({ data, path }) {
     const textValue = data['#text'];
     const childEntries = Object.entries(data).filter(([key]) => key !== '@attributes' && key !== '#text');
+    const highlightedKey = useStore.use.highlightedKey();
+    const highlightedRowRef = useRef(null);
+
+    // Brings the row a search hit points at into view.
+    useEffect(() => {
+        highlightedRowRef.current?.scrollIntoView({ block: 'center' });
+    }, [highlightedKey, path]);
+
+    const rowProps = (key) => (key === highlightedKey ? { className: 'highlighted', ref: highlightedRowRef } : {});
 
     return (
         <div className="object-viewer">
             <table className="object-viewer-table">
                 <tbody>
                     {textValue !== undefined && textValue !== null && (
-                        <tr>
+                        <tr {...rowProps('#text')}>
                             <td className="object-viewer-key">#text</td>
                             <td>
                                 <EditableCell value={textValue} path={[...path, '#text']} />
@@ -614,10 +676,10 @@ function ObjectViewer({ data, path }) {
                         </tr>
                     )}
                     {childEntries.map(([key, value]) => (
-                         <tr key={key}>
+                         <tr key={key} {...rowProps(key)}>
                             <td className="object-viewer-key">{key}</td>
                              <td>
-                                <ValueRenderer value={value} path={[...path, key]} />
+                                <ValueRenderer value={value} path={[...path, key]} type={inferValueType(key, [value])} />
                             </td>
                          </tr>
                     ))}
@@ -646,8 +708,16 @@ export default function DataTable() {
   const viewingNodePath = useStore.use.viewingNodePath();
   const xmlDoc = useStore.use.xmlDoc();
   const tableColumns = useStore.use.tableColumns();
-  const { goBack, deleteRow } = useStore.getState();
+  const tableFilters = useStore.use.tableFilters();
+  const tableFooters = useStore.use.tableFooters();
+  const tablePivots = useStore.use.tablePivots();
+  const { goBack, deleteRow, insertRow, duplicateRow, moveRow, setNodeForColumnSelection, setTableFilter, toggleTableFooter, toggleTablePivot } = useStore.getState();
   const viewingHistory = useStore.use.viewingHistory();
+  // A table needs all of its rows loaded; an object only itself, as nested objects open separately.
+  const isTableNode = !!viewingNodePath && Array.isArray(get(xmlDoc.doc, viewingNodePath));
+  const { loading, error: loadError } = useLoadedNode(viewingNodePath, isTableNode);
+  const [isExporting, setIsExporting] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
 
   if (!viewingNodePath) {
     return (
@@ -658,6 +728,15 @@ export default function DataTable() {
     );
   }
 
+  if (loading || loadError) {
+    return (
+      <div className="placeholder">
+        <span className="icon">{loadError ? 'error' : 'hourglass_top'}</span>
+        <p>{loadError ? `Could not load ${viewingNodePath.join('.')}: ${loadError}` : `Loading ${viewingNodePath.join('.')}…`}</p>
+      </div>
+    );
+  }
+
   // Use the array path directly with lodash.get
   const data = get(xmlDoc.doc, viewingNodePath);
   const pathForDisplay = viewingNodePath.join('.');
@@ -676,6 +755,30 @@ export default function DataTable() {
     deleteRow(viewingNodePath, index);
   };
 
+  const handleInsertRow = (index) => insertRow(viewingNodePath, index);
+  const handleDuplicateRow = (index) => duplicateRow(viewingNodePath, index);
+  const handleMoveRow = (index, newIndex) => moveRow(viewingNodePath, index, newIndex);
+
+  // A single element (e.g. the only ALLLEDGERENTRIES.LIST of a voucher) can get siblings
+  // too; it turns into a table, so let the user pick its columns right away.
+  const lastSegment = viewingNodePath[viewingNodePath.length - 1];
+  const isSingleElement = !Array.isArray(data) && typeof data === 'object' && data !== null
+    && viewingNodePath.length > 1 && typeof lastSegment === 'string';
+
+  const viewingPathKey = JSON.stringify(viewingNodePath);
+  const recordFilter = Array.isArray(data) ? tableFilters[viewingPathKey]?.[RECORD_FILTER_KEY] : null;
+  const hasColumns = Array.isArray(data) && !!tableColumns[viewingPathKey];
+  const isPivot = hasColumns && !!tablePivots[viewingPathKey]?.isActive;
+
+  const handleAddSibling = (duplicate) => {
+    if (duplicate) {
+      duplicateRow(viewingNodePath, 0);
+    } else {
+      insertRow(viewingNodePath, 1);
+    }
+    setNodeForColumnSelection(viewingNodePath);
+  };
+
   const renderContent = () => {
     if(Array.isArray(data)) {
         const pathKey = JSON.stringify(viewingNodePath);
@@ -688,7 +791,17 @@ export default function DataTable() {
                 </div>
             )
         }
-        return <DataTableContent data={data} headers={columns} pathPrefix={viewingNodePath} onDeleteRow={handleDeleteRow} />
+        return (
+            <DataTableContent
+                data={data}
+                headers={columns}
+                pathPrefix={viewingNodePath}
+                onDeleteRow={handleDeleteRow}
+                onInsertRow={handleInsertRow}
+                onDuplicateRow={handleDuplicateRow}
+                onMoveRow={handleMoveRow}
+            />
+        );
     }
     
     if (typeof data === 'object' && data !== null) {
@@ -718,10 +831,76 @@ export default function DataTable() {
                 </button>
             )}
             <h2 title={pathForDisplay}>{getHeaderTitle()}</h2>
+            <div className="main-content-actions">
+                {recordFilter && (
+                    <span className="record-filter-chip" title={`Only rows with a ${recordFilter.query} are shown`}>
+                        {recordFilter.query} only
+                        <button onClick={() => setTableFilter(viewingNodePath, RECORD_FILTER_KEY, null)} title="Show all rows">
+                            <span className="icon">close</span>
+                        </button>
+                    </span>
+                )}
+                {hasColumns && (
+                    <button
+                        onClick={() => toggleTablePivot(viewingNodePath)}
+                        className="action-button secondary"
+                        title={isPivot ? 'Show the rows of the table' : 'Group the rows and total them per group'}
+                    >
+                        <span className="icon">{isPivot ? 'table_rows' : 'pivot_table_chart'}</span> {isPivot ? 'Rows' : 'Pivot'}
+                    </button>
+                )}
+                {hasColumns && !isPivot && (
+                    <div className="export-anchor">
+                        <button onClick={() => setIsExporting(!isExporting)} className="action-button secondary" title="Export the table as a spreadsheet">
+                            <span className="icon">table_view</span> Export
+                        </button>
+                        {isExporting && (
+                            <ExportPopover
+                                data={data}
+                                headers={tableColumns[viewingPathKey]}
+                                path={viewingNodePath}
+                                onClose={() => setIsExporting(false)}
+                            />
+                        )}
+                    </div>
+                )}
+                {hasColumns && !isPivot && (
+                    <button
+                        onClick={() => toggleTableFooter(viewingNodePath)}
+                        className="action-button secondary"
+                        title="Show totals, counts and other aggregates of the filtered rows below the table"
+                    >
+                        <span className="icon">functions</span> {tableFooters[viewingPathKey] ? 'Hide Totals' : 'Totals'}
+                    </button>
+                )}
+                {Array.isArray(data) && data.length > 0 && (
+                    <button onClick={() => setIsImporting(true)} className="action-button secondary" title="Add rows from a spreadsheet, as copies of a template row">
+                        <span className="icon">upload_file</span> Import
+                    </button>
+                )}
+                {Array.isArray(data) && (
+                    <button onClick={() => handleInsertRow(data.length)} className="action-button secondary" title="Append a blank row">
+                        <span className="icon">add</span> Add Row
+                    </button>
+                )}
+                {isSingleElement && (
+                    <>
+                        <button onClick={() => handleAddSibling(false)} className="action-button secondary" title={`Add a blank ${lastSegment} next to this one`}>
+                            <span className="icon">add</span> Add Sibling
+                        </button>
+                        <button onClick={() => handleAddSibling(true)} className="action-button secondary" title={`Add a copy of this ${lastSegment}`}>
+                            <span className="icon">content_copy</span> Duplicate
+                        </button>
+                    </>
+                )}
+            </div>
         </div>
         <div className="data-table-wrapper">
             {renderContent()}
         </div>
+        {isImporting && Array.isArray(data) && (
+            <ImportWizard data={data} path={viewingNodePath} onClose={() => setIsImporting(false)} />
+        )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,55 @@
+import React from 'react';
+import useStore, { getOpenDocuments } from '../lib/store';
+import clsx from 'clsx';
+
+/**
+ * Closes an open document, asking first if it has unsaved changes.
+ */
+export function requestCloseDocument(id) {
+  const state = useStore.getState();
+  const target = getOpenDocuments(state).find(openDocument => openDocument.id === id);
+  if (!target) return;
+  if (target.isDirty && !window.confirm(`You have unsaved changes in ${target.fileName}. Close it without saving?`)) return;
+  state.closeDocument(id);
+}
+
+export default function DocumentTabs() {
+  // The tabs show these fields of every open tab.
+  useStore.use.documentIds();
+  useStore.use.activeDocumentId();
+  useStore.use.parkedDocuments();
+  useStore.use.fileName();
+  useStore.use.filePath();
+  useStore.use.historyIndex();
+  useStore.use.savedHistoryIndex();
+  const { switchDocument, setFileOpenerVisible } = useStore.getState();
+  const documents = getOpenDocuments(useStore.getState());
+
+  return (
+    <nav className="document-tabs">
+      {documents.map(tab => (
+        <div
+          key={tab.id}
+          className={clsx('document-tab', { active: tab.isActive })}
+          onClick={() => switchDocument(tab.id)}
+          onAuxClick={(e) => { if (e.button === 1) requestCloseDocument(tab.id); }}
+          title={tab.filePath || tab.fileName}
+        >
+          <span className="icon">description</span>
+          <span className="document-tab-name">{tab.fileName}</span>
+          {tab.isDirty && <span className="dirty-indicator" title="Unsaved changes">●</span>}
+          <button
+            className="document-tab-close"
+            onClick={(e) => { e.stopPropagation(); requestCloseDocument(tab.id); }}
+            title={`Close ${tab.fileName}`}
+          >
+            <span className="icon">close</span>
+          </button>
+        </div>
+      ))}
+      <button className="document-tab-add" onClick={() => setFileOpenerVisible(true)} title="Open another file">
+        <span className="icon">add</span>
+      </button>
+    </nav>
+  );
+}
@@ -1,43 +1,149 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import useStore from '../lib/store';
-import { jsonToXml } from '../lib/xmlUtils';
+import { encodeXML, setDeclaredEncoding, XML_ENCODINGS } from '../lib/xmlUtils';
 import TreeView from './TreeView';
 import DataTable from './DataTable';
+import CompareView from './CompareView';
+import MergeView from './MergeView';
+import ReplaceView from './ReplaceView';
 import ColumnSelectorModal from './ColumnSelectorModal';
 import CleaningLogNotification from './CleaningLogNotification';
-
-function downloadFile(filename, content, mimeType) {
-  const element = document.createElement('a');
-  const file = new Blob([content], { type: mimeType });
-  element.href = URL.createObjectURL(file);
-  element.download = filename;
-  document.body.appendChild(element);
-  element.click();
-  document.body.removeChild(element);
-}
+import HistoryPanel from './HistoryPanel';
+import DocumentTabs, { requestCloseDocument } from './DocumentTabs';
+import TallyNavigator from './TallyNavigator';
+import ProblemsPanel from './ProblemsPanel';
+import SearchPanel from './SearchPanel';
+import { validateDocument } from '../lib/validation';
+import { hasLazyNodes, writeXmlDocument } from '../lib/documentTransfer';
+import useLoadedNode from '../lib/useLoadedNode';
+import desktop from '../lib/desktop';
+import { downloadFile } from '../lib/fileExport';
 
 export default function Editor() {
   const fileName = useStore.use.fileName();
+  const filePath = useStore.use.filePath();
   const xmlDoc = useStore.use.xmlDoc();
-  const reset = useStore.use.reset();
   const nodeForColumnSelection = useStore.use.nodeForColumnSelection();
+  const originalEncoding = xmlDoc?.encoding?.name || 'utf-8';
+  const [targetEncoding, setTargetEncoding] = useState(originalEncoding);
+  const historyLength = useStore.use.history().length;
+  const historyIndex = useStore.use.historyIndex();
+  const isDirty = historyIndex !== useStore.use.savedHistoryIndex();
+  const { undo, redo, loadLazyNode, setNodeForColumnSelection, markSaved } = useStore.getState();
+  // The side panel on the right: 'history', 'problems', 'search' or null.
+  const [sidePanel, setSidePanel] = useState(null);
+  const togglePanel = (panel) => setSidePanel(sidePanel === panel ? null : panel);
+  // What the main area shows: 'table', or the 'compare', 'merge' or 'replace' view in its place.
+  const [mainView, setMainView] = useState('table');
+  const toggleView = (view) => setMainView(mainView === view ? 'table' : view);
+  const viewingNodePath = useStore.use.viewingNodePath();
+  const problems = validateDocument(xmlDoc?.doc);
+  const errorCount = problems.filter(p => p.severity === 'error').length;
+  // Column selection reads every row, so the whole node is loaded before the selector opens.
+  const selectionLoad = useLoadedNode(nodeForColumnSelection?.path ?? null, true);
+  const isPartlyLoaded = !!xmlDoc?.source && hasLazyNodes(xmlDoc.doc);
+  const [loadingAll, setLoadingAll] = useState(false);
 
-  const handleDownload = () => {
-    if (!xmlDoc) return;
+  const loadAll = async () => {
+    setLoadingAll(true);
     try {
-      // Correctly pass the entire document object to the XML generator.
-      const xmlString = jsonToXml(xmlDoc.doc, xmlDoc.rootName);
-      downloadFile(fileName, xmlString, 'text/xml');
+      await loadLazyNode([xmlDoc.rootName], true);
+    } finally {
+      setLoadingAll(false);
+    }
+  };
+
+  // Opening a node, from the tree or a compared record, goes back to the table.
+  useEffect(() => {
+    setMainView('table');
+  }, [viewingNodePath]);
+
+  // Ctrl+S / Ctrl+Shift+S save, reaching the latest `handleSave` through this ref.
+  const saveRef = useRef(null);
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) undo and redo document edits. While a cell or
+  // input has focus, the keys are left to the browser's own text undo. Ctrl+Shift+F
+  // opens the search panel and Ctrl+H find and replace.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.key.toLowerCase() === 's') {
+        e.preventDefault();
+        // Blurring commits the cell being edited, so it is part of what is saved.
+        document.activeElement?.blur();
+        saveRef.current(e.shiftKey);
+        return;
+      }
+      if (e.key.toLowerCase() === 'f' && e.shiftKey) {
+        e.preventDefault();
+        setSidePanel('search');
+        return;
+      }
+      if (e.key.toLowerCase() === 'h') {
+        e.preventDefault();
+        setMainView('replace');
+        return;
+      }
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // In the desktop app the file is saved in place (or through a save dialog); in a
+  // browser it is downloaded.
+  const handleSave = async (saveAs = false) => {
+    const state = useStore.getState();
+    if (!state.xmlDoc) return;
+    const { encoding } = state.xmlDoc;
+    let bytes;
+    try {
+      // Pass the entire document object and its source layout so that order, comments
+      // and whitespace of the original file survive the round trip.
+      const xmlString = await writeXmlDocument(state.xmlDoc);
+      // UTF-16 is always written with a BOM; UTF-8 keeps one only if the original had it.
+      const bom = targetEncoding !== 'utf-8' || (originalEncoding === 'utf-8' && !!encoding?.bom);
+      bytes = encodeXML(setDeclaredEncoding(xmlString, targetEncoding), targetEncoding, bom);
     } catch (error) {
       console.error('Failed to generate XML:', error);
       alert('Error generating XML file.');
+      return;
+    }
+
+    if (!desktop) {
+      downloadFile(state.fileName, bytes, 'text/xml');
+      markSaved(state.activeDocumentId, state.historyIndex, null, state.fileName);
+      return;
+    }
+    try {
+      const saved = saveAs || !state.filePath
+        ? await desktop.saveFileAs(state.fileName, bytes)
+        : await desktop.saveFile(state.filePath, bytes);
+      if (saved) markSaved(state.activeDocumentId, state.historyIndex, saved.path, saved.name);
+    } catch (error) {
+      console.error('Failed to save XML:', error);
+      alert(`Could not save the file: ${error.message}`);
     }
   };
+  saveRef.current = handleSave;
 
-  const handleDownloadJson = () => {
+
+  const handleDownloadJson = async () => {
     if (!xmlDoc) return;
     try {
-      const jsonString = JSON.stringify(xmlDoc.doc, null, 2);
+      // Placeholders have no JSON form, so a lazily opened document is loaded whole first.
+      if (isPartlyLoaded) await loadAll();
+      const jsonString = JSON.stringify(useStore.getState().xmlDoc.doc, null, 2);
       const jsonFileName = fileName.replace(/\.xml$/i, '.json');
       downloadFile(jsonFileName, jsonString, 'application/json');
     } catch (error) {
@@ -56,30 +162,126 @@ export default function Editor() {
       <header className="editor-header">
         <div className="editor-header-title">
           <h1>Tally Code Editor</h1>
-          <span className="file-info">{fileName}</span>
+          <span className="file-info" title={filePath || xmlDoc.encoding?.declaration || 'No XML declaration'}>
+            {fileName}
+            {isDirty && <span className="dirty-indicator" title="Unsaved changes">●</span>}
+          </span>
         </div>
         <div className="header-actions">
-           <button onClick={reset} className="action-button secondary">
+          <button onClick={undo} className="action-button secondary" disabled={historyIndex === 0} title="Undo (Ctrl+Z)">
+            <span className="icon">undo</span>
+          </button>
+          <button onClick={redo} className="action-button secondary" disabled={historyIndex === historyLength} title="Redo (Ctrl+Shift+Z)">
+            <span className="icon">redo</span>
+          </button>
+          {isPartlyLoaded && (
+            <button
+              onClick={() => loadAll().catch(e => alert(`Could not load the whole file: ${e.message}`))}
+              className="action-button secondary"
+              disabled={loadingAll}
+              title="Parts of this large file are loaded as you open them. Load everything, e.g. to check all vouchers."
+            >
+              <span className="icon">{loadingAll ? 'hourglass_top' : 'downloading'}</span> {loadingAll ? 'Loading…' : 'Load All'}
+            </button>
+          )}
+          <button
+            onClick={() => toggleView('compare')}
+            className={mainView === 'compare' ? 'action-button primary' : 'action-button secondary'}
+            title="Compare with the file as opened, or with another open file"
+          >
+            <span className="icon">difference</span> Compare
+          </button>
+          <button
+            onClick={() => toggleView('merge')}
+            className={mainView === 'merge' ? 'action-button primary' : 'action-button secondary'}
+            title="Merge two edited copies of a file into a new file"
+          >
+            <span className="icon">merge</span> Merge
+          </button>
+          <button
+            onClick={() => toggleView('replace')}
+            className={mainView === 'replace' ? 'action-button primary' : 'action-button secondary'}
+            title="Find and replace values across the document (Ctrl+H)"
+          >
+            <span className="icon">find_replace</span> Replace
+          </button>
+          <button onClick={() => togglePanel('search')} className="action-button secondary" title="Search the whole document (Ctrl+Shift+F)">
+            <span className="icon">search</span> Search
+          </button>
+          <button onClick={() => togglePanel('history')} className="action-button secondary" title="Show edit history">
+            <span className="icon">history</span> History
+          </button>
+          <button onClick={() => togglePanel('problems')} className="action-button secondary" title="Show voucher problems">
+            <span className="icon">rule</span> Problems
+            {problems.length > 0 && (
+              <span className={errorCount > 0 ? 'problem-count error' : 'problem-count warning'}>{problems.length}</span>
+            )}
+          </button>
+           <button onClick={() => requestCloseDocument(useStore.getState().activeDocumentId)} className="action-button secondary">
             <span className="icon">close</span> Close File
           </button>
           <button onClick={handleDownloadJson} className="action-button secondary">
             <span className="icon">data_object</span> Download JSON
           </button>
-          <button onClick={handleDownload} className="action-button primary">
-            <span className="icon">download</span> Download XML
-          </button>
+          <select
+            className="encoding-select"
+            value={targetEncoding}
+            onChange={e => setTargetEncoding(e.target.value)}
+            title="Encoding of the downloaded XML file"
+          >
+            {XML_ENCODINGS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}{value === originalEncoding ? ' (original)' : ''}
+              </option>
+            ))}
+          </select>
+          {desktop ? (
+            <>
+              <button onClick={() => handleSave(true)} className="action-button secondary" title="Save to a new file (Ctrl+Shift+S)">
+                <span className="icon">save_as</span> Save As…
+              </button>
+              <button onClick={() => handleSave(false)} className="action-button primary" title={filePath ? `Save to ${filePath} (Ctrl+S)` : 'Save (Ctrl+S)'}>
+                <span className="icon">save</span> Save
+              </button>
+            </>
+          ) : (
+            <button onClick={() => handleSave(false)} className="action-button primary" title="Download the XML file (Ctrl+S)">
+              <span className="icon">download</span> Download XML
+            </button>
+          )}
         </div>
       </header>
+      <DocumentTabs />
        <CleaningLogNotification />
       <main className="editor-main">
         <aside className="sidebar">
+            <TallyNavigator doc={xmlDoc.doc} />
             <TreeView data={xmlDoc.doc} />
         </aside>
         <div className="main-content">
-          <DataTable />
+          {mainView === 'compare' && <CompareView onClose={() => setMainView('table')} />}
+          {mainView === 'merge' && <MergeView onClose={() => setMainView('table')} />}
+          {mainView === 'replace' && <ReplaceView onClose={() => setMainView('table')} />}
+          {mainView === 'table' && <DataTable />}
         </div>
+        {sidePanel === 'history' && <HistoryPanel onClose={() => setSidePanel(null)} />}
+        {sidePanel === 'problems' && <ProblemsPanel onClose={() => setSidePanel(null)} />}
+        {sidePanel === 'search' && <SearchPanel onClose={() => setSidePanel(null)} />}
       </main>
-      {nodeForColumnSelection && <ColumnSelectorModal />}
+      {nodeForColumnSelection && (selectionLoad.loading || selectionLoad.error ? (
+        <div className="modal-overlay">
+          <div className="modal-content modal-loading">
+            <p>
+              {selectionLoad.error
+                ? `Could not load ${nodeForColumnSelection.path.join('.')}: ${selectionLoad.error}`
+                : `Loading ${nodeForColumnSelection.path.join('.')}…`}
+            </p>
+            <button className="action-button secondary" onClick={() => setNodeForColumnSelection(null)}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <ColumnSelectorModal />
+      ))}
     </div>
   );
 }
\ No newline at end of file
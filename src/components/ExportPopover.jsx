@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import useStore from '../lib/store';
+import { buildTableSheet, writeCsv, CSV_DELIMITERS, CSV_ENCODINGS } from '../lib/tableExport';
+import { writeXlsx } from '../lib/xlsx';
+import { saveExportedFile } from '../lib/fileExport';
+
+const FORMATS = {
+    xlsx: { label: 'Excel workbook (.xlsx)', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    csv: { label: 'CSV (.csv)', mimeType: 'text/csv' },
+};
+
+/**
+ * Exports the rows a table shows, with its columns, filters and sort, as a spreadsheet.
+ */
+export default function ExportPopover({ data, headers, path, onClose }) {
+    const fileName = useStore.use.fileName();
+    const [format, setFormat] = useState('xlsx');
+    const [delimiter, setDelimiter] = useState(',');
+    const [encoding, setEncoding] = useState('utf-8-bom');
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const handleExport = async () => {
+        const { tableFilters, tableSorts } = useStore.getState();
+        const pathKey = JSON.stringify(path);
+        const tableName = [...path].reverse().find(segment => typeof segment === 'string') || 'Table';
+        const baseName = `${fileName.replace(/\.[^.]*$/, '') || 'export'}-${tableName}`;
+        setBusy(true);
+        try {
+            const sheet = buildTableSheet(data, headers, path, tableFilters[pathKey], tableSorts[pathKey]);
+            const bytes = format === 'xlsx' ? writeXlsx({ name: tableName, ...sheet }) : writeCsv(sheet, delimiter, encoding);
+            if (await saveExportedFile(`${baseName}.${format}`, bytes, FORMATS[format].mimeType)) onClose();
+        } catch (e) {
+            console.error('Failed to export the table:', e);
+            setError(`Could not export the table: ${e.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="filter-popover export-popover" onClick={e => e.stopPropagation()}>
+            <p className="bulk-edit-title">Export the rows shown, with the table's filters and sort</p>
+            <select className="encoding-select" value={format} onChange={e => setFormat(e.target.value)}>
+                {Object.entries(FORMATS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            {format === 'csv' && (
+                <>
+                    <select className="encoding-select" value={delimiter} onChange={e => setDelimiter(e.target.value)} title="Delimiter">
+                        {CSV_DELIMITERS.map(({ value, label }) => <option key={label} value={value}>{label}</option>)}
+                    </select>
+                    <select className="encoding-select" value={encoding} onChange={e => setEncoding(e.target.value)} title="Encoding">
+                        {CSV_ENCODINGS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                </>
+            )}
+            <button onClick={handleExport} title="Export" disabled={busy}><span className="icon">check</span></button>
+            <button onClick={onClose} title="Close"><span className="icon">clear</span></button>
+            {error && <p className="filter-error">{error}</p>}
+        </div>
+    );
+}
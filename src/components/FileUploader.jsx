@@ -1,44 +1,81 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef, useEffect } from 'react';
 import useStore from '../lib/store';
-import { decodeXML, cleanXML, parseXML } from '../lib/xmlUtils';
+import { openXmlFile } from '../lib/documentLoader';
+import desktop from '../lib/desktop';
 import clsx from 'clsx';
 
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
 export default function FileUploader() {
-  const setFile = useStore.use.setFile();
+  const openDocument = useStore.use.openDocument();
+  const hasOpenDocuments = useStore.use.documentIds().length > 0;
+  const { setFileOpenerVisible } = useStore.getState();
   const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState({ loaded: 0, total: 0 });
   const [dragging, setDragging] = useState(false);
   const [error, setError] = useState('');
+  // The file being opened, with its `cancel`.
+  const openingRef = useRef(null);
+  const [recentFiles, setRecentFiles] = useState([]);
+
+  useEffect(() => {
+    desktop?.getRecentFiles().then(setRecentFiles, () => setRecentFiles([]));
+  }, []);
 
+  // `filePath` is where the desktop app can save the file back to; files dropped or
+  // picked with the browser's file input have none.
   const handleFile = useCallback(
-    async (file) => {
+    async (file, filePath = null) => {
       if (file && (file.type === 'text/xml' || file.name.endsWith('.xml'))) {
         setLoading(true);
         setError('');
+        setProgress({ loaded: 0, total: file.size });
+        // Decoding, cleaning and parsing run in a worker, so the page stays responsive.
+        const opening = openXmlFile(file, setProgress);
+        openingRef.current = opening;
         try {
-          const buffer = await file.arrayBuffer();
-          const decodedText = decodeXML(buffer);
-          const { cleaned, removedCount, log } = cleanXML(decodedText);
-          const { doc, rootName } = parseXML(cleaned);
-          
-          const fileData = {
-            doc: { [rootName]: doc }, // Wrap with root element name
-            rootName: rootName,
-            originalXml: cleaned
-          };
-          
-          setFile(file.name, fileData, removedCount, log);
+          const { xmlDoc, removedCount, log } = await opening.promise;
+          openDocument(file.name, xmlDoc, removedCount, log, filePath);
         } catch (e) {
+          setLoading(false);
+          if (e.name === 'AbortError') return;
           console.error('File processing error:', e);
           setError(`Failed to parse XML file. Please check the file encoding and format. Error: ${e.message}`);
-          setLoading(false);
+        } finally {
+          openingRef.current = null;
         }
       } else {
         setError('Please upload a valid XML file.');
       }
     },
-    [setFile]
+    [openDocument]
   );
 
+  // Files the desktop app reads for us arrive as bytes, with the path they came from.
+  const handleNativeFile = async (readFile) => {
+    try {
+      const opened = await readFile();
+      if (opened) handleFile(new File([opened.data], opened.name, { type: 'text/xml' }), opened.path);
+    } catch (e) {
+      setError(`Could not open the file: ${e.message}`);
+      desktop.getRecentFiles().then(setRecentFiles, () => {});
+    }
+  };
+
+  const handleBrowse = () => {
+    if (loading) return;
+    if (desktop) {
+      handleNativeFile(() => desktop.openFile());
+    } else {
+      document.getElementById('file-input')?.click();
+    }
+  };
+
+  const handleCancel = (e) => {
+    e.stopPropagation();
+    openingRef.current?.cancel();
+  };
+
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
     setDragging(true);
@@ -69,15 +106,32 @@ export default function FileUploader() {
       <h1>
         <span className="icon">receipt_long</span> Tally Code Editor
       </h1>
+      {hasOpenDocuments && !loading && (
+        <button className="action-button secondary" onClick={() => setFileOpenerVisible(false)}>
+          <span className="icon">arrow_back</span> Back to Open Files
+        </button>
+      )}
       <div
         className={clsx('drop-zone', { dragging })}
         onDragOver={handleDragOver}
         onDragLeave={handleDragLeave}
         onDrop={handleDrop}
-        onClick={() => document.getElementById('file-input')?.click()}
+        onClick={handleBrowse}
       >
         {loading ? (
-          <p>Processing...</p>
+          <div className="load-progress">
+            <p>
+              {progress.loaded < progress.total
+                ? `Reading ${formatSize(progress.loaded)} of ${formatSize(progress.total)}…`
+                : 'Preparing the document…'}
+            </p>
+            <div className="load-progress-bar">
+              <div style={{ width: `${progress.total ? (progress.loaded / progress.total) * 100 : 100}%` }} />
+            </div>
+            <button type="button" className="action-button secondary" onClick={handleCancel}>
+              <span className="icon">close</span> Cancel
+            </button>
+          </div>
         ) : (
           <>
             <span className="icon">upload_file</span>
@@ -97,6 +151,22 @@ export default function FileUploader() {
         onChange={handleFileChange}
       />
       {error && <p style={{ color: 'var(--accent-red)' }}>{error}</p>}
+      {recentFiles.length > 0 && !loading && (
+        <div className="recent-files">
+          <h3>Recent Files</h3>
+          <ul>
+            {recentFiles.map(recent => (
+              <li key={recent.path}>
+                <button onClick={() => handleNativeFile(() => desktop.openRecentFile(recent.path))} title={recent.path}>
+                  <span className="icon">description</span>
+                  <span className="recent-file-name">{recent.name}</span>
+                  <span className="recent-file-path">{recent.path}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,45 @@
+import React from 'react';
+import useStore from '../lib/store';
+import clsx from 'clsx';
+
+export default function HistoryPanel({ onClose }) {
+  const history = useStore.use.history();
+  const historyIndex = useStore.use.historyIndex();
+  const { jumpToHistory } = useStore.getState();
+
+  return (
+    <aside className="history-panel">
+      <div className="history-panel-header">
+        <h3>History</h3>
+        <button className="action-button secondary" onClick={onClose} style={{ padding: '4px' }} title="Close history">
+          <span className="icon">close</span>
+        </button>
+      </div>
+      <ul className="history-list">
+        <li
+          className={clsx('history-item', { current: historyIndex === 0 })}
+          onClick={() => jumpToHistory(0)}
+          title="Revert to the file as it was opened"
+        >
+          <span className="history-label">Opened file</span>
+        </li>
+        {history.map((entry, index) => (
+          <li
+            key={index}
+            className={clsx('history-item', {
+              current: historyIndex === index + 1,
+              undone: index >= historyIndex,
+            })}
+            onClick={() => jumpToHistory(index + 1)}
+          >
+            <span className="history-label">{entry.label}</span>
+            <span className="history-path" title={entry.path.join('.')}>{entry.path.join('.')}</span>
+          </li>
+        ))}
+      </ul>
+      {history.length === 0 && (
+        <p style={{ color: 'var(--fg-muted)', fontStyle: 'italic', padding: '0 16px' }}>No edits yet.</p>
+      )}
+    </aside>
+  );
+}
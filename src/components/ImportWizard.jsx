@@ -0,0 +1,353 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import get from 'lodash.get';
+import clsx from 'clsx';
+import useStore from '../lib/store';
+import { jsonToXml, parseXML } from '../lib/xmlUtils';
+import { EXPRESSION_SYNTAX_HELP } from '../lib/expression';
+import { writeXmlDocument } from '../lib/documentTransfer';
+import {
+    FIELD_SOURCES,
+    readSpreadsheet,
+    toImportTable,
+    listTemplateFields,
+    suggestMappings,
+    buildImportRecords,
+    buildImportEnvelope,
+} from '../lib/tableImport';
+
+const STEPS = ['Spreadsheet', 'Fields', 'Preview'];
+
+// How many generated records the preview lists.
+const PREVIEW_LIMIT = 500;
+
+const getImportName = (fileName) => `${fileName.replace(/\.[^.]*$/, '')}-import.xml`;
+
+/**
+ * Imports the rows of a spreadsheet as new rows of a table. Each row becomes a copy of a
+ * template row, such as an existing voucher with its ledger entries, whose fields are
+ * filled from the spreadsheet's columns. The records are previewed and checked before
+ * they are appended to the table or written into a new document.
+ */
+export default function ImportWizard({ data, path, onClose }) {
+    const { appendRows, openDocument } = useStore.getState();
+    const rows = Array.isArray(data) ? data : [data];
+    const tableKey = [...path].reverse().find(segment => typeof segment === 'string');
+    const fileInputRef = useRef(null);
+
+    const [step, setStep] = useState(0);
+    const [fileName, setFileName] = useState('');
+    const [cells, setCells] = useState(null);
+    const [hasHeader, setHasHeader] = useState(true);
+    const [templateIndex, setTemplateIndex] = useState(0);
+    const [mappings, setMappings] = useState({});
+    const [showAllFields, setShowAllFields] = useState(false);
+    const [destination, setDestination] = useState('append');
+    const [skipInvalid, setSkipInvalid] = useState(false);
+    const [selectedResult, setSelectedResult] = useState(0);
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const table = useMemo(() => (cells ? toImportTable(cells, hasHeader) : null), [cells, hasHeader]);
+    const template = rows[templateIndex];
+    const fields = useMemo(() => listTemplateFields(template), [template]);
+
+    // A new spreadsheet or template starts from the suggested mapping.
+    useEffect(() => {
+        if (table) setMappings(suggestMappings(fields, table.columns));
+    }, [fields, table]);
+
+    const build = useMemo(() => {
+        if (step !== 2 || !table) return null;
+        try {
+            return { results: buildImportRecords(template, tableKey, fields, mappings, table) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    }, [step, template, tableKey, fields, mappings, table]);
+
+    const results = build?.results || [];
+    const invalidCount = results.filter(result => result.errors.length > 0).length;
+    const importable = skipInvalid ? results.filter(result => result.errors.length === 0) : results;
+    const canImport = importable.length > 0 && (skipInvalid || invalidCount === 0);
+
+    const handleFile = async (file) => {
+        if (!file) return;
+        setBusy(true);
+        setError(null);
+        try {
+            const sheet = await readSpreadsheet(await file.arrayBuffer(), file.name);
+            if (sheet.length === 0) throw new Error('The spreadsheet is empty.');
+            setFileName(file.name);
+            setCells(sheet);
+        } catch (e) {
+            console.error('Failed to read the spreadsheet:', e);
+            setError(`Could not read ${file.name}: ${e.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const setMapping = (id, mapping) => setMappings(prev => ({ ...prev, [id]: mapping }));
+
+    const handleSourceChange = (field, source) => {
+        if (source.startsWith('column:')) {
+            setMapping(field.id, { mode: 'column', column: Number(source.slice(7)) });
+        } else if (source === 'constant') {
+            setMapping(field.id, { mode: 'constant', value: field.value });
+        } else if (source === 'formula') {
+            setMapping(field.id, { mode: 'formula', formula: 'value' });
+        } else {
+            setMapping(field.id, { mode: source });
+        }
+    };
+
+    const handleImport = async () => {
+        const records = importable.map(result => result.record);
+        const label = `Import ${records.length} ${records.length === 1 ? 'row' : 'rows'} from ${fileName}`;
+        if (destination === 'append') {
+            appendRows(label, path, records);
+            onClose();
+            return;
+        }
+        try {
+            const { xmlDoc, fileName: documentName } = useStore.getState();
+            const rootName = path[0];
+            // The envelope's header elements may not have been loaded from the file yet.
+            const originalXml = await writeXmlDocument({ doc: { [rootName]: buildImportEnvelope(xmlDoc.doc, path, records) }, rootName });
+            const parsed = parseXML(originalXml);
+            openDocument(getImportName(documentName), {
+                doc: { [parsed.rootName]: parsed.doc },
+                rootName: parsed.rootName,
+                originalXml,
+                layout: parsed.layout,
+                encoding: xmlDoc.encoding,
+                source: null,
+            }, 0, [], null, true);
+            onClose();
+        } catch (e) {
+            console.error('Failed to create the import document:', e);
+            setError(`Could not create the document: ${e.message}`);
+        }
+    };
+
+    // A short description of a row of the table, to pick the template by.
+    const describeRow = (row) => listTemplateFields(row)
+        .map(field => field.value)
+        .filter(value => value !== '')
+        .slice(0, 4)
+        .join(' · ');
+
+    const renderSpreadsheetStep = () => (
+        <>
+            <div className="import-file">
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".xlsx,.csv,.tsv,.txt"
+                    style={{ display: 'none' }}
+                    onChange={e => { handleFile(e.target.files[0]); e.target.value = ''; }}
+                />
+                <button className="action-button secondary" onClick={() => fileInputRef.current.click()} disabled={busy}>
+                    <span className="icon">upload_file</span> {fileName ? 'Choose Another File' : 'Choose a Spreadsheet'}
+                </button>
+                <span className="import-file-name">
+                    {busy ? 'Reading…' : fileName || 'An Excel workbook (.xlsx, first sheet) or a CSV file'}
+                </span>
+            </div>
+            {table && (
+                <>
+                    <label className="bulk-edit-option">
+                        <input type="checkbox" checked={hasHeader} onChange={e => setHasHeader(e.target.checked)} />
+                        The first row holds the column names
+                    </label>
+                    <p className="import-note">
+                        {table.rows.length} {table.rows.length === 1 ? 'row' : 'rows'} in {table.columns.length} columns:{' '}
+                        {table.columns.map(column => column.name).join(', ')}
+                    </p>
+                </>
+            )}
+            <div className="import-template">
+                <label htmlFor="import-template-row">Template row</label>
+                <input
+                    id="import-template-row"
+                    type="number"
+                    min={1}
+                    max={rows.length}
+                    value={templateIndex + 1}
+                    onChange={e => setTemplateIndex(Math.min(Math.max(Number(e.target.value) || 1, 1), rows.length) - 1)}
+                />
+                <span className="import-note" title={describeRow(template)}>{describeRow(template)}</span>
+            </div>
+            <p className="import-note">
+                Every spreadsheet row becomes a copy of the template row, with the fields you choose filled from the row.
+            </p>
+        </>
+    );
+
+    const renderSource = (field) => {
+        const mapping = mappings[field.id] || { mode: 'template' };
+        const value = mapping.mode === 'column' ? `column:${mapping.column}` : mapping.mode;
+        return (
+            <div className="import-source">
+                <select className="encoding-select" value={value} onChange={e => handleSourceChange(field, e.target.value)}>
+                    <option value="template">{FIELD_SOURCES.template}</option>
+                    <optgroup label={FIELD_SOURCES.column}>
+                        {table.columns.map((column, index) => (
+                            <option key={column.identifier} value={`column:${index}`}>{column.name}</option>
+                        ))}
+                    </optgroup>
+                    <option value="constant">{FIELD_SOURCES.constant}</option>
+                    <option value="formula">{FIELD_SOURCES.formula}</option>
+                    <option value="clear">{FIELD_SOURCES.clear}</option>
+                </select>
+                {mapping.mode === 'constant' && (
+                    <input type="text" value={mapping.value} onChange={e => setMapping(field.id, { ...mapping, value: e.target.value })} aria-label={`Value of ${field.label}`} />
+                )}
+                {mapping.mode === 'formula' && (
+                    <input
+                        type="text"
+                        className="import-formula"
+                        value={mapping.formula}
+                        title={EXPRESSION_SYNTAX_HELP}
+                        onChange={e => setMapping(field.id, { ...mapping, formula: e.target.value })}
+                        aria-label={`Formula of ${field.label}`}
+                    />
+                )}
+            </div>
+        );
+    };
+
+    const renderFieldsStep = () => {
+        const visibleFields = fields.filter(field => (
+            showAllFields || field.value !== '' || (mappings[field.id]?.mode || 'template') !== 'template'
+        ));
+        return (
+            <>
+                <div className="import-fields-options">
+                    <label className="bulk-edit-option">
+                        <input type="checkbox" checked={showAllFields} onChange={e => setShowAllFields(e.target.checked)} />
+                        Show empty fields of the template
+                    </label>
+                    <span className="import-note" title={EXPRESSION_SYNTAX_HELP}>
+                        Formulas read columns as {table.columns.map(column => column.identifier).join(', ')}, and the template's value as value.
+                    </span>
+                </div>
+                <table className="data-table import-table">
+                    <thead>
+                        <tr>
+                            <th>Field</th>
+                            <th>Template value</th>
+                            <th>Value from</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {visibleFields.map(field => (
+                            <tr key={field.id}>
+                                <td title={field.type === 'text' ? field.label : `${field.label} (${field.type})`}>{field.label}</td>
+                                <td className="import-template-value">{field.value}</td>
+                                <td>{renderSource(field)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </>
+        );
+    };
+
+    const renderPreviewStep = () => {
+        if (build?.error) return <p className="filter-error">{build.error}</p>;
+        const mappedFields = fields.filter(field => !['template', 'clear'].includes(mappings[field.id]?.mode || 'template'));
+        const selected = results[selectedResult];
+        return (
+            <>
+                <p className="import-note">
+                    {results.length} {results.length === 1 ? 'record' : 'records'}
+                    {invalidCount > 0 ? `, ${invalidCount} with errors` : ', all valid'}.
+                    {results.length > PREVIEW_LIMIT && ` The first ${PREVIEW_LIMIT} are listed.`}
+                </p>
+                <table className="data-table import-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Values</th>
+                            <th>Problems</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {results.slice(0, PREVIEW_LIMIT).map((result, index) => (
+                            <tr
+                                key={result.number}
+                                className={clsx('import-preview-row', { selected: index === selectedResult })}
+                                onClick={() => setSelectedResult(index)}
+                            >
+                                <td>{result.number}</td>
+                                <td>{mappedFields.map(field => get(result.record, field.path)).filter(Boolean).join(' · ')}</td>
+                                <td>
+                                    {result.errors.map(message => <div key={message} className="import-error">{message}</div>)}
+                                    {result.warnings.map(message => <div key={message} className="import-warning">{message}</div>)}
+                                    {result.errors.length + result.warnings.length === 0 && <span className="icon import-ok">check</span>}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {selected && (
+                    <pre className="import-xml" title={`The record of spreadsheet row ${selected.number}`}>
+                        {jsonToXml({ [tableKey]: selected.record }, tableKey).replace(/^<\?xml[^>]*\?>\n/, '')}
+                    </pre>
+                )}
+                <div className="import-destination">
+                    <label className="bulk-edit-option">
+                        <input type="radio" checked={destination === 'append'} onChange={() => setDestination('append')} />
+                        Append to this table
+                    </label>
+                    <label className="bulk-edit-option">
+                        <input type="radio" checked={destination === 'new'} onChange={() => setDestination('new')} />
+                        Create a new {path[0]} with only these records
+                    </label>
+                    {invalidCount > 0 && (
+                        <label className="bulk-edit-option">
+                            <input type="checkbox" checked={skipInvalid} onChange={e => setSkipInvalid(e.target.checked)} />
+                            Leave out the {invalidCount} {invalidCount === 1 ? 'record' : 'records'} with errors
+                        </label>
+                    )}
+                </div>
+            </>
+        );
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content import-wizard" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h2>Import rows into {tableKey}</h2>
+                    <button className="action-button secondary" onClick={onClose} style={{ padding: '4px' }}><span className="icon">close</span></button>
+                </div>
+                <div className="import-steps">
+                    {STEPS.map((name, index) => (
+                        <span key={name} className={clsx('import-step', { active: index === step, done: index < step })}>
+                            {index + 1}. {name}
+                        </span>
+                    ))}
+                </div>
+                <div className="modal-body">
+                    {step === 0 && renderSpreadsheetStep()}
+                    {step === 1 && renderFieldsStep()}
+                    {step === 2 && renderPreviewStep()}
+                    {error && <p className="filter-error">{error}</p>}
+                </div>
+                <div className="modal-footer">
+                    {step > 0 && <button onClick={() => setStep(step - 1)} className="action-button secondary">Back</button>}
+                    {step < STEPS.length - 1 && (
+                        <button onClick={() => setStep(step + 1)} className="action-button primary" disabled={!table || table.rows.length === 0}>Next</button>
+                    )}
+                    {step === STEPS.length - 1 && (
+                        <button onClick={handleImport} className="action-button primary" disabled={!canImport}>
+                            Import {importable.length} {importable.length === 1 ? 'Record' : 'Records'}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import clsx from 'clsx';
+import useStore, { getOpenDocuments } from '../lib/store';
+import { jsonToXml } from '../lib/xmlUtils';
+import { getComparableDocument } from '../lib/documentDiff';
+import { planMerge, applyMerge } from '../lib/documentMerge';
+import useVirtualWindow from '../lib/useVirtualWindow';
+
+const ROLES = [
+  { role: 'base', label: 'Base', title: 'The file both copies were edited from' },
+  { role: 'ours', label: 'Ours', title: 'The edited copy the merged file starts from' },
+  { role: 'theirs', label: 'Theirs', title: 'The edited copy whose changes are merged in' },
+];
+
+// Estimated row height for windowed rendering.
+const ROW_HEIGHT = 53;
+
+function formatValue(value, kind) {
+  if (kind === 'record') return value === undefined ? 'Deleted' : 'Changed';
+  if (value === undefined) return '(missing)';
+  if (Array.isArray(value)) return `${value.length} items`;
+  if (typeof value === 'object' && value !== null) return value['#text'] ?? '…';
+  return String(value) === '' ? '(empty)' : String(value);
+}
+
+// The name of the merged file, from that of ours.
+const getMergedName = (fileName) => `${fileName.replace(/\.xml$/i, '')}-merged.xml`;
+
+/**
+ * Merges two edited copies of a file, both open as documents, against the file they
+ * were edited from. Changes that do not overlap are merged automatically; for each
+ * field both copies changed differently, ours, theirs or a typed value is chosen. The
+ * result opens as a new document.
+ */
+export default function MergeView({ onClose }) {
+  // The files to merge are chosen from the open documents.
+  useStore.use.xmlDoc();
+  const activeDocumentId = useStore.use.activeDocumentId();
+  useStore.use.documentIds();
+  useStore.use.parkedDocuments();
+  const { openDocument, setFileOpenerVisible } = useStore.getState();
+  const documents = getOpenDocuments(useStore.getState());
+
+  const [roles, setRoles] = useState(() => {
+    const others = documents.filter(openDocument => !openDocument.isActive);
+    return { base: others[0]?.id ?? null, ours: activeDocumentId, theirs: others[1]?.id ?? null };
+  });
+  const findDocument = (id) => documents.find(openDocument => openDocument.id === id);
+  const [base, ours, theirs] = [roles.base, roles.ours, roles.theirs].map(findDocument);
+  const isReady = !!(base && ours && theirs) && new Set([base.id, ours.id, theirs.id]).size === 3;
+
+  const [result, setResult] = useState(null);
+  const [resolutions, setResolutions] = useState({});
+  const tbodyRef = useRef(null);
+
+  // Parsing the files to merge can take a moment, so it waits for "Merging…" to show.
+  useEffect(() => {
+    setResult(null);
+    setResolutions({});
+    if (!isReady) return undefined;
+    let isCurrent = true;
+    const timer = setTimeout(async () => {
+      try {
+        const [baseDoc, oursDoc, theirsDoc] = await Promise.all(
+          [base, ours, theirs].map(openDocument => getComparableDocument(openDocument.xmlDoc)),
+        );
+        const plan = planMerge(baseDoc, oursDoc, theirsDoc);
+        if (isCurrent) setResult({ plan, oursDoc });
+      } catch (error) {
+        console.error('Failed to merge documents:', error);
+        if (isCurrent) setResult({ error: error.message });
+      }
+    }, 0);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [isReady, base?.xmlDoc, ours?.xmlDoc, theirs?.xmlDoc]);
+
+  const conflicts = result?.plan?.conflicts || [];
+  const sizes = useMemo(() => conflicts.map(() => ROW_HEIGHT), [conflicts]);
+  const { start, end, before, after } = useVirtualWindow(tbodyRef, sizes);
+  const unresolvedCount = conflicts.filter(conflict => !resolutions[conflict.id]).length;
+
+  const resolve = (id, resolution) => setResolutions(prev => ({ ...prev, [id]: resolution }));
+  const resolveAll = (take) => setResolutions(Object.fromEntries(conflicts.map(conflict => [conflict.id, { take }])));
+
+  const handleCreate = () => {
+    const { rootName, layout, encoding } = ours.xmlDoc;
+    try {
+      const doc = applyMerge(result.oursDoc, result.plan, resolutions);
+      openDocument(getMergedName(ours.fileName), {
+        doc,
+        rootName,
+        originalXml: jsonToXml(doc, rootName, layout),
+        // A copy, as documents are told apart by their layout (see getOriginalDocument).
+        layout: { ...layout },
+        encoding,
+        source: null,
+      }, 0, [], null, true);
+    } catch (error) {
+      console.error('Failed to create the merged document:', error);
+      alert(`Could not create the merged file: ${error.message}`);
+    }
+  };
+
+  const renderContent = () => {
+    if (documents.length < 3) {
+      return (
+        <div className="placeholder">
+          <span className="icon">merge</span>
+          <p>Open the base file and both edited copies to merge them.</p>
+          <button className="action-button primary" onClick={() => setFileOpenerVisible(true)}>
+            <span className="icon">folder_open</span> Open File
+          </button>
+        </div>
+      );
+    }
+    if (!isReady) {
+      return (
+        <div className="placeholder">
+          <span className="icon">merge</span>
+          <p>Choose three different files as base, ours and theirs.</p>
+        </div>
+      );
+    }
+    if (!result) {
+      return (
+        <div className="placeholder">
+          <span className="icon">hourglass_top</span>
+          <p>Merging…</p>
+        </div>
+      );
+    }
+    if (result.error) {
+      return (
+        <div className="placeholder">
+          <span className="icon">error</span>
+          <p>Could not merge the files: {result.error}</p>
+        </div>
+      );
+    }
+
+    const { summary } = result.plan;
+    return (
+      <>
+        <div className="merge-summary">
+          <p>
+            Merged automatically: {summary.fromTheirs} field changes from {theirs.fileName},
+            {' '}{summary.fromOurs} kept from {ours.fileName}, {summary.added} records added
+            and {summary.removed} removed.
+          </p>
+          <p>
+            {conflicts.length === 0
+              ? 'No conflicts.'
+              : `${conflicts.length} conflicts, ${unresolvedCount} still to resolve.`}
+          </p>
+        </div>
+        {conflicts.length > 0 && (
+          <table className="data-table merge-table">
+            <thead>
+              <tr>
+                <th>Record</th>
+                <th>Field</th>
+                <th>Base</th>
+                <th>Ours</th>
+                <th>Theirs</th>
+                <th>Manual</th>
+              </tr>
+            </thead>
+            <tbody ref={tbodyRef}>
+              {before > 0 && (
+                <tr className="virtual-spacer" style={{ height: before }}><td colSpan={6} /></tr>
+              )}
+              {conflicts.slice(start, end).map(conflict => {
+                const resolution = resolutions[conflict.id];
+                const choice = (take) => (
+                  <button
+                    className={clsx('merge-choice', { selected: resolution?.take === take })}
+                    onClick={() => resolve(conflict.id, { take })}
+                    title={`Take ${take}`}
+                  >
+                    {formatValue(conflict[take], conflict.kind)}
+                  </button>
+                );
+                return (
+                  <tr key={conflict.id} className={clsx({ 'row-warning': !resolution })}>
+                    <td>{conflict.label}</td>
+                    <td className="merge-field">{conflict.field ?? 'Whole record'}</td>
+                    <td className="merge-base">{conflict.kind === 'record' ? '—' : formatValue(conflict.base)}</td>
+                    <td>{choice('ours')}</td>
+                    <td>{choice('theirs')}</td>
+                    <td>
+                      {conflict.isText && (
+                        <input
+                          className={clsx('merge-manual', { selected: resolution?.take === 'manual' })}
+                          value={resolution?.take === 'manual' ? resolution.value : ''}
+                          onChange={e => resolve(conflict.id, { take: 'manual', value: e.target.value })}
+                          placeholder="Type a value"
+                        />
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+              {after > 0 && (
+                <tr className="virtual-spacer" style={{ height: after }}><td colSpan={6} /></tr>
+              )}
+            </tbody>
+          </table>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="data-panel">
+      <div className="main-content-header">
+        <h2>Merge</h2>
+        {documents.length >= 3 && ROLES.map(({ role, label, title }) => (
+          <label key={role} className="compare-baseline" title={title}>
+            {label}
+            <select
+              className="encoding-select"
+              value={roles[role] ?? ''}
+              onChange={e => setRoles(prev => ({ ...prev, [role]: Number(e.target.value) }))}
+            >
+              {!findDocument(roles[role]) && <option value="">Choose a file</option>}
+              {documents.map(openDocument => (
+                <option key={openDocument.id} value={openDocument.id}>{openDocument.fileName}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <div className="main-content-actions">
+          {conflicts.length > 0 && (
+            <>
+              <button onClick={() => resolveAll('ours')} className="action-button secondary" title="Resolve every conflict with ours">
+                All Ours
+              </button>
+              <button onClick={() => resolveAll('theirs')} className="action-button secondary" title="Resolve every conflict with theirs">
+                All Theirs
+              </button>
+            </>
+          )}
+          <button
+            onClick={handleCreate}
+            className="action-button primary"
+            disabled={!result?.plan || unresolvedCount > 0}
+            title={unresolvedCount > 0 ? 'Resolve every conflict first' : 'Open the merged file as a new document'}
+          >
+            <span className="icon">merge</span> Create Merged File
+          </button>
+          <button onClick={onClose} className="action-button secondary" title="Back to the table">
+            <span className="icon">close</span>
+          </button>
+        </div>
+      </div>
+      <div className="data-table-wrapper">
+        {renderContent()}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+import React, { useState, useMemo, useRef } from 'react';
+import useStore from '../lib/store';
+import { getHeaderKey } from '../lib/tableModel';
+import { AGGREGATES, getAggregatesFor, getDefaultAggregate, resolveAggregate } from '../lib/tableAggregates';
+import { DATE_GROUPINGS, buildPivot, narrowFilter } from '../lib/tablePivot';
+import useVirtualWindow from '../lib/useVirtualWindow';
+
+// Estimated row height for windowed rendering.
+const ROW_HEIGHT = 45;
+
+/**
+ * The pivot of a table: its filtered rows grouped by some of the table's columns, with
+ * subtotals of others. A group opens into the groups of the next column, or shows its
+ * rows in the table with filters for it.
+ */
+export default function PivotView({ rows, headers, columnTypes, filterTypes, pathPrefix, pivot, getColumnName }) {
+  const { setTablePivot, setTableFilter } = useStore.getState();
+  const [expanded, setExpanded] = useState(() => new Set());
+  const tbodyRef = useRef(null);
+  const { dimensions, measures } = pivot;
+
+  // Only columns of plain values can be grouped by or aggregated.
+  const columnKeys = headers.map(getHeaderKey).filter(key => filterTypes[key] === 'simple');
+
+  const result = useMemo(
+    () => (dimensions.length > 0 ? buildPivot(rows, dimensions, measures, columnTypes) : null),
+    [rows, dimensions, measures, columnTypes],
+  );
+
+  // The groups on screen: the first level, and the subgroups of every open group.
+  const visibleGroups = useMemo(() => {
+    const list = [];
+    const add = (groups) => groups.forEach(group => {
+      list.push(group);
+      if (group.children && expanded.has(group.id)) add(group.children);
+    });
+    if (result) add(result.groups);
+    return list;
+  }, [result, expanded]);
+  const sizes = useMemo(() => visibleGroups.map(() => ROW_HEIGHT), [visibleGroups]);
+  const { start, end, before, after } = useVirtualWindow(tbodyRef, sizes);
+
+  const updatePivot = (changes) => setTablePivot(pathPrefix, { ...pivot, ...changes });
+
+  const addDimension = (key) => {
+    updatePivot({ dimensions: [...dimensions, { key, by: columnTypes[key] === 'date' ? 'month' : 'value' }] });
+    setExpanded(new Set());
+  };
+  const updateDimension = (index, changes) => {
+    updatePivot({ dimensions: dimensions.map((dimension, i) => (i === index ? { ...dimension, ...changes } : dimension)) });
+  };
+  const removeDimension = (index) => {
+    updatePivot({ dimensions: dimensions.filter((_, i) => i !== index) });
+    setExpanded(new Set());
+  };
+  const addMeasure = (key) => {
+    updatePivot({ measures: [...measures, { key, aggregate: getDefaultAggregate(columnTypes[key]) }] });
+  };
+  const updateMeasure = (index, aggregate) => {
+    updatePivot({ measures: measures.map((measure, i) => (i === index ? { ...measure, aggregate } : measure)) });
+  };
+  const removeMeasure = (index) => updatePivot({ measures: measures.filter((_, i) => i !== index) });
+
+  const toggleGroup = (id) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  // Filters the table down to the group's rows, on top of its current filters, and
+  // shows them.
+  const drillThrough = (group) => {
+    group.filters.forEach(({ key, query }) => {
+      const current = useStore.getState().tableFilters[JSON.stringify(pathPrefix)]?.[key];
+      setTableFilter(pathPrefix, key, narrowFilter(current, query));
+    });
+    updatePivot({ isActive: false });
+  };
+
+  const renderValues = (summary) => (
+    <>
+      <td className="pivot-number">{summary.records}</td>
+      {measures.map((measure, index) => (
+        <td key={`${measure.key}:${index}`} className="pivot-number" title={summary.values[index]?.title}>
+          {summary.values[index]?.value ?? '–'}
+        </td>
+      ))}
+    </>
+  );
+
+  const renderColumnSelect = (onSelect) => (
+    <select className="encoding-select" value="" onChange={e => e.target.value && onSelect(e.target.value)}>
+      <option value="">Add a column…</option>
+      {columnKeys.map(key => <option key={key} value={key}>{getColumnName(key)}</option>)}
+    </select>
+  );
+
+  const renderTable = () => {
+    if (dimensions.length === 0) {
+      return (
+        <div className="placeholder">
+          <span className="icon">pivot_table_chart</span>
+          <p>Choose a column to group the rows by, and columns to total for each group.</p>
+        </div>
+      );
+    }
+    if (rows.length === 0) {
+      return (
+        <div className="placeholder">
+          <span className="icon">search_off</span>
+          <p>No rows match the table's filters.</p>
+        </div>
+      );
+    }
+
+    return (
+      <table className="data-table pivot-table">
+        <thead>
+          <tr>
+            <th>{dimensions.map(dimension => getColumnName(dimension.key)).join(' › ')}</th>
+            <th className="pivot-number">Records</th>
+            {measures.map((measure, index) => (
+              <th key={`${measure.key}:${index}`} className="pivot-number">
+                {AGGREGATES[resolveAggregate(columnTypes[measure.key], measure.aggregate)]} of {getColumnName(measure.key)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody ref={tbodyRef}>
+          {before > 0 && (
+            <tr className="virtual-spacer" style={{ height: before }}><td colSpan={measures.length + 2} /></tr>
+          )}
+          {visibleGroups.slice(start, end).map(group => (
+            <tr key={group.id} className={`pivot-level-${Math.min(group.level, 3)}`}>
+              <td>
+                <div className="pivot-group" style={{ paddingLeft: group.level * 20 }}>
+                  {group.children ? (
+                    <button className="row-action-btn" onClick={() => toggleGroup(group.id)} title={expanded.has(group.id) ? 'Collapse' : 'Expand'}>
+                      <span className="icon">{expanded.has(group.id) ? 'expand_more' : 'chevron_right'}</span>
+                    </button>
+                  ) : (
+                    <span className="pivot-leaf" />
+                  )}
+                  <span className="pivot-label">{group.label}</span>
+                  <button className="row-action-btn" onClick={() => drillThrough(group)} title="Show the rows of this group in the table">
+                    <span className="icon">table_rows</span>
+                  </button>
+                </div>
+              </td>
+              {renderValues(group)}
+            </tr>
+          ))}
+          {after > 0 && (
+            <tr className="virtual-spacer" style={{ height: after }}><td colSpan={measures.length + 2} /></tr>
+          )}
+        </tbody>
+        <tfoot>
+          <tr className="aggregate-row">
+            <td className="pivot-label">Total</td>
+            {renderValues(result.total)}
+          </tr>
+        </tfoot>
+      </table>
+    );
+  };
+
+  return (
+    <>
+      <div className="pivot-config">
+        <div className="pivot-config-row">
+          <span className="pivot-config-label">Group by</span>
+          {dimensions.map((dimension, index) => (
+            <span key={`${dimension.key}:${index}`} className="pivot-chip">
+              {getColumnName(dimension.key)}
+              {columnTypes[dimension.key] === 'date' && (
+                <select value={dimension.by} onChange={e => updateDimension(index, { by: e.target.value })} title="Group dates by">
+                  {Object.entries(DATE_GROUPINGS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+              )}
+              <button onClick={() => removeDimension(index)} title="Stop grouping by this column">
+                <span className="icon">close</span>
+              </button>
+            </span>
+          ))}
+          {renderColumnSelect(addDimension)}
+        </div>
+        <div className="pivot-config-row">
+          <span className="pivot-config-label">Totals</span>
+          {measures.map((measure, index) => (
+            <span key={`${measure.key}:${index}`} className="pivot-chip">
+              <select value={resolveAggregate(columnTypes[measure.key], measure.aggregate)} onChange={e => updateMeasure(index, e.target.value)} title="How to aggregate this column">
+                {getAggregatesFor(columnTypes[measure.key]).map(aggregate => (
+                  <option key={aggregate} value={aggregate}>{AGGREGATES[aggregate]}</option>
+                ))}
+              </select>
+              {getColumnName(measure.key)}
+              <button onClick={() => removeMeasure(index)} title="Remove this total">
+                <span className="icon">close</span>
+              </button>
+            </span>
+          ))}
+          {renderColumnSelect(addMeasure)}
+        </div>
+      </div>
+      {renderTable()}
+    </>
+  );
+}
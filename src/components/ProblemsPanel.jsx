@@ -0,0 +1,51 @@
+import React from 'react';
+import useStore from '../lib/store';
+import clsx from 'clsx';
+import { validateDocument } from '../lib/validation';
+import { hasLazyNodes } from '../lib/documentTransfer';
+
+export default function ProblemsPanel({ onClose }) {
+  const xmlDoc = useStore.use.xmlDoc();
+  const viewingNodePath = useStore.use.viewingNodePath();
+  const { setViewingNodePath } = useStore.getState();
+  const problems = validateDocument(xmlDoc?.doc);
+  const isPartlyLoaded = !!xmlDoc?.source && hasLazyNodes(xmlDoc.doc);
+  const currentPathKey = viewingNodePath ? JSON.stringify(viewingNodePath) : null;
+
+  return (
+    <aside className="history-panel problems-panel">
+      <div className="history-panel-header">
+        <h3>Problems ({problems.length})</h3>
+        <button className="action-button secondary" onClick={onClose} style={{ padding: '4px' }} title="Close problems">
+          <span className="icon">close</span>
+        </button>
+      </div>
+      <ul className="history-list">
+        {problems.map((problem, index) => (
+          <li
+            key={index}
+            className={clsx('history-item', 'problem-item', problem.severity, {
+              current: JSON.stringify(problem.path) === currentPathKey,
+            })}
+            onClick={() => setViewingNodePath(problem.path)}
+            title={problem.path.join('.')}
+          >
+            <span className="problem-voucher">
+              <span className="icon">{problem.severity === 'error' ? 'error' : 'warning'}</span>
+              {problem.label}
+            </span>
+            <span className="history-label">{problem.message}</span>
+          </li>
+        ))}
+      </ul>
+      {problems.length === 0 && !isPartlyLoaded && (
+        <p style={{ color: 'var(--fg-muted)', fontStyle: 'italic', padding: '0 16px' }}>All vouchers balance.</p>
+      )}
+      {isPartlyLoaded && (
+        <p style={{ color: 'var(--fg-muted)', fontStyle: 'italic', padding: '0 16px' }}>
+          Only loaded vouchers are checked. Use Load All to check the whole file.
+        </p>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,200 @@
+import React, { useState, useMemo, useRef, useDeferredValue } from 'react';
+import useStore from '../lib/store';
+import { buildFindPattern, parseNameList, findReplacements } from '../lib/findReplace';
+import { getHitLocation } from '../lib/documentSearch';
+import { hasLazyNodes } from '../lib/documentTransfer';
+import useVirtualWindow from '../lib/useVirtualWindow';
+
+// Estimated row height for windowed rendering.
+const ROW_HEIGHT = 41;
+
+const formatValue = (value) => (value === '' ? '(empty)' : value);
+
+// The scope of the whole document, kept as one array so the options stay memoized.
+const WHOLE_DOCUMENT = [];
+
+/**
+ * Finds text in the values of the document, or of the table being viewed, and replaces
+ * it, after listing every value that would change. All replacements are one edit, so a
+ * single undo takes them back.
+ */
+export default function ReplaceView({ onClose }) {
+  const xmlDoc = useStore.use.xmlDoc();
+  const viewingNodePath = useStore.use.viewingNodePath();
+  const { replaceValues, setViewingNodePath } = useStore.getState();
+
+  const [find, setFind] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [isRegex, setIsRegex] = useState(false);
+  const [matchCase, setMatchCase] = useState(false);
+  const [inTable, setInTable] = useState(false);
+  const [namesText, setNamesText] = useState('');
+  const tbodyRef = useRef(null);
+  const scopePath = inTable && viewingNodePath ? viewingNodePath : WHOLE_DOCUMENT;
+
+  // Walking a large document takes a while; the deferred options keep typing responsive.
+  const options = useDeferredValue(useMemo(
+    () => ({ find, replacement, isRegex, matchCase, scopePath, names: parseNameList(namesText) }),
+    [find, replacement, isRegex, matchCase, scopePath, namesText],
+  ));
+
+  const result = useMemo(() => {
+    try {
+      const pattern = buildFindPattern(options.find, options);
+      if (!pattern) return null;
+      return findReplacements(xmlDoc.doc, { ...options, pattern });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [xmlDoc, options]);
+
+  const changes = result?.changes || [];
+  const sizes = useMemo(() => changes.map(() => ROW_HEIGHT), [changes]);
+  const { start, end, before, after } = useVirtualWindow(tbodyRef, sizes);
+  const isPartlyLoaded = !!xmlDoc.source && hasLazyNodes(xmlDoc.doc);
+
+  const handleReplaceAll = () => {
+    const label = `Replace "${options.find}" with "${options.replacement}" (${changes.length})`;
+    replaceValues(label, options.scopePath.length > 0 ? options.scopePath : [xmlDoc.rootName], changes);
+  };
+
+  const showChange = (change) => {
+    if (change.kind === 'attribute') {
+      setViewingNodePath(change.path.slice(0, -2));
+      return;
+    }
+    const { path, key } = getHitLocation({ kind: 'value', path: change.path }, xmlDoc.doc);
+    setViewingNodePath(path, key);
+  };
+
+  const renderContent = () => {
+    if (result?.error) {
+      return (
+        <div className="placeholder">
+          <span className="icon">error</span>
+          <p>{result.error}</p>
+        </div>
+      );
+    }
+    if (!result) {
+      return (
+        <div className="placeholder">
+          <span className="icon">find_replace</span>
+          <p>Type what to find to see every value it changes.</p>
+        </div>
+      );
+    }
+    if (changes.length === 0) {
+      return (
+        <div className="placeholder">
+          <span className="icon">search_off</span>
+          <p>No values would change.</p>
+        </div>
+      );
+    }
+
+    return (
+      <table className="data-table replace-table">
+        <thead>
+          <tr>
+            <th>Path</th>
+            <th>Field</th>
+            <th>Before</th>
+            <th>After</th>
+          </tr>
+        </thead>
+        <tbody ref={tbodyRef}>
+          {before > 0 && (
+            <tr className="virtual-spacer" style={{ height: before }}><td colSpan={4} /></tr>
+          )}
+          {changes.slice(start, end).map((change, offset) => (
+            <tr key={start + offset}>
+              <td>
+                <button className="compare-record-link replace-path" onClick={() => showChange(change)} title="Show in the table">
+                  {change.path.join('.')}
+                </button>
+              </td>
+              <td className="compare-field">{change.field}</td>
+              <td><del className="diff-before">{formatValue(change.before)}</del></td>
+              <td><ins className="diff-after">{formatValue(change.after)}</ins></td>
+            </tr>
+          ))}
+          {after > 0 && (
+            <tr className="virtual-spacer" style={{ height: after }}><td colSpan={4} /></tr>
+          )}
+        </tbody>
+      </table>
+    );
+  };
+
+  return (
+    <div className="data-panel">
+      <div className="main-content-header">
+        <h2>Find and Replace</h2>
+        <div className="main-content-actions">
+          <button
+            onClick={handleReplaceAll}
+            className="action-button primary"
+            disabled={changes.length === 0 || options.find !== find || options.replacement !== replacement}
+            title="Replace every listed value, as one edit that can be undone"
+          >
+            <span className="icon">find_replace</span> Replace All{changes.length > 0 ? ` (${changes.length})` : ''}
+          </button>
+          <button onClick={onClose} className="action-button secondary" title="Back to the table">
+            <span className="icon">close</span> Close
+          </button>
+        </div>
+      </div>
+      <div className="replace-form">
+        <input
+          type="text"
+          value={find}
+          onChange={e => setFind(e.target.value)}
+          placeholder={isRegex ? 'Find (regular expression)' : 'Find'}
+          autoFocus
+        />
+        <input
+          type="text"
+          value={replacement}
+          onChange={e => setReplacement(e.target.value)}
+          placeholder={isRegex ? 'Replace with ($1 for the first group)' : 'Replace with'}
+        />
+        <label>
+          <input type="checkbox" checked={isRegex} onChange={e => setIsRegex(e.target.checked)} />
+          Regular expression
+        </label>
+        <label>
+          <input type="checkbox" checked={matchCase} onChange={e => setMatchCase(e.target.checked)} />
+          Match case
+        </label>
+        <select
+          className="encoding-select"
+          value={inTable && viewingNodePath ? 'table' : 'document'}
+          onChange={e => setInTable(e.target.value === 'table')}
+          title="Where to replace"
+        >
+          <option value="document">Whole document</option>
+          <option value="table" disabled={!viewingNodePath}>
+            {viewingNodePath ? `Current table (${viewingNodePath.join('.')})` : 'Current table'}
+          </option>
+        </select>
+        <input
+          type="text"
+          className="replace-names"
+          value={namesText}
+          onChange={e => setNamesText(e.target.value)}
+          placeholder="Only in tags and @attributes, e.g. LEDGERNAME, @NAME"
+          title="Limit the replacement to the values of these tags and attributes"
+        />
+      </div>
+      {isPartlyLoaded && (
+        <p className="compare-note replace-note">
+          Parts of the file that are not loaded yet are left out. Use Load All to replace in the whole file.
+        </p>
+      )}
+      <div className="data-table-wrapper">
+        {renderContent()}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import React, { useState, useMemo } from 'react';
+import useStore from '../lib/store';
+import clsx from 'clsx';
+import { parseFilterQuery, getFilterQueryError, FILTER_SYNTAX_HELP } from '../lib/filterParser';
+import { searchDocument, getHitLocation } from '../lib/documentSearch';
+
+// The most hits listed; a broad query on a large file would otherwise list every element.
+const MAX_HITS = 500;
+
+const HIT_ICONS = { tag: 'code', attribute: 'alternate_email', value: 'notes' };
+
+const truncate = (text, length = 80) => (text.length > length ? `${text.slice(0, length)}…` : text);
+
+function describeHit(hit) {
+  if (hit.kind === 'attribute') return `@${hit.name}="${truncate(String(hit.value ?? ''))}"`;
+  if (hit.value === null || hit.value === undefined) return `<${hit.name}>`;
+  return `${hit.name}: ${truncate(String(hit.value))}`;
+}
+
+export default function SearchPanel({ onClose }) {
+  const xmlDoc = useStore.use.xmlDoc();
+  const { setViewingNodePath } = useStore.getState();
+  const [query, setQuery] = useState('');
+  const [submittedQuery, setSubmittedQuery] = useState('');
+  const [scope, setScope] = useState({ tags: true, attributes: true, values: true });
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const queryError = getFilterQueryError(query);
+
+  // Searching walks the whole document, so it runs when the query is submitted rather
+  // than on every keystroke.
+  const result = useMemo(() => {
+    const condition = submittedQuery ? parseFilterQuery(submittedQuery) : null;
+    if (!condition || !xmlDoc) return null;
+    return searchDocument(xmlDoc.doc, condition, scope, MAX_HITS);
+  }, [xmlDoc, submittedQuery, scope]);
+
+  const submit = () => {
+    if (queryError) return;
+    setSubmittedQuery(query.trim());
+    setSelectedIndex(null);
+  };
+
+  const openHit = (hit, index) => {
+    const { path, key } = getHitLocation(hit, xmlDoc.doc);
+    setSelectedIndex(index);
+    setViewingNodePath(path, key);
+  };
+
+  return (
+    <aside className="history-panel search-panel">
+      <div className="history-panel-header">
+        <h3>Search{result ? ` (${result.hits.length}${result.truncated ? '+' : ''})` : ''}</h3>
+        <button className="action-button secondary" onClick={onClose} style={{ padding: '4px' }} title="Close search">
+          <span className="icon">close</span>
+        </button>
+      </div>
+      <div className="search-form">
+        <input
+          type="text"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && submit()}
+          placeholder="Search the document…"
+          title={FILTER_SYNTAX_HELP}
+          autoFocus
+        />
+        <button className="action-button primary" onClick={submit} disabled={!!queryError} title="Search (Enter)">
+          <span className="icon">search</span>
+        </button>
+        {queryError && <p className="filter-error">{queryError}</p>}
+        <div className="search-scope">
+          {[['tags', 'Tags'], ['attributes', 'Attributes'], ['values', 'Values']].map(([key, label]) => (
+            <label key={key}>
+              <input
+                type="checkbox"
+                checked={scope[key]}
+                onChange={e => setScope(prev => ({ ...prev, [key]: e.target.checked }))}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </div>
+      {result && (
+        <ul className="history-list">
+          {result.hits.map((hit, index) => (
+            <li
+              key={index}
+              className={clsx('history-item', 'search-hit', { current: index === selectedIndex })}
+              onClick={() => openHit(hit, index)}
+              title={hit.path.join('.')}
+            >
+              <span className="search-hit-path">
+                <span className="icon">{HIT_ICONS[hit.kind]}</span>
+                {hit.path.join('.')}
+              </span>
+              <span className="history-label">{describeHit(hit)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {result && result.hits.length === 0 && (
+        <p style={{ color: 'var(--fg-muted)', fontStyle: 'italic', padding: '0 16px' }}>No matches.</p>
+      )}
+      {result?.truncated && (
+        <p style={{ color: 'var(--fg-muted)', fontStyle: 'italic', padding: '0 16px' }}>
+          Only the first {MAX_HITS} matches are listed. Narrow the query to see the rest.
+        </p>
+      )}
+      {result?.skippedLazy && (
+        <p style={{ color: 'var(--fg-muted)', fontStyle: 'italic', padding: '0 16px' }}>
+          Parts of the file that are not loaded yet were not searched. Use Load All to search the whole file.
+        </p>
+      )}
+    </aside>
+  );
+}
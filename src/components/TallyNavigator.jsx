@@ -0,0 +1,46 @@
+import React, { useMemo } from 'react';
+import useStore from '../lib/store';
+import get from 'lodash.get';
+import { findTallyCollections, TALLY_RECORD_TYPES } from '../lib/tallySchema';
+
+export default function TallyNavigator({ doc }) {
+  const { setNodeForColumnSelection, setViewingNodePath } = useStore.getState();
+  const collections = useMemo(() => findTallyCollections(doc), [doc]);
+
+  if (collections.length === 0) return null;
+
+  // Several collections of one type (e.g. vouchers in two REQUESTDATA blocks) are told apart by their path.
+  const countByType = collections.reduce((counts, c) => ({ ...counts, [c.type]: (counts[c.type] || 0) + 1 }), {});
+
+  const handleOpen = ({ type, path, parent }) => {
+    if (Array.isArray(get(doc, path))) {
+      setNodeForColumnSelection(path, null, null, { type, parent });
+    } else {
+      setViewingNodePath(path);
+    }
+  };
+
+  return (
+    <nav className="tally-nav">
+      <h3 className="tally-nav-heading">Tally Data</h3>
+      <ul>
+        {collections.map(collection => {
+          const { label, icon } = TALLY_RECORD_TYPES[collection.type];
+          const pathForDisplay = collection.path.join('.');
+          return (
+            <li key={`${collection.type}:${pathForDisplay}`}>
+              <button className="tally-nav-item" onClick={() => handleOpen(collection)} title={pathForDisplay}>
+                <span className="icon">{icon}</span>
+                <span className="tally-nav-label">
+                  {label}
+                  {countByType[collection.type] > 1 && <span className="tally-nav-path">{pathForDisplay}</span>}
+                </span>
+                <span className="node-meta">{collection.count}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </nav>
+  );
+}
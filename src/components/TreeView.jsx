@@ -1,7 +1,10 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import useStore from '../lib/store';
 import clsx from 'clsx';
 import get from 'lodash.get';
+import { isValidXmlName } from '../lib/nodeUtils';
+import { isLazyNode } from '../lib/xmlUtils';
+import useVirtualWindow, { getScrollParent } from '../lib/useVirtualWindow';
 
 const getDisplayName = (defaultName, nodeData) => {
     // If the node is an object in an array (i.e., its key is a number),
@@ -16,20 +19,155 @@ const getDisplayName = (defaultName, nodeData) => {
 };
 
 
-function TreeNode({ data, name, path, currentSelection, defaultExpanded = false }) {
-  const [isExpanded, setIsExpanded] = useState(defaultExpanded);
-  const { setViewingNodePath, setNodeForColumnSelection } = useStore.getState();
+// Asks for an element or attribute name, returning null if cancelled or invalid.
+const promptForName = (message, defaultValue = '') => {
+    const input = window.prompt(message, defaultValue);
+    if (input === null) return null;
+    const name = input.trim();
+    if (!isValidXmlName(name)) {
+        alert(`"${name}" is not a valid XML name.`);
+        return null;
+    }
+    return name;
+};
+
+function TreeContextMenu({ menu, onClose }) {
+  const {
+    addElement,
+    addAttribute,
+    removeAttribute,
+    renameElement,
+    removeElement,
+    wrapElement,
+    unwrapElement,
+  } = useStore.getState();
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handleMouseDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) onClose();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('mousedown', handleMouseDown);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('mousedown', handleMouseDown);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const { x, y, path, name, data } = menu;
+  const isRoot = path.length === 1;
+  const isGroup = Array.isArray(data);
+  const isText = name === '#text';
+  const isObject = typeof data === 'object' && data !== null && !isGroup;
+  const attributes = isObject ? Object.keys(data['@attributes'] || {}) : [];
+  const hasChildElements = isObject && Object.keys(data).some(k => k !== '@attributes' && k !== '#text');
+  // Items of a repeated element are listed by index; their tag name is the parent key.
+  const tagName = isNaN(parseInt(name, 10)) ? name : path[path.length - 2];
+
+  const items = [];
+  if (!isGroup && !isText) {
+    items.push({ icon: 'add', label: 'Add child element…', action: () => {
+      const childName = promptForName(`Name of the new child element of ${tagName}:`);
+      if (childName) addElement(path, childName);
+    }});
+    items.push({ icon: 'sell', label: 'Add attribute…', action: () => {
+      const attrName = promptForName(`Name of the new attribute of ${tagName}:`);
+      if (attrName) addAttribute(path, attrName);
+    }});
+  }
+  if (!isRoot && !isText) {
+    items.push({ icon: 'edit', label: 'Rename…', action: () => {
+      const newName = promptForName(`Rename ${isGroup ? `all ${data.length} ${tagName} elements` : tagName} to:`, tagName);
+      if (newName && newName !== tagName) renameElement(path, newName);
+    }});
+    items.push({ icon: 'data_array', label: 'Wrap in element…', action: () => {
+      const wrapperName = promptForName(`Wrap ${tagName} in a new element named:`);
+      if (wrapperName) wrapElement(path, wrapperName);
+    }});
+  }
+  if (!isRoot && hasChildElements) {
+    items.push({ icon: 'layers_clear', label: 'Unwrap', action: () => {
+      const losesData = attributes.length > 0 || (data['#text'] !== undefined && data['#text'] !== '');
+      if (!losesData || window.confirm(`Unwrapping ${tagName} drops its own attributes and text. Continue?`)) {
+        unwrapElement(path);
+      }
+    }});
+  }
+  attributes.forEach(attr => {
+    items.push({ icon: 'backspace', label: `Remove attribute ${attr}`, action: () => removeAttribute(path, attr) });
+  });
+  if (!isRoot) {
+    const what = isText ? 'the text content' : (isGroup ? `all ${data.length} ${tagName} elements` : tagName);
+    items.push({ icon: 'delete', label: isText ? 'Remove text' : 'Remove element', danger: true, action: () => {
+      if (window.confirm(`Are you sure you want to remove ${what}?`)) removeElement(path);
+    }});
+  }
+
+  return (
+    <ul className="context-menu" ref={menuRef} style={{ top: y, left: x }} onContextMenu={e => e.preventDefault()}>
+      {items.length > 0 ? items.map(item => (
+        <li key={item.label}>
+          <button
+            className={clsx('context-menu-item', { danger: item.danger })}
+            onClick={() => { onClose(); item.action(); }}
+          >
+            <span className="icon">{item.icon}</span>
+            {item.label}
+          </button>
+        </li>
+      )) : (
+        <li className="context-menu-empty">No actions for this node</li>
+      )}
+    </ul>
+  );
+}
+
+// Every row of the tree has this height (see .tree-node), which keeps windowing exact.
+const TREE_ROW_HEIGHT = 36;
+
+// Placeholders of a lazily opened document are loaded when they are expanded.
+const isExpandableNode = (data) =>
+  isLazyNode(data) || (typeof data === 'object' && data !== null && Object.keys(data).some(k => k !== '@attributes'));
+
+const reportLoadError = (error) => {
+  if (error.name !== 'AbortError') alert(`Could not load this part of the file: ${error.message}`);
+};
+
+// The rows of the tree as it is currently expanded, in display order.
+function collectVisibleNodes(data, expanded) {
+  const rows = [];
+  const visit = (name, value, path, depth) => {
+    const pathKey = JSON.stringify(path);
+    const isExpandable = isExpandableNode(value);
+    const isExpanded = isExpandable && expanded.has(pathKey);
+    rows.push({ name, data: value, path, pathKey, depth, isExpandable, isExpanded });
+    if (!isExpanded) return;
+    Object.keys(value)
+      .filter(key => key !== '@attributes')
+      .forEach(key => visit(key, value[key], [...path, key], depth + 1));
+  };
+  Object.entries(data).forEach(([key, value]) => visit(key, value, [key], 0));
+  return rows;
+}
+
+function TreeNode({ node, isSelected, onToggle, onContextMenu }) {
+  const { data, name, path, depth, isExpandable, isExpanded } = node;
+  const { setViewingNodePath, setNodeForColumnSelection, loadLazyNode } = useStore.getState();
 
-  const isObject = typeof data === 'object' && data !== null && !Array.isArray(data);
   const isArray = Array.isArray(data);
-  const isExpandable = (isObject || isArray) && data && Object.keys(data).filter(k => k !== '@attributes').length > 0;
-  
-  const isSelected = currentSelection && JSON.stringify(currentSelection) === JSON.stringify(path);
+  const isLazy = isLazyNode(data);
 
   const handleToggleExpand = (e) => {
     e.stopPropagation();
     if (isExpandable) {
-      setIsExpanded(!isExpanded);
+      onToggle(node.pathKey);
+    }
+    if (isLazy && !isExpanded) {
+      loadLazyNode(path).catch(reportLoadError);
     }
   };
   
@@ -42,13 +180,27 @@ function TreeNode({ data, name, path, currentSelection, defaultExpanded = false
     }
   }
 
+  const handleContextMenu = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const position = { x: e.clientX, y: e.clientY };
+    // The menu's actions edit the node, which has to be loaded for that.
+    if (isLazy) {
+      loadLazyNode(path)
+        .then(loaded => loaded !== undefined && onContextMenu({ ...position, path, name, data: loaded }))
+        .catch(reportLoadError);
+      return;
+    }
+    onContextMenu({ ...position, path, name, data });
+  };
+
   const displayName = getDisplayName(name, data);
 
   return (
-    <li className="tree-node">
-      <div className={clsx("tree-node-label", {selected: isSelected})} onClick={handleToggleExpand}>
+    <li className="tree-node" style={{ paddingLeft: `${depth * 16}px` }}>
+      <div className={clsx("tree-node-label", {selected: isSelected})} onClick={handleToggleExpand} onContextMenu={handleContextMenu}>
         {isExpandable ? (
-          <span className="icon">{isExpanded ? 'expand_more' : 'chevron_right'}</span>
+          <span className="icon">{isExpanded ? (isLazy ? 'hourglass_top' : 'expand_more') : 'chevron_right'}</span>
         ) : (
           <span className="icon" style={{ opacity: 0, cursor: 'default' }}></span> // placeholder for alignment
         )}
@@ -58,27 +210,73 @@ function TreeNode({ data, name, path, currentSelection, defaultExpanded = false
             <span className="icon" style={{fontSize: '18px'}}>visibility</span>
         </button>
       </div>
-
-      {isExpanded && isExpandable && (
-        <ul>
-          {Object.entries(data)
-            .filter(([key]) => key !== '@attributes')
-            .map(([key, value]) => (
-                <TreeNode key={key} name={key} data={value} path={[...path, key]} currentSelection={currentSelection} />
-          ))}
-        </ul>
-      )}
     </li>
   );
 }
 
 export default function TreeView({ data }) {
   const viewingNodePath = useStore.use.viewingNodePath();
+  const [contextMenu, setContextMenu] = useState(null);
+  const closeContextMenu = useCallback(() => setContextMenu(null), []);
+  // Paths (as JSON) of the expanded nodes. The root elements start expanded.
+  const [expanded, setExpanded] = useState(() => new Set(Object.keys(data).map(key => JSON.stringify([key]))));
+
+  const toggleNode = useCallback((pathKey) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(pathKey)) next.delete(pathKey);
+      else next.add(pathKey);
+      return next;
+    });
+  }, []);
+
+  // An expanded array of 50k vouchers is 50k rows; only those in view are rendered.
+  const nodes = useMemo(() => collectVisibleNodes(data, expanded), [data, expanded]);
+  const sizes = useMemo(() => nodes.map(() => TREE_ROW_HEIGHT), [nodes]);
+  const listRef = useRef(null);
+  const { start, end, before, after } = useVirtualWindow(listRef, sizes);
+  const selectedKey = viewingNodePath ? JSON.stringify(viewingNodePath.map(String)) : null;
+  // The row to scroll to once the tree has expanded to it.
+  const revealKeyRef = useRef(null);
+
+  // A node opened from elsewhere (a search hit, a problem) is expanded to and revealed.
+  useEffect(() => {
+    if (!viewingNodePath) return;
+    setExpanded(prev => {
+      const ancestorKeys = viewingNodePath.slice(0, -1).map((_, i) => JSON.stringify(viewingNodePath.slice(0, i + 1).map(String)));
+      if (ancestorKeys.every(key => prev.has(key))) return prev;
+      return new Set([...prev, ...ancestorKeys]);
+    });
+    revealKeyRef.current = JSON.stringify(viewingNodePath.map(String));
+  }, [viewingNodePath]);
+
+  useEffect(() => {
+    const list = listRef.current;
+    const index = nodes.findIndex(node => node.pathKey === revealKeyRef.current);
+    if (!list || index === -1) return;
+    revealKeyRef.current = null;
+    const scroller = getScrollParent(list);
+    const scrollerTop = scroller === document.scrollingElement ? 0 : scroller.getBoundingClientRect().top;
+    const rowTop = list.getBoundingClientRect().top - scrollerTop + TREE_ROW_HEIGHT * index;
+    if (rowTop < 0 || rowTop + TREE_ROW_HEIGHT > scroller.clientHeight) {
+      scroller.scrollTop += rowTop - (scroller.clientHeight - TREE_ROW_HEIGHT) / 2;
+    }
+  }, [nodes, selectedKey]);
+
   return (
-    <ul style={{ paddingLeft: '0' }}>
-      {Object.entries(data).map(([key, value]) => (
-        <TreeNode key={key} name={key} data={value} path={[key]} currentSelection={viewingNodePath} defaultExpanded />
-      ))}
-    </ul>
+    <>
+      <ul ref={listRef} className="tree-view" style={{ paddingLeft: '0', paddingTop: before, paddingBottom: after }}>
+        {nodes.slice(start, end).map(node => (
+          <TreeNode
+            key={node.pathKey}
+            node={node}
+            isSelected={JSON.stringify(node.path) === selectedKey}
+            onToggle={toggleNode}
+            onContextMenu={setContextMenu}
+          />
+        ))}
+      </ul>
+      {contextMenu && <TreeContextMenu menu={contextMenu} onClose={closeContextMenu} />}
+    </>
   );
-}
\ No newline at end of file
+}
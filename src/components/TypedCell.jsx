@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useStore from '../lib/store';
+import clsx from 'clsx';
+import { fromTallyDate, toTallyDate, parseMeasure, formatMeasure, isValidValue } from '../lib/valueTypes';
+import { parseTallyAmount, parseTallyFlag } from '../lib/tallySchema';
+
+const TYPE_DESCRIPTIONS = {
+  date: 'a date (YYYYMMDD)',
+  amount: 'a signed amount such as -1250.00',
+  quantity: 'a quantity such as "10 Nos"',
+  rate: 'a rate such as "500.00/Nos"',
+  flag: 'Yes or No',
+};
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+function FlagToggle({ value, path, invalid }) {
+  const updateNodeValue = useStore.use.updateNodeValue();
+  const flag = parseTallyFlag(value);
+
+  // A misspelt flag such as "yes " is first corrected, then toggled.
+  const handleClick = () => {
+    if (flag === null) {
+      updateNodeValue(path, 'Yes');
+    } else if (invalid) {
+      updateNodeValue(path, flag ? 'Yes' : 'No');
+    } else {
+      updateNodeValue(path, flag ? 'No' : 'Yes');
+    }
+  };
+
+  return (
+    <button
+      className={clsx('flag-toggle', { on: flag === true, invalid })}
+      onClick={handleClick}
+      title={invalid ? `"${toText(value)}" is not ${TYPE_DESCRIPTIONS.flag}; click to correct it` : 'Click to toggle'}
+    >
+      {invalid ? toText(value) : toText(value) || '—'}
+    </button>
+  );
+}
+
+function DateEditor({ value, path, invalid }) {
+  const updateNodeValue = useStore.use.updateNodeValue();
+  const storedDate = fromTallyDate(value) || '';
+  const [draft, setDraft] = useState(storedDate);
+
+  useEffect(() => setDraft(storedDate), [storedDate]);
+
+  // Saved on blur, as the date input reports every intermediate date while the year is typed.
+  const commit = () => {
+    if (draft === storedDate) return;
+    updateNodeValue(path, draft ? toTallyDate(draft) : '');
+  };
+
+  return (
+    <span className="typed-cell">
+      {invalid && (
+        <span className="invalid-value" title={`Not ${TYPE_DESCRIPTIONS.date}`}>{toText(value)}</span>
+      )}
+      <input
+        type="date"
+        className="typed-input"
+        value={draft}
+        onChange={e => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={e => { if (e.key === 'Enter') e.target.blur(); }}
+      />
+    </span>
+  );
+}
+
+// Amounts, quantities and rates: a number, plus a unit for quantities and rates.
+function MeasureEditor({ type, value, path, invalid }) {
+  const updateNodeValue = useStore.use.updateNodeValue();
+  const [editing, setEditing] = useState(false);
+  const [number, setNumber] = useState('');
+  const [unit, setUnit] = useState('');
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+  const numberRef = useRef(null);
+  const text = toText(value);
+
+  useEffect(() => {
+    if (editing) numberRef.current?.focus();
+  }, [editing]);
+
+  const startEditing = () => {
+    if (type === 'amount') {
+      const amount = parseTallyAmount(text);
+      setNumber(amount === null || Number.isNaN(amount) ? text : String(amount));
+      setUnit('');
+    } else {
+      const measure = parseMeasure(type, text);
+      setNumber(measure ? measure.number : text);
+      setUnit(measure ? measure.unit : '');
+    }
+    setError(null);
+    setEditing(true);
+  };
+
+  const commit = () => {
+    const newValue = number.trim() === '' ? '' : formatMeasure(type, number, unit);
+    if (newValue === null) {
+      setError(`Enter ${TYPE_DESCRIPTIONS[type]}`);
+      return;
+    }
+    if (newValue !== text) updateNodeValue(path, newValue);
+    setEditing(false);
+  };
+
+  const handleBlur = (e) => {
+    // Moving between the number and unit fields keeps the editor open.
+    if (containerRef.current?.contains(e.relatedTarget)) return;
+    commit();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commit();
+    } else if (e.key === 'Escape') {
+      setEditing(false);
+    }
+  };
+
+  if (!editing) {
+    return (
+      <div
+        className={clsx('editable-cell', 'typed-value', { invalid })}
+        tabIndex={0}
+        onFocus={startEditing}
+        title={invalid ? `Not ${TYPE_DESCRIPTIONS[type]}` : undefined}
+      >
+        {text}
+      </div>
+    );
+  }
+
+  return (
+    <span
+      ref={containerRef}
+      className={clsx('typed-cell', 'editing', { invalid: !!error })}
+      onBlur={handleBlur}
+      onKeyDown={handleKeyDown}
+      title={error || undefined}
+    >
+      {type === 'amount' && (
+        <button
+          type="button"
+          className="sign-toggle"
+          onMouseDown={e => e.preventDefault()}
+          onClick={() => setNumber(n => (n.startsWith('-') ? n.slice(1) : `-${n}`))}
+          title="Flip the sign (negative amounts are debits)"
+        >
+          ±
+        </button>
+      )}
+      <input
+        ref={numberRef}
+        className="typed-input"
+        inputMode="decimal"
+        value={number}
+        onChange={e => { setNumber(e.target.value); setError(null); }}
+        size={10}
+      />
+      {type === 'rate' && <span className="typed-separator">/</span>}
+      {type !== 'amount' && (
+        <input
+          className="typed-input unit-input"
+          value={unit}
+          onChange={e => { setUnit(e.target.value); setError(null); }}
+          placeholder="Unit"
+          size={5}
+        />
+      )}
+    </span>
+  );
+}
+
+/**
+ * An editor for a value of a known Tally type (see `inferValueType`). Values that do
+ * not fit the type are highlighted, and input that does not fit is not saved.
+ */
+export default function TypedCell({ type, value, path }) {
+  const invalid = !isValidValue(type, value);
+
+  if (type === 'flag') return <FlagToggle value={value} path={path} invalid={invalid} />;
+  if (type === 'date') return <DateEditor value={value} path={path} invalid={invalid} />;
+  return <MeasureEditor type={type} value={value} path={path} invalid={invalid} />;
+}
@@ -1,9 +1,12 @@
 import React from 'react';
 import useStore from '../lib/store';
 import EditableCell from './EditableCell';
+import TypedCell from './TypedCell';
 import get from 'lodash.get';
 
-export default function ValueRenderer({ value, path }) {
+// `type` is the inferred value type of the column (see `inferValueType`); 'text' or
+// undefined keeps the plain editable cell.
+export default function ValueRenderer({ value, path, type }) {
   const { setViewingNodePath, setNodeForColumnSelection } = useStore.getState();
   const viewingNodePath = useStore.use.viewingNodePath();
 
@@ -20,9 +23,11 @@ export default function ValueRenderer({ value, path }) {
     setNodeForColumnSelection(path, isInsideTable ? viewingNodePath : null, value);
   };
 
+  const isTyped = !!type && type !== 'text' && !!path;
+
   if (value === undefined || value === null) {
     // Render an empty editable cell, so users can add a value if needed
-    return <EditableCell value="" path={path} />;
+    return isTyped ? <TypedCell type={type} value="" path={path} /> : <EditableCell value="" path={path} />;
   }
 
   if (Array.isArray(value)) {
@@ -54,5 +59,5 @@ export default function ValueRenderer({ value, path }) {
   }
 
   // For primitive values (string, number, boolean)
-  return <EditableCell value={value} path={path} />;
+  return isTyped ? <TypedCell type={type} value={value} path={path} /> : <EditableCell value={value} path={path} />;
 }
\ No newline at end of file
@@ -0,0 +1,126 @@
+import get from 'lodash.get';
+import { buildFindPattern } from './findReplace';
+import { compileExpression, resolveField, formatExpressionResult } from './expression';
+import { parseMeasure, formatMeasure, isValidValue } from './valueTypes';
+
+/*
+ * Bulk edits of one table column: the same change to the cell of every given row,
+ * written through the paths `flattenRow` tracked for the cells.
+ */
+
+export const BULK_EDIT_MODES = {
+  set: 'Set to',
+  replace: 'Find and replace',
+  formula: 'Formula',
+};
+
+// Formulas compute amounts, quantities and rates as numbers; they are stored the way
+// the column stores them, keeping the unit and at least the decimals of the value
+// they replace.
+function formatResult(result, type, before) {
+  if (typeof result === 'number' && ['amount', 'quantity', 'rate'].includes(type)) {
+    const measure = parseMeasure(type, before);
+    let number = type === 'amount' ? result.toFixed(2) : formatExpressionResult(result);
+    const decimals = (measure?.number.split('.')[1] || '').length;
+    const [whole, fraction = ''] = number.split('.');
+    if (fraction.length < decimals) number = `${whole}.${fraction.padEnd(decimals, '0')}`;
+    return formatMeasure(type, number, measure?.unit || '') ?? formatExpressionResult(result);
+  }
+  return formatExpressionResult(result);
+}
+
+// The element a cell's field belongs to, for a formula to read its other fields from:
+// the nested item for a nested column, else the table's row. `path` is the cell's path.
+function getFormulaRecord(data, pathPrefix, path) {
+  const relativePath = path.slice(pathPrefix.length);
+  const fieldLength = relativePath[relativePath.length - 2] === '@attributes' ? 2 : 1;
+  const itemPath = relativePath.slice(0, -fieldLength);
+  if (itemPath.length > 1) {
+    const item = get(data, itemPath);
+    if (typeof item === 'object' && item !== null && !Array.isArray(item)) return item;
+  }
+  return data[relativePath[0]];
+}
+
+/**
+ * Works out the changes of a bulk edit, without making them.
+ * @param {Array<object>} flatRows The rows to edit, as the table shows them.
+ * @param {Array<*>} data The table's source array; formulas read the other fields of a
+ *   row from it.
+ * @param {Array<string|number>} pathPrefix The path of the source array.
+ * @param {string} headerKey The column.
+ * @param {string} type The column's value type, see `inferValueType`.
+ * @param {object} edit `{ mode: 'set', value }`, `{ mode: 'replace', find, replacement,
+ *   isRegex, matchCase }` or `{ mode: 'formula', formula }`, where `value` in the
+ *   formula is the cell's current value. A formula reads the fields of the nested item
+ *   the cell belongs to, and those the item does not have from the row.
+ * @returns {{changes: Array<{path, before, after}>, unchanged: number, missing: number}}
+ *   One change per cell whose value changes; rows sharing a cell (the copies
+ *   `flattenRow` makes of a row for each nested item) count once. `missing` counts the
+ *   rows without a value in the column, which are left alone.
+ * @throws {Error} With a message for the user when the pattern or formula is malformed,
+ *   a formula fails on a row, or a new value does not fit the column's type.
+ */
+export function planBulkEdit(flatRows, data, pathPrefix, headerKey, type, edit) {
+  let transform;
+  if (edit.mode === 'set') {
+    transform = () => edit.value;
+  } else if (edit.mode === 'replace') {
+    const pattern = buildFindPattern(edit.find, edit);
+    if (!pattern) throw new Error('Type what to find.');
+    transform = (before) => {
+      pattern.lastIndex = 0;
+      return edit.isRegex ? before.replace(pattern, edit.replacement) : before.replace(pattern, () => edit.replacement);
+    };
+  } else {
+    const { evaluate } = compileExpression(edit.formula);
+    transform = (before, row, path) => {
+      const item = getFormulaRecord(data, pathPrefix, path);
+      const record = data[row.__originalIndex];
+      const resolve = (name) => {
+        const value = item !== record ? resolveField(item, name) : null;
+        return value !== null ? value : resolveField(record, name);
+      };
+      try {
+        const result = evaluate(name => (name === 'value' ? before : resolve(name)));
+        return formatResult(result, type, before);
+      } catch (error) {
+        throw new Error(`Row ${row.__originalIndex + 1}: ${error.message}`);
+      }
+    };
+  }
+
+  const changes = [];
+  const seen = new Set();
+  let unchanged = 0;
+  let missing = 0;
+  flatRows.forEach(row => {
+    const cell = row[headerKey];
+    let { value, path } = cell || {};
+    // An element with attributes holds its text under '#text'.
+    if (typeof value === 'object' && value !== null && !Array.isArray(value) && path) {
+      value = value['#text'] ?? '';
+      path = [...path, '#text'];
+    }
+    if (!path || value === undefined || typeof value === 'object') {
+      missing++;
+      return;
+    }
+    const pathKey = JSON.stringify(path);
+    if (seen.has(pathKey)) return;
+    seen.add(pathKey);
+
+    const before = String(value ?? '');
+    const after = transform(before, row, cell.path);
+    if (after === before) {
+      unchanged++;
+      return;
+    }
+    // Values that were already invalid and stay unchanged are not the edit's doing.
+    if (!isValidValue(type, after)) {
+      throw new Error(`Row ${row.__originalIndex + 1}: "${after}" is not a valid ${type}.`);
+    }
+    changes.push({ path, before, after });
+  });
+  return { changes, unchanged, missing };
+}
@@ -0,0 +1,8 @@
+/**
+ * The native file API of the desktop app, exposed by the Electron preload script
+ * (see preload.js), or null when the editor runs in a browser, where files are opened
+ * with a file input and saved as downloads.
+ */
+const desktop = typeof window !== 'undefined' && window.desktop ? window.desktop : null;
+
+export default desktop;
@@ -0,0 +1,187 @@
+import { parseXML } from './xmlUtils';
+import { hasLazyNodes, writeXmlDocument, readOriginalXml } from './documentTransfer';
+import { TALLY_RECORD_TYPES, findTallyRecords, getRecordField, describeVoucher } from './tallySchema';
+
+/*
+ * Structural comparison of two parsed documents. Records are paired by the fields
+ * that identify them (`matchBy` in `TALLY_RECORD_TYPES`) rather than by position, so
+ * a voucher inserted at the top does not make every voucher after it look changed.
+ */
+
+const toItems = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+const isElementObject = (value) => typeof value === 'object' && value !== null;
+const joinField = (path, key) => (path ? `${path}.${key}` : key);
+
+/*
+ * Collects the leaf values that differ between two nodes as { field, before, after },
+ * `field` being the path to the value within the record, e.g.
+ * 'ALLLEDGERENTRIES.LIST[1].AMOUNT' or '@REMOTEID'. A value missing on one side is
+ * undefined there. Items of repeated elements are compared by position.
+ */
+function diffNodes(before, after, field, changes) {
+  if (before === after) return;
+
+  if (Array.isArray(before) || Array.isArray(after)) {
+    const beforeItems = toItems(before);
+    const afterItems = toItems(after);
+    const count = Math.max(beforeItems.length, afterItems.length);
+    for (let i = 0; i < count; i++) diffNodes(beforeItems[i], afterItems[i], `${field}[${i}]`, changes);
+    return;
+  }
+
+  if (!isElementObject(before) && !isElementObject(after)) {
+    if (String(before ?? '') !== String(after ?? '') || (before === undefined) !== (after === undefined)) {
+      changes.push({ field, before, after });
+    }
+    return;
+  }
+
+  // A text-only element compares equal to an element object holding the same text.
+  const asObject = (node) => (isElementObject(node) ? node : node === undefined ? {} : { '#text': node });
+  const beforeObject = asObject(before);
+  const afterObject = asObject(after);
+
+  const beforeAttributes = beforeObject['@attributes'] || {};
+  const afterAttributes = afterObject['@attributes'] || {};
+  new Set([...Object.keys(beforeAttributes), ...Object.keys(afterAttributes)]).forEach(name => {
+    diffNodes(beforeAttributes[name], afterAttributes[name], joinField(field, `@${name}`), changes);
+  });
+
+  new Set([...Object.keys(beforeObject), ...Object.keys(afterObject)]).forEach(key => {
+    if (key === '@attributes') return;
+    diffNodes(beforeObject[key], afterObject[key], key === '#text' ? field || '#text' : joinField(field, key), changes);
+  });
+}
+
+/**
+ * Lists the fields that differ between two versions of a record.
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+export function diffRecords(before, after) {
+  const changes = [];
+  diffNodes(before, after, '', changes);
+  return changes;
+}
+
+// The value a record is identified by under the given fields, or null if it lacks one.
+function getMatchKey(record, fields) {
+  const values = fields.map(field => getRecordField(record, field));
+  return values.every(Boolean) ? values.join('\u0000') : null;
+}
+
+/**
+ * Pairs up the records of one type in two documents. Each `matchBy` field list is
+ * tried in turn on the records still unpaired, so a record that has a GUID in one
+ * file and only a voucher number in the other is still found. Records sharing a key
+ * are paired in document order.
+ * @param {Array<{path: Array<string|number>, record: object}>} beforeRecords
+ * @param {Array<{path: Array<string|number>, record: object}>} afterRecords
+ * @param {Array<Array<string>>} matchBy The type's `matchBy` fields.
+ * @returns {Array<{before: object|undefined, after: object|undefined}>} Pairs of the given
+ *   entries in the order of `afterRecords`, followed by those only in `beforeRecords`.
+ */
+export function matchRecords(beforeRecords, afterRecords, matchBy) {
+  const partners = new Map();
+  let unmatchedBefore = beforeRecords;
+
+  matchBy.forEach(fields => {
+    const byKey = new Map();
+    unmatchedBefore.forEach(entry => {
+      const key = getMatchKey(entry.record, fields);
+      if (key === null) return;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(entry);
+    });
+    afterRecords.forEach(entry => {
+      if (partners.has(entry)) return;
+      const key = getMatchKey(entry.record, fields);
+      const candidates = key === null ? null : byKey.get(key);
+      if (candidates?.length) partners.set(entry, candidates.shift());
+    });
+    const paired = new Set(partners.values());
+    unmatchedBefore = unmatchedBefore.filter(entry => !paired.has(entry));
+  });
+
+  return [
+    ...afterRecords.map(entry => ({ before: partners.get(entry), after: entry })),
+    ...unmatchedBefore.map(entry => ({ before: entry, after: undefined })),
+  ];
+}
+
+/**
+ * A short human readable name for a record, e.g. "Sales 112 (20240401)" or a ledger's name.
+ */
+export function describeRecord(type, record) {
+  if (type === 'VOUCHER') return describeVoucher(record);
+  return getRecordField(record, 'NAME') || TALLY_RECORD_TYPES[type].label;
+}
+
+/**
+ * Compares the Tally records of two documents.
+ * @param {object} beforeDoc The document compared against, e.g. the file as opened.
+ * @param {object} afterDoc The document looked at, e.g. the file as edited.
+ * @returns {{entries: Array<object>, counts: object}} One entry per added, removed or
+ *   modified record: `{ type, status, label, before, after, beforePath, afterPath,
+ *   changes }`, `status` being 'added', 'removed' or 'modified' and the record and
+ *   path of the missing side undefined. `counts[type]` has the number of records of
+ *   each status, and of those left `unchanged`.
+ */
+export function diffDocuments(beforeDoc, afterDoc) {
+  const entries = [];
+  const counts = {};
+
+  Object.entries(TALLY_RECORD_TYPES).forEach(([type, { matchBy }]) => {
+    const typeCounts = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+    matchRecords(findTallyRecords(beforeDoc, type), findTallyRecords(afterDoc, type), matchBy)
+      .forEach(({ before, after }) => {
+        const changes = diffRecords(before?.record, after?.record);
+        const status = !before ? 'added' : !after ? 'removed' : changes.length > 0 ? 'modified' : 'unchanged';
+        typeCounts[status]++;
+        if (status === 'unchanged') return;
+        entries.push({
+          type,
+          status,
+          label: describeRecord(type, (after || before).record),
+          before: before?.record,
+          after: after?.record,
+          beforePath: before?.path,
+          afterPath: after?.path,
+          changes: status === 'modified' ? changes : [],
+        });
+      });
+    if (typeCounts.added + typeCounts.removed + typeCounts.modified + typeCounts.unchanged > 0) {
+      counts[type] = typeCounts;
+    }
+  });
+
+  return { entries, counts };
+}
+
+/**
+ * The whole document of an open file, for comparing. A lazily opened document is
+ * written out and parsed again, as its placeholders only stand for text.
+ * @param {object} xmlDoc The document as held in the store.
+ * @returns {Promise<object>} The parsed document, rooted like `xmlDoc.doc`.
+ */
+export async function getComparableDocument(xmlDoc) {
+  if (!xmlDoc.source || !hasLazyNodes(xmlDoc.doc)) return xmlDoc.doc;
+  const { doc, rootName } = parseXML(await writeXmlDocument(xmlDoc));
+  return { [rootName]: doc };
+}
+
+// The parsed original of each document, by its layout, which edits leave alone.
+const originalCache = new WeakMap();
+
+/**
+ * The document as it was when the file was opened, parsed from its text (see
+ * `readOriginalXml`).
+ * @param {object} xmlDoc The document as held in the store.
+ * @returns {Promise<object>} The parsed original, rooted like `xmlDoc.doc`.
+ */
+export async function getOriginalDocument(xmlDoc) {
+  if (originalCache.has(xmlDoc.layout)) return originalCache.get(xmlDoc.layout);
+  const { doc, rootName } = parseXML(await readOriginalXml(xmlDoc));
+  const original = { [rootName]: doc };
+  originalCache.set(xmlDoc.layout, original);
+  return original;
+}
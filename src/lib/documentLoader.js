@@ -0,0 +1,132 @@
+import { reviveNodes } from './documentTransfer';
+
+const createWorker = () => new Worker(new URL('./xmlParser.worker.js', import.meta.url), { type: 'module' });
+
+const cancelled = () => new DOMException('Loading was cancelled.', 'AbortError');
+
+/*
+ * The worker of a lazily opened document, which keeps the cleaned text of the file and
+ * parses the subtrees not loaded yet from it. Placeholders in the document refer to it.
+ */
+function createLazySource(worker) {
+  const requests = new Map();
+  let nextRequestId = 0;
+
+  const request = (message) => new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    requests.set(requestId, { resolve, reject });
+    worker.postMessage({ ...message, requestId });
+  });
+
+  const source = {
+    /**
+     * Loads subtrees from the worker.
+     * @param {Array<Array<number>>} ranges The `[start, end]` of their placeholders.
+     * @param {boolean} deep Whether to load them whole, or only their outer levels.
+     * @returns {Promise<Array<*>>} The subtrees, in the order of `ranges`.
+     */
+    load: (ranges, deep) => request({ type: 'load', ranges, deep }),
+
+    /**
+     * Reads parts of the text from the worker.
+     * @param {Array<Array<number>|null>} ranges Their `[start, end]`; null reads the whole text.
+     * @returns {Promise<Array<string>>} The texts, in the order of `ranges`.
+     */
+    read: (ranges) => request({ type: 'read', ranges }),
+
+    // Stops the worker once the document is closed.
+    close: () => {
+      worker.terminate();
+      requests.forEach(({ reject }) => reject(cancelled()));
+      requests.clear();
+    },
+  };
+
+  worker.onmessage = ({ data }) => {
+    const pending = requests.get(data.requestId);
+    if (!pending) return;
+    requests.delete(data.requestId);
+    if (data.type === 'error') {
+      pending.reject(new Error(data.message));
+    } else if (data.type === 'read') {
+      pending.resolve(data.values);
+    } else {
+      pending.resolve(reviveNodes(data.values, data.layouts, source));
+    }
+  };
+
+  return source;
+}
+
+/**
+ * Opens an XML file in a background worker, which reads, decodes, cleans and parses it
+ * in chunks. Large files open lazily: their deeper subtrees are left as placeholders
+ * (see `LAZY_NODE`) that the store's `loadLazyNode` loads when they are needed, and
+ * the text stays in the worker (see `readOriginalXml` and `writeXmlDocument`).
+ * @param {File} file The file to open.
+ * @param {function({loaded: number, total: number}): void} [onProgress] Called as the
+ *   file is read, with the number of bytes read so far.
+ * @returns {{promise: Promise<object>, cancel: function(): void}} The promise resolves
+ *   with `{ xmlDoc, removedCount, log }`, `xmlDoc` being the document for `openDocument`;
+ *   `cancel` stops the worker and rejects it with an AbortError.
+ */
+export function openXmlFile(file, onProgress) {
+  const worker = createWorker();
+  let rejectOpen;
+  let settled = false;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectOpen = reject;
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.({ loaded: data.loaded, total: data.total });
+        return;
+      }
+      settled = true;
+      if (data.type === 'error') {
+        worker.terminate();
+        reject(new Error(data.message));
+        return;
+      }
+
+      const { value, layouts, rootName, layout, text, encoding, removedCount, log, lazy } = data;
+      const source = lazy ? createLazySource(worker) : null;
+      if (!lazy) worker.terminate();
+      const [doc] = reviveNodes([value], layouts, source);
+
+      resolve({
+        xmlDoc: {
+          doc: { [rootName]: doc }, // Wrap with root element name
+          rootName,
+          // Null while the text is in the worker.
+          originalXml: text,
+          layout,
+          // Remembered so the file can be saved back in the form Tally exported it.
+          encoding,
+          // Set while parts of the document are still in the worker.
+          source,
+        },
+        removedCount,
+        log,
+      });
+    };
+
+    worker.onerror = (event) => {
+      settled = true;
+      worker.terminate();
+      reject(new Error(event.message || 'The XML parser stopped unexpectedly.'));
+    };
+  });
+
+  worker.postMessage({ type: 'open', file });
+
+  // Once the file is open, its worker belongs to the document.
+  const cancel = () => {
+    if (settled) return;
+    worker.terminate();
+    rejectOpen(cancelled());
+  };
+
+  return { promise, cancel };
+}
@@ -0,0 +1,257 @@
+import get from 'lodash.get';
+import setIn from 'lodash.set';
+import { cloneNode } from './xmlUtils';
+import { insertItem, appendItems, removeItem } from './nodeUtils';
+import { TALLY_RECORD_TYPES, findTallyRecords } from './tallySchema';
+import { matchRecords, diffRecords, describeRecord } from './documentDiff';
+
+/*
+ * Three-way merge of Tally documents: the changes two edited copies ("ours" and
+ * "theirs") made to a common base are combined into a copy of ours. Records are paired
+ * as in `diffDocuments`; a record changed on both sides is merged field by field, a
+ * field being an attribute ('@NAME') or a child group of the record (e.g. DATE or all
+ * of its ALLLEDGERENTRIES.LIST), so a record's entry list is merged whole.
+ */
+
+const isSame = (a, b) => diffRecords(a, b).length === 0;
+
+// Whether a field value can be typed in by hand: plain text, or missing.
+const isTextValue = (value) => value === undefined || typeof value !== 'object' || value === null;
+
+function readField(record, field) {
+  if (field.startsWith('@')) return record?.['@attributes']?.[field.slice(1)];
+  return record?.[field];
+}
+
+function writeField(record, field, value) {
+  if (field.startsWith('@')) {
+    const name = field.slice(1);
+    if (value !== undefined) {
+      record['@attributes'] = { ...record['@attributes'], [name]: value };
+    } else if (record['@attributes']) {
+      const rest = { ...record['@attributes'] };
+      delete rest[name];
+      if (Object.keys(rest).length > 0) record['@attributes'] = rest;
+      else delete record['@attributes'];
+    }
+  } else if (value !== undefined) {
+    record[field] = cloneNode(value);
+  } else {
+    delete record[field];
+  }
+}
+
+// Every field of the given records, in the order they first appear.
+function listFields(...records) {
+  const fields = new Set();
+  records.forEach(record => {
+    Object.keys(record?.['@attributes'] || {}).forEach(name => fields.add(`@${name}`));
+    Object.keys(record || {}).forEach(key => {
+      if (key !== '@attributes') fields.add(key);
+    });
+  });
+  return [...fields];
+}
+
+// Compares paths segment by segment, so removing in descending order keeps the indices
+// of the paths still to be removed valid.
+function comparePaths(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] === b[i]) continue;
+    if (typeof a[i] === 'number' && typeof b[i] === 'number') return a[i] - b[i];
+    return String(a[i]).localeCompare(String(b[i]));
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Works out how to merge two edited versions of a document.
+ * @param {object} baseDoc The document both were edited from.
+ * @param {object} oursDoc One edited version; the merge result is a copy of it.
+ * @param {object} theirsDoc The other edited version.
+ * @returns {{steps: Array<object>, conflicts: Array<object>, summary: object}}
+ *   `steps` are the changes of theirs that merge cleanly into ours, to be passed to
+ *   `applyMerge`. Each conflict is `{ id, kind, type, label, field, base, ours, theirs,
+ *   oursPath, isText }`: `kind` 'field' for a field both sides changed differently, or
+ *   'record' for a record one side deleted and the other changed, `field` then being
+ *   null and the values whole records. `summary` counts what merged cleanly:
+ *   `{ fromOurs, fromTheirs, added, removed }`.
+ */
+export function planMerge(baseDoc, oursDoc, theirsDoc) {
+  const steps = [];
+  const conflicts = [];
+  const summary = { fromOurs: 0, fromTheirs: 0, added: 0, removed: 0 };
+
+  const addConflict = (conflict) => conflicts.push({ id: conflicts.length, ...conflict });
+
+  const mergeFields = (type, label, base, ours, theirs) => {
+    listFields(base, ours, theirs).forEach(field => {
+      const [baseValue, oursValue, theirsValue] = [base, ours.record, theirs.record].map(record => readField(record, field));
+      if (isSame(oursValue, theirsValue)) return;
+      if (isSame(baseValue, oursValue)) {
+        steps.push({ kind: 'field', path: ours.path, field, value: theirsValue });
+        summary.fromTheirs++;
+      } else if (isSame(baseValue, theirsValue)) {
+        summary.fromOurs++;
+      } else {
+        addConflict({
+          kind: 'field',
+          type,
+          label,
+          field,
+          base: baseValue,
+          ours: oursValue,
+          theirs: theirsValue,
+          oursPath: ours.path,
+          isText: isTextValue(oursValue) && isTextValue(theirsValue),
+        });
+      }
+    });
+  };
+
+  Object.entries(TALLY_RECORD_TYPES).forEach(([type, { matchBy }]) => {
+    const baseRecords = findTallyRecords(baseDoc, type);
+    const pairsWithOurs = matchRecords(baseRecords, findTallyRecords(oursDoc, type), matchBy);
+    const pairsWithTheirs = matchRecords(baseRecords, findTallyRecords(theirsDoc, type), matchBy);
+
+    const oursByBase = new Map();
+    const addedInOurs = [];
+    pairsWithOurs.forEach(({ before, after }) => {
+      if (before && after) oursByBase.set(before, after);
+      else if (after) addedInOurs.push(after);
+    });
+    const theirsByBase = new Map();
+    const addedInTheirs = [];
+    pairsWithTheirs.forEach(({ before, after }) => {
+      if (before && after) theirsByBase.set(before, after);
+      else if (after) addedInTheirs.push(after);
+    });
+
+    baseRecords.forEach(base => {
+      const ours = oursByBase.get(base);
+      const theirs = theirsByBase.get(base);
+      const label = describeRecord(type, (ours || theirs || base).record);
+
+      if (ours && theirs) {
+        mergeFields(type, label, base.record, ours, theirs);
+      } else if (ours && !theirs) {
+        // Deleted in theirs.
+        if (isSame(base.record, ours.record)) {
+          steps.push({ kind: 'remove', path: ours.path });
+          summary.removed++;
+        } else {
+          addConflict({ kind: 'record', type, label, field: null, base: base.record, ours: ours.record, theirs: undefined, oursPath: ours.path, isText: false });
+        }
+      } else if (theirs && !isSame(base.record, theirs.record)) {
+        // Deleted in ours, changed in theirs.
+        addConflict({ kind: 'record', type, label, field: null, base: base.record, ours: undefined, theirs: theirs.record, oursPath: null, isText: false });
+      }
+    });
+
+    // Records both sides added are merged as if they had been empty in the base.
+    matchRecords(addedInOurs, addedInTheirs, matchBy).forEach(({ before: ours, after: theirs }) => {
+      if (ours && theirs) {
+        mergeFields(type, describeRecord(type, ours.record), undefined, ours, theirs);
+      } else if (theirs) {
+        steps.push({ kind: 'insert', type, record: theirs.record });
+        summary.added++;
+      }
+    });
+  });
+
+  return { steps, conflicts, summary };
+}
+
+// Removes a record, and the TALLYMESSAGE (or other wrapper) it was the only content of.
+function removeRecord(doc, path) {
+  removeItem(doc, path);
+  const wrapperPath = path.slice(0, -1);
+  if (typeof path[path.length - 1] === 'number' || typeof wrapperPath[wrapperPath.length - 1] !== 'number') return;
+  const wrapper = get(doc, wrapperPath);
+  if (Object.keys(wrapper).every(key => key === '@attributes')) removeItem(doc, wrapperPath);
+}
+
+/*
+ * Adds a record after `lastPath`, the last record of its type, the way that record is
+ * held: as the next item of an array of records, in a new wrapper after its own
+ * wrapper (one record per TALLYMESSAGE), or next to it in the same element.
+ * @returns {Array<string|number>} The path of the added record.
+ */
+function insertRecordAfter(doc, lastPath, type, record) {
+  const last = lastPath[lastPath.length - 1];
+  if (typeof last === 'number') {
+    const arrayPath = lastPath.slice(0, -1);
+    insertItem(doc, arrayPath, last + 1, record);
+    return [...arrayPath, last + 1];
+  }
+  const wrapperIndex = lastPath[lastPath.length - 2];
+  if (typeof wrapperIndex === 'number') {
+    const wrappersPath = lastPath.slice(0, -2);
+    const wrapper = get(doc, lastPath.slice(0, -1));
+    const newWrapper = wrapper['@attributes'] ? { '@attributes': wrapper['@attributes'], [type]: record } : { [type]: record };
+    insertItem(doc, wrappersPath, wrapperIndex + 1, newWrapper);
+    return [...wrappersPath, wrapperIndex + 1, type];
+  }
+  const parentPath = lastPath.slice(0, -1);
+  const parent = get(doc, parentPath);
+  appendItems(parent, type, record);
+  return [...parentPath, type, parent[type].length - 1];
+}
+
+/**
+ * Builds the merged document: a copy of ours with the clean changes of theirs and the
+ * chosen side of every conflict applied.
+ * @param {object} oursDoc The document `plan` was worked out with as ours.
+ * @param {object} plan The result of `planMerge`.
+ * @param {Object<number, {take: 'ours'|'theirs'|'manual', value?: string}>} resolutions
+ *   How each conflict is resolved, by its id. Unresolved conflicts keep ours.
+ * @returns {object} The merged document.
+ * @throws {Error} When a record of theirs has no place to go in ours, as ours has no
+ *   records of its type.
+ */
+export function applyMerge(oursDoc, plan, resolutions) {
+  const steps = [...plan.steps];
+  plan.conflicts.forEach(conflict => {
+    const resolution = resolutions[conflict.id];
+    if (!resolution || resolution.take === 'ours') return;
+    const value = resolution.take === 'manual' ? resolution.value : conflict.theirs;
+    if (conflict.kind === 'field') {
+      steps.push({ kind: 'field', path: conflict.oursPath, field: conflict.field, value });
+    } else if (!conflict.oursPath) {
+      steps.push({ kind: 'insert', type: conflict.type, record: value });
+    } else if (value === undefined) {
+      steps.push({ kind: 'remove', path: conflict.oursPath });
+    } else {
+      steps.push({ kind: 'replace', path: conflict.oursPath, record: value });
+    }
+  });
+
+  const doc = cloneNode(oursDoc);
+
+  // Changes in place first, while the paths of ours still hold.
+  steps.forEach(step => {
+    if (step.kind === 'field') writeField(get(doc, step.path), step.field, step.value);
+    if (step.kind === 'replace') setIn(doc, step.path, cloneNode(step.record));
+  });
+
+  steps
+    .filter(step => step.kind === 'remove')
+    .map(step => step.path)
+    .sort(comparePaths)
+    .reverse()
+    .forEach(path => removeRecord(doc, path));
+
+  const lastPaths = {};
+  steps.filter(step => step.kind === 'insert').forEach(({ type, record }) => {
+    if (!(type in lastPaths)) {
+      const records = findTallyRecords(doc, type);
+      lastPaths[type] = records.length > 0 ? records[records.length - 1].path : null;
+    }
+    if (!lastPaths[type]) {
+      throw new Error(`${describeRecord(type, record)} cannot be added, as the merged file has no ${TALLY_RECORD_TYPES[type].label.toLowerCase()} to add it next to.`);
+    }
+    lastPaths[type] = insertRecordAfter(doc, lastPaths[type], type, cloneNode(record));
+  });
+
+  return doc;
+}
@@ -0,0 +1,87 @@
+import { testValue } from './filterParser';
+import { isLazyNode } from './xmlUtils';
+
+/*
+ * Search across a whole document, with the filter query syntax of table columns.
+ */
+
+const isIndex = (segment) => typeof segment === 'number' || /^\d+$/.test(String(segment));
+
+/**
+ * Finds the tag names, attribute names and values and text values that match a query.
+ * Placeholders of a lazily opened document are not searched.
+ * @param {object} doc The parsed document.
+ * @param {object} condition A query parsed by `parseFilterQuery`.
+ * @param {{tags: boolean, attributes: boolean, values: boolean}} scope What to search.
+ * @param {number} limit The most hits to return.
+ * @returns {{hits: Array<object>, truncated: boolean, skippedLazy: boolean}} Hits in
+ *   document order, each `{ kind, path, name, value }`: `kind` is 'tag' (the element at
+ *   `path` is named `name`), 'attribute' (its attribute `name`, with `value`) or 'value'
+ *   (the text `value` at `path`, `name` being the tag it belongs to).
+ */
+export function searchDocument(doc, condition, scope, limit) {
+  const hits = [];
+  let truncated = false;
+  let skippedLazy = false;
+
+  const add = (hit) => {
+    if (hits.length < limit) hits.push(hit);
+    else truncated = true;
+  };
+  const matches = (text) => testValue(String(text ?? ''), condition);
+
+  const visit = (node, path, name) => {
+    if (truncated) return;
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => visit(item, [...path, index], name));
+      return;
+    }
+    if (isLazyNode(node)) {
+      skippedLazy = true;
+      return;
+    }
+    if (scope.tags && path[path.length - 1] !== '#text' && matches(name)) {
+      add({ kind: 'tag', path, name, value: typeof node === 'object' && node !== null ? null : node });
+    }
+    if (typeof node !== 'object' || node === null) {
+      if (scope.values && matches(node)) add({ kind: 'value', path, name, value: node });
+      return;
+    }
+
+    const attributes = node['@attributes'] || {};
+    Object.keys(attributes).forEach(attribute => {
+      const value = attributes[attribute];
+      if (scope.attributes && (matches(attribute) || matches(value))) {
+        add({ kind: 'attribute', path, name: attribute, value });
+      }
+    });
+    Object.keys(node).forEach(key => {
+      if (key !== '@attributes') visit(node[key], [...path, key], key === '#text' ? name : key);
+    });
+  };
+
+  Object.keys(doc).forEach(key => visit(doc[key], [key], key));
+  return { hits, truncated, skippedLazy };
+}
+
+/**
+ * Where to show a hit: the element to open, and the key of the row that holds the hit
+ * in it, if any. A text value is shown in the element it belongs to, as are elements
+ * without children of their own.
+ * @returns {{path: Array<string|number>, key: string|null}}
+ */
+export function getHitLocation(hit, doc) {
+  const isElementObject = (path) => {
+    let node = doc;
+    for (const segment of path) node = node?.[segment];
+    return typeof node === 'object' && node !== null && !Array.isArray(node);
+  };
+
+  if (hit.kind === 'attribute' || (hit.kind === 'tag' && isElementObject(hit.path))) {
+    return { path: hit.path, key: null };
+  }
+  // Drop the index of a repeated element to find the key it is listed under.
+  let end = hit.path.length;
+  while (end > 1 && isIndex(hit.path[end - 1])) end--;
+  return { path: hit.path.slice(0, end - 1), key: String(hit.path[end - 1]) };
+}
@@ -0,0 +1,150 @@
+import { XML_LAYOUT, LAZY_NODE, LAZY_MARKER, isLazyNode, jsonToXml } from './xmlUtils';
+
+/*
+ * Moving parsed documents between the parser worker and the editor. Structured
+ * cloning drops symbol keys, so the layouts of element objects travel in a separate
+ * list, in the order `exportNode` visits the objects and `reviveNodes` visits them
+ * again. Subtrees the parser did not build travel as their `LAZY_MARKER` and become
+ * `LAZY_NODE` placeholders.
+ */
+
+/**
+ * Prepares a parsed node to be posted from the worker: collects the layouts of its
+ * element objects, in the order `reviveNodes` puts them back.
+ * @param {*} node The node to export.
+ * @param {Array<object>} layouts Receives the layouts of the exported element objects.
+ * @returns {*} The node to post.
+ */
+export function exportNode(node, layouts) {
+  if (Array.isArray(node)) {
+    node.forEach(item => exportNode(item, layouts));
+    return node;
+  }
+  if (typeof node !== 'object' || node === null || node[LAZY_MARKER]) return node;
+
+  layouts.push(node[XML_LAYOUT] || null);
+  for (const key of Object.keys(node)) {
+    if (key !== '@attributes') exportNode(node[key], layouts);
+  }
+  return node;
+}
+
+/**
+ * Turns nodes posted by the worker back into document nodes: layouts are put back
+ * and markers become `LAZY_NODE` placeholders that load from `source`. The nodes are
+ * changed in place.
+ * @param {Array<*>} values The posted nodes, in the order they were exported.
+ * @param {Array<object>} layouts The layouts that came with them.
+ * @param {object} source The loader the placeholders load from (see `documentLoader`).
+ * @returns {Array<*>} The revived nodes.
+ */
+export function reviveNodes(values, layouts, source) {
+  let next = 0;
+  const revive = (node, name) => {
+    if (Array.isArray(node)) {
+      for (let i = 0; i < node.length; i++) node[i] = revive(node[i], name);
+      return node;
+    }
+    if (typeof node !== 'object' || node === null) return node;
+
+    if (node[LAZY_MARKER]) {
+      const [start, end] = node[LAZY_MARKER];
+      return { [LAZY_NODE]: { name, start, end, source } };
+    }
+
+    const layout = layouts[next++];
+    if (layout) node[XML_LAYOUT] = layout;
+    for (const key of Object.keys(node)) {
+      if (key !== '@attributes') node[key] = revive(node[key], key);
+    }
+    return node;
+  };
+  return values.map(value => revive(value, null));
+}
+
+/**
+ * Lists the placeholders in a node: the node itself if it is one, and with `deep` also
+ * every placeholder below it.
+ * @returns {Array<object>} The placeholder objects.
+ */
+export function findLazyNodes(node, deep) {
+  if (isLazyNode(node)) return [node];
+  if (!deep || !hasLazyNodes(node)) return [];
+  return Object.keys(node).flatMap(key => findLazyNodes(node[key], true));
+}
+
+// Per node, whether it has placeholders below it. Nodes are never changed in place,
+// so an edit only has to recheck the nodes on the path to it.
+const lazyCache = new WeakMap();
+
+/**
+ * Whether a node is, or with `deep` contains, a placeholder that is yet to be loaded.
+ */
+export function hasLazyNodes(node, deep = true) {
+  if (typeof node !== 'object' || node === null) return false;
+  if (node[LAZY_NODE]) return true;
+  if (!deep) return false;
+  if (lazyCache.has(node)) return lazyCache.get(node);
+
+  const result = Object.keys(node).some(key => key !== '@attributes' && hasLazyNodes(node[key]));
+  lazyCache.set(node, result);
+  return result;
+}
+
+/**
+ * Replaces loaded placeholders in a node. Only the objects on the way to them are
+ * copied, so the rest of the node keeps its identity.
+ * @param {*} node The node containing the placeholders.
+ * @param {Map<object, *>} loaded The loaded subtree for each placeholder.
+ * @returns {*} The node with the placeholders replaced.
+ */
+export function fillLazyNodes(node, loaded) {
+  if (loaded.has(node)) return loaded.get(node);
+  if (!hasLazyNodes(node)) return node;
+
+  let copy = null;
+  for (const key of Object.keys(node)) {
+    const value = fillLazyNodes(node[key], loaded);
+    if (value !== node[key]) {
+      // Spreading keeps the XML_LAYOUT of the object.
+      copy = copy || (Array.isArray(node) ? [...node] : { ...node });
+      copy[key] = value;
+    }
+  }
+  return copy || node;
+}
+
+/**
+ * Writes a document as XML, see `jsonToXml`. The placeholders left in a lazily opened
+ * document are written from their source text, which is read from the worker holding
+ * it only for as long as the writing takes.
+ * @param {object} xmlDoc The document as held in the store.
+ * @returns {Promise<string>} The XML string.
+ */
+export async function writeXmlDocument({ doc, rootName, layout }) {
+  const placeholders = findLazyNodes(doc, true).map(placeholder => placeholder[LAZY_NODE]);
+  if (placeholders.length === 0) return jsonToXml(doc, rootName, layout);
+
+  // A copied record may hold placeholders of another open document.
+  const sources = new Map();
+  placeholders.forEach(placeholder => {
+    if (!sources.has(placeholder.source)) sources.set(placeholder.source, []);
+    sources.get(placeholder.source).push(placeholder);
+  });
+  const texts = new Map();
+  await Promise.all([...sources].map(async ([source, sourcePlaceholders]) => {
+    const values = await source.read(sourcePlaceholders.map(({ start, end }) => [start, end]));
+    sourcePlaceholders.forEach((placeholder, i) => texts.set(placeholder, values[i]));
+  }));
+  return jsonToXml(doc, rootName, layout, texts);
+}
+
+/**
+ * The text a document was parsed from. A lazily opened document leaves it in its
+ * worker until it is needed.
+ * @param {object} xmlDoc The document as held in the store.
+ * @returns {Promise<string>}
+ */
+export async function readOriginalXml(xmlDoc) {
+  return xmlDoc.originalXml ?? (await xmlDoc.source.read([null]))[0];
+}
@@ -0,0 +1,414 @@
+import { parseTallyAmount, parseTallyFlag } from './tallySchema';
+import { fromTallyDate } from './valueTypes';
+
+/*
+ * A small formula language over the fields of a row, run by its own interpreter rather
+ * than `eval`, so a formula can only read the row it is given:
+ *
+ *   AMOUNT * 1.18                       arithmetic: + - * / %, and & to join text
+ *   abs(AMOUNT), round(RATE * 1.18, 2)  function calls
+ *   if(ISDEEMEDPOSITIVE = "Yes", "Dr", "Cr")
+ *   sum(ALLLEDGERENTRIES.LIST.AMOUNT)   a field inside repeated elements is a list
+ *   @REMOTEID                           an attribute
+ *   DATE >= 20240401 and not(isempty(NARRATION))
+ *
+ * Field names are matched case-insensitively. Text is compared case-insensitively, and
+ * as numbers when both sides are numbers. Empty fields count as 0 in arithmetic.
+ */
+
+/**
+ * A short summary of the language, for tooltips of formula inputs.
+ */
+export const EXPRESSION_SYNTAX_HELP = [
+  'Fields by name: AMOUNT, @REMOTEID, ALLLEDGERENTRIES.LIST.AMOUNT',
+  'Operators: + - * / %, & joins text, = <> < <= > >=, and, or, not',
+  'if(cond, then, else), abs, round(x, digits), min, max, sum, count, avg',
+  'len, upper, lower, trim, left, right, contains, replace, number, text, isempty',
+  'Dates: adddays, addmonths, addyears, year, month, day',
+].join('\n');
+
+const textOf = (value) => (typeof value === 'object' && value !== null && !Array.isArray(value) ? value['#text'] ?? null : value);
+
+/**
+ * Reads a field of a record for a formula. Dots step into child elements, and a key
+ * may itself contain dots, as in ALLLEDGERENTRIES.LIST. Every repeated element on the
+ * way makes the result a list of the values found in each.
+ * @param {object} record The row's source element.
+ * @param {string} name E.g. 'AMOUNT', '@REMOTEID' or 'ALLLEDGERENTRIES.LIST.AMOUNT'.
+ * @returns {*} The value, null if missing, or an array of values.
+ */
+export function resolveField(record, name) {
+  const values = [];
+  let isList = false;
+
+  const collect = (node, rest) => {
+    if (Array.isArray(node)) {
+      isList = true;
+      node.forEach(item => collect(item, rest));
+      return;
+    }
+    if (rest.length === 0) {
+      values.push(textOf(node));
+      return;
+    }
+    if (typeof node !== 'object' || node === null) return;
+    if (rest[0].startsWith('@') && rest.length === 1) {
+      const attributes = node['@attributes'] || {};
+      const key = Object.keys(attributes).find(k => k.toLowerCase() === rest[0].slice(1).toLowerCase());
+      if (key !== undefined) values.push(attributes[key]);
+      return;
+    }
+    // The longest key that matches wins, so LIST in ALLLEDGERENTRIES.LIST is not a step.
+    for (let end = rest.length; end > 0; end--) {
+      const wanted = rest.slice(0, end).join('.').toLowerCase();
+      const key = Object.keys(node).find(k => k.toLowerCase() === wanted);
+      if (key !== undefined) {
+        collect(node[key], rest.slice(end));
+        return;
+      }
+    }
+  };
+
+  collect(record, name.split('.'));
+  if (isList) return values;
+  return values.length > 0 ? values[0] : null;
+}
+
+// Splits a formula into tokens: `{ kind, value, position }`, `position` counting from 1.
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    const position = i + 1;
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/\d/.test(char) || (char === '.' && /\d/.test(source[i + 1] ?? ''))) {
+      const match = /^\d*\.?\d+/.exec(source.slice(i));
+      tokens.push({ kind: 'number', value: Number(match[0]), position });
+      i += match[0].length;
+    } else if (char === '"') {
+      // "" stands for a quote inside text, as in spreadsheets.
+      let end = i + 1;
+      let value = '';
+      while (end < source.length && !(source[end] === '"' && source[end + 1] !== '"')) {
+        value += source[end];
+        end += source[end] === '"' ? 2 : 1;
+      }
+      if (end >= source.length) throw new Error(`The text at character ${position} has no closing quote.`);
+      tokens.push({ kind: 'string', value, position });
+      i = end + 1;
+    } else if (/[A-Za-z_@#]/.test(char)) {
+      const match = /^[A-Za-z_@#][\w@#]*(\.[A-Za-z_@#][\w@#]*)*/.exec(source.slice(i));
+      const word = match[0];
+      const lower = word.toLowerCase();
+      if (lower === 'and' || lower === 'or' || (lower === 'not' && source[i + word.length] !== '(')) {
+        tokens.push({ kind: 'operator', value: lower, position });
+      } else {
+        tokens.push({ kind: 'name', value: word, position });
+      }
+      i += word.length;
+    } else {
+      const operator = ['<=', '>=', '<>', '!=', '==', '+', '-', '*', '/', '%', '&', '=', '<', '>', '(', ')', ','].find(op => source.startsWith(op, i));
+      if (!operator) throw new Error(`Unexpected "${char}" at character ${position}.`);
+      tokens.push({ kind: 'operator', value: operator === '!=' ? '<>' : operator === '==' ? '=' : operator, position });
+      i += operator.length;
+    }
+  }
+  return tokens;
+}
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+function isEmpty(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/*
+ * Reads a value as a number: amounts may carry separators, a currency or a unit, and
+ * Yes/No flags and comparisons count as 1 and 0.
+ */
+function toNumber(value) {
+  if (Array.isArray(value)) throw new Error('A list of values needs sum(), count(), min() or max() to become a number.');
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (isEmpty(value)) return 0;
+  const number = parseTallyAmount(value);
+  if (number === null || Number.isNaN(number)) throw new Error(`"${value}" is not a number.`);
+  return number;
+}
+
+function toText(value) {
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  // Drops the noise of binary fractions, e.g. 590.0000000000001.
+  if (typeof value === 'number') return String(Number(value.toFixed(10)));
+  return String(value);
+}
+
+function isTrue(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (Array.isArray(value)) return value.length > 0;
+  const flag = parseTallyFlag(value);
+  return flag !== null ? flag : !isEmpty(value);
+}
+
+const isNumeric = (value) => typeof value === 'number'
+  || (typeof value === 'string' && /^\s*-?[\d,]*\.?\d+\s*$/.test(value));
+
+function compare(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return toNumber(a) - toNumber(b);
+  return toText(a).trim().localeCompare(toText(b).trim(), undefined, { sensitivity: 'accent' });
+}
+
+// Moves a Tally date (YYYYMMDD) by whole days, months or years.
+function shiftDate(value, unit, amount) {
+  const iso = fromTallyDate(toText(value));
+  if (!iso) throw new Error(`"${toText(value)}" is not a date (YYYYMMDD).`);
+  const [year, month, day] = iso.split('-').map(Number);
+  const count = Math.trunc(toNumber(amount));
+  let date;
+  if (unit === 'days') {
+    date = new Date(Date.UTC(year, month - 1, day + count));
+  } else {
+    const months = unit === 'months' ? count : count * 12;
+    // The 31st of a shorter month becomes its last day, as in Tally.
+    const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+    date = new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay)));
+  }
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function readDatePart(value, start, end) {
+  const iso = fromTallyDate(toText(value));
+  if (!iso) throw new Error(`"${toText(value)}" is not a date (YYYYMMDD).`);
+  return Number(iso.replace(/-/g, '').slice(start, end));
+}
+
+const numbersOf = (args) => args.flatMap(toList).filter(value => !isEmpty(value)).map(value => toNumber(value));
+
+// Each function with its [least, most] number of arguments.
+const FUNCTIONS = {
+  abs: [[1, 1], ([x]) => Math.abs(toNumber(x))],
+  round: [[1, 2], ([x, digits = 0]) => {
+    const factor = 10 ** toNumber(digits);
+    return Math.round(toNumber(x) * factor) / factor;
+  }],
+  floor: [[1, 1], ([x]) => Math.floor(toNumber(x))],
+  ceil: [[1, 1], ([x]) => Math.ceil(toNumber(x))],
+  min: [[1, Infinity], (args) => {
+    const numbers = numbersOf(args);
+    return numbers.length > 0 ? Math.min(...numbers) : null;
+  }],
+  max: [[1, Infinity], (args) => {
+    const numbers = numbersOf(args);
+    return numbers.length > 0 ? Math.max(...numbers) : null;
+  }],
+  sum: [[1, Infinity], (args) => numbersOf(args).reduce((total, n) => total + n, 0)],
+  avg: [[1, Infinity], (args) => {
+    const numbers = numbersOf(args);
+    return numbers.length > 0 ? numbers.reduce((total, n) => total + n, 0) / numbers.length : null;
+  }],
+  count: [[1, Infinity], (args) => args.flatMap(toList).filter(value => !isEmpty(value)).length],
+  len: [[1, 1], ([x]) => toText(x).length],
+  upper: [[1, 1], ([x]) => toText(x).toUpperCase()],
+  lower: [[1, 1], ([x]) => toText(x).toLowerCase()],
+  trim: [[1, 1], ([x]) => toText(x).trim()],
+  left: [[2, 2], ([x, n]) => toText(x).slice(0, Math.max(0, toNumber(n)))],
+  right: [[2, 2], ([x, n]) => {
+    const count = Math.max(0, toNumber(n));
+    return count === 0 ? '' : toText(x).slice(-count);
+  }],
+  contains: [[2, 2], ([x, part]) => toText(x).toLowerCase().includes(toText(part).toLowerCase())],
+  replace: [[3, 3], ([x, find, replacement]) => toText(x).split(toText(find)).join(toText(replacement))],
+  concat: [[1, Infinity], (args) => args.map(toText).join('')],
+  number: [[1, 1], ([x]) => toNumber(x)],
+  text: [[1, 1], ([x]) => toText(x)],
+  isempty: [[1, 1], ([x]) => isEmpty(x)],
+  not: [[1, 1], ([x]) => !isTrue(x)],
+  adddays: [[2, 2], ([date, n]) => shiftDate(date, 'days', n)],
+  addmonths: [[2, 2], ([date, n]) => shiftDate(date, 'months', n)],
+  addyears: [[2, 2], ([date, n]) => shiftDate(date, 'years', n)],
+  year: [[1, 1], ([date]) => readDatePart(date, 0, 4)],
+  month: [[1, 1], ([date]) => readDatePart(date, 4, 6)],
+  day: [[1, 1], ([date]) => readDatePart(date, 6, 8)],
+};
+
+// Binary operators by precedence, loosest first.
+const BINARY_LEVELS = [['or'], ['and'], ['=', '<>', '<', '<=', '>', '>='], ['&'], ['+', '-'], ['*', '/', '%']];
+
+function parse(tokens) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const describe = (token) => (token ? `"${token.value}" at character ${token.position}` : 'the end of the formula');
+  const expect = (value) => {
+    const token = tokens[index];
+    if (token?.kind !== 'operator' || token.value !== value) throw new Error(`Expected "${value}" but found ${describe(token)}.`);
+    index++;
+  };
+
+  const parseLevel = (level) => {
+    if (level === BINARY_LEVELS.length) return parseUnary();
+    let left = parseLevel(level + 1);
+    while (peek()?.kind === 'operator' && BINARY_LEVELS[level].includes(peek().value)) {
+      const { value: operator } = tokens[index++];
+      left = { type: 'binary', operator, left, right: parseLevel(level + 1) };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token?.kind === 'operator' && (token.value === '-' || token.value === '+' || token.value === 'not')) {
+      index++;
+      // `not` binds looser than comparisons, so `not A = B` negates the comparison.
+      const operand = token.value === 'not' ? parseLevel(2) : parseUnary();
+      return { type: 'unary', operator: token.value, operand };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) throw new Error('The formula ends too early; a value should follow.');
+    if (token.kind === 'number' || token.kind === 'string') return { type: 'literal', value: token.value };
+    if (token.kind === 'operator' && token.value === '(') {
+      const node = parseLevel(0);
+      expect(')');
+      return node;
+    }
+    if (token.kind !== 'name') throw new Error(`Expected a value but found ${describe(token)}.`);
+
+    if (peek()?.kind === 'operator' && peek().value === '(') {
+      const name = token.value.toLowerCase();
+      if (!Object.hasOwn(FUNCTIONS, name)) throw new Error(`There is no function "${token.value}" (character ${token.position}).`);
+      index++;
+      const args = [];
+      if (!(peek()?.kind === 'operator' && peek().value === ')')) {
+        args.push(parseLevel(0));
+        while (peek()?.kind === 'operator' && peek().value === ',') {
+          index++;
+          args.push(parseLevel(0));
+        }
+      }
+      expect(')');
+      const [least, most] = FUNCTIONS[name][0];
+      if (args.length < least || args.length > most) {
+        const expected = least === most ? least : most === Infinity ? `at least ${least}` : `${least} or ${most}`;
+        throw new Error(`${token.value}() takes ${expected} argument${expected === 1 ? '' : 's'}, not ${args.length}.`);
+      }
+      return { type: 'call', name, args };
+    }
+    if (token.value.toLowerCase() === 'true' || token.value.toLowerCase() === 'false') {
+      return { type: 'literal', value: token.value.toLowerCase() === 'true' };
+    }
+    return { type: 'field', name: token.value };
+  };
+
+  const node = parseLevel(0);
+  if (index < tokens.length) throw new Error(`Unexpected ${describe(peek())}.`);
+  return node;
+}
+
+// `if` only evaluates the branch it takes; it is not in FUNCTIONS for that reason.
+FUNCTIONS.if = [[2, 3], null];
+
+function evaluateNode(node, resolve) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return resolve(node.name);
+    case 'unary': {
+      const operand = evaluateNode(node.operand, resolve);
+      if (node.operator === 'not') return !isTrue(operand);
+      return node.operator === '-' ? -toNumber(operand) : toNumber(operand);
+    }
+    case 'binary': {
+      const { operator } = node;
+      if (operator === 'and') return isTrue(evaluateNode(node.left, resolve)) && isTrue(evaluateNode(node.right, resolve));
+      if (operator === 'or') return isTrue(evaluateNode(node.left, resolve)) || isTrue(evaluateNode(node.right, resolve));
+      const left = evaluateNode(node.left, resolve);
+      const right = evaluateNode(node.right, resolve);
+      switch (operator) {
+        case '&': return toText(left) + toText(right);
+        case '+': return toNumber(left) + toNumber(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case '/': {
+          const divisor = toNumber(right);
+          if (divisor === 0) throw new Error('Division by zero.');
+          return toNumber(left) / divisor;
+        }
+        case '%': return toNumber(left) % toNumber(right);
+        case '=': return compare(left, right) === 0;
+        case '<>': return compare(left, right) !== 0;
+        case '<': return compare(left, right) < 0;
+        case '<=': return compare(left, right) <= 0;
+        case '>': return compare(left, right) > 0;
+        default: return compare(left, right) >= 0;
+      }
+    }
+    case 'call': {
+      if (node.name === 'if') {
+        const [condition, then, otherwise] = node.args;
+        if (isTrue(evaluateNode(condition, resolve))) return evaluateNode(then, resolve);
+        return otherwise ? evaluateNode(otherwise, resolve) : null;
+      }
+      return FUNCTIONS[node.name][1](node.args.map(arg => evaluateNode(arg, resolve)));
+    }
+    default:
+      return null;
+  }
+}
+
+function collectFields(node, fields) {
+  if (node.type === 'field') fields.add(node.name);
+  if (node.operand) collectFields(node.operand, fields);
+  if (node.left) collectFields(node.left, fields);
+  if (node.right) collectFields(node.right, fields);
+  if (node.args) node.args.forEach(arg => collectFields(arg, fields));
+  return fields;
+}
+
+/**
+ * Parses a formula (see the language above).
+ * @param {string} source The formula as typed.
+ * @returns {{evaluate: function(function(string): *): *, fields: Array<string>}}
+ *   `evaluate` runs the formula with a function that reads a field by name, and returns
+ *   a number, text, a boolean, null or a list; it throws an Error when a value does not
+ *   fit, e.g. text where a number is needed. `fields` are the names the formula reads.
+ * @throws {Error} With a message for the user when the formula is malformed.
+ */
+export function compileExpression(source) {
+  if (!source || !source.trim()) throw new Error('The formula is empty.');
+  const ast = parse(tokenize(source));
+  return {
+    evaluate: (resolve) => evaluateNode(ast, resolve),
+    fields: [...collectFields(ast, new Set())],
+  };
+}
+
+/**
+ * Checks a formula without running it.
+ * @returns {string|null} Why the formula is malformed, or null if it is fine.
+ */
+export function getExpressionError(source) {
+  try {
+    compileExpression(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Turns the result of a formula into the text a field holds: numbers without binary
+ * noise, booleans as Yes/No, lists joined by commas and null as ''.
+ */
+export function formatExpressionResult(value) {
+  return toText(value);
+}
@@ -0,0 +1,30 @@
+import desktop from './desktop';
+
+/**
+ * Hands a file to the browser as a download.
+ * @param {string} filename The suggested file name.
+ * @param {string|Uint8Array} content The file's content.
+ * @param {string} mimeType The file's type, e.g. 'text/xml'.
+ */
+export function downloadFile(filename, content, mimeType) {
+  const element = document.createElement('a');
+  const file = new Blob([content], { type: mimeType });
+  element.href = URL.createObjectURL(file);
+  element.download = filename;
+  document.body.appendChild(element);
+  element.click();
+  document.body.removeChild(element);
+}
+
+/**
+ * Saves a file exported from the document, such as a table as a spreadsheet: through the
+ * save dialog in the desktop app, and as a download in a browser.
+ * @returns {Promise<boolean>} false if the user cancelled the save dialog.
+ */
+export async function saveExportedFile(filename, content, mimeType) {
+  if (!desktop) {
+    downloadFile(filename, content, mimeType);
+    return true;
+  }
+  return !!(await desktop.exportFile(filename, content));
+}
@@ -3,95 +3,327 @@
  * SPDX-License-Identifier: Apache-2.0
 */
 
+import { parseTallyAmount } from './tallySchema';
+
+/*
+ * The filter query language of table columns:
+ *
+ *   Sales Purchase          either term (terms side by side are OR-ed)
+ *   Sales AND Cash          both terms; AND binds tighter than OR
+ *   NOT Cash, -Cash         anything but the term
+ *   (A OR B) AND C          grouping
+ *   "Sundry Debtors"        a phrase, spaces included
+ *   Sun*rs                  `*` matches anything; `~*` is a literal star, `~~` a tilde
+ *   /^GST\d+$/              a regular expression (case-insensitive unless flags are given)
+ *   >1000  <=-500  =0       comparisons of numbers, amounts and Tally dates
+ *   20240101..20240331      an inclusive range; either end may be left out
+ *   EMPTY, NOT EMPTY        empty and non-empty values
+ *
+ * Terms match anywhere in the value, case-insensitively. The keywords AND, OR, NOT and
+ * EMPTY are only keywords in capitals. Dates are compared as YYYYMMDD numbers and may
+ * also be written YYYY-MM-DD.
+ */
+
+/**
+ * A short summary of the syntax, for tooltips of filter inputs.
+ */
+export const FILTER_SYNTAX_HELP = [
+    'Words, "phrases", * wildcards and /regular expressions/',
+    'Combine with AND, OR, NOT (or -word) and parentheses',
+    'Compare numbers and dates: >1000, <=-500, 20240101..20240331',
+    'EMPTY or NOT EMPTY for missing values',
+].join('\n');
+
 // Escapes a string for use in a regular expression.
 const escapeRegex = (str) => {
     return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
+const COMPARISON_OPERATORS = ['>=', '<=', '>', '<', '='];
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const NUMBER = /^-?(\d[\d,]*)?\.?\d+$/;
+
+// Reads the operand of a comparison or range: a number or a date, as a number.
+function toOperandNumber(text) {
+    const iso = ISO_DATE.exec(text);
+    if (iso) return Number(iso[1] + iso[2] + iso[3]);
+    return NUMBER.test(text) ? Number(text.replace(/,/g, '')) : null;
+}
+
+// Reads a cell value as a number, for comparisons: amounts may carry a currency and
+// separators, quantities and rates a unit.
+function toValueNumber(value) {
+    const text = String(value).trim();
+    if (text === '') return null;
+    const operand = toOperandNumber(text);
+    if (operand !== null) return operand;
+    const amount = parseTallyAmount(text);
+    return amount === null || Number.isNaN(amount) ? null : amount;
+}
+
+// Turns a word with `*` wildcards into a case-insensitive regular expression.
+function wildcardToRegex(word) {
+    let regexStr = '';
+    for (let i = 0; i < word.length; i++) {
+        if (word[i] === '~' && (word[i + 1] === '~' || word[i + 1] === '*')) {
+            regexStr += escapeRegex(word[i + 1]);
+            i++;
+        } else if (word[i] === '*') {
+            regexStr += '.*';
+        } else {
+            regexStr += escapeRegex(word[i]);
+        }
+    }
+    return new RegExp(regexStr, 'i');
+}
+
+// Splits a query into tokens: `{ kind, text, position }`, `position` counting from 1.
+function tokenize(query) {
+    const tokens = [];
+    let i = 0;
+    const fail = (message) => {
+        throw new Error(message);
+    };
+
+    while (i < query.length) {
+        const char = query[i];
+        const position = i + 1;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ kind: char, text: char, position });
+            i++;
+        } else if (char === '"') {
+            const end = query.indexOf('"', i + 1);
+            if (end === -1) fail(`The phrase at character ${position} has no closing quote.`);
+            tokens.push({ kind: 'phrase', text: query.slice(i + 1, end), position });
+            i = end + 1;
+        } else if (char === '/') {
+            let end = i + 1;
+            while (end < query.length && query[end] !== '/') end += query[end] === '\\' ? 2 : 1;
+            if (end >= query.length) fail(`The regular expression at character ${position} has no closing "/".`);
+            const flags = /^[a-z]*/.exec(query.slice(end + 1))[0];
+            tokens.push({ kind: 'regex', text: query.slice(i + 1, end), flags, position });
+            i = end + 1 + flags.length;
+        } else if (char === '-' && i + 1 < query.length && !/[\s\d.()]/.test(query[i + 1])) {
+            tokens.push({ kind: 'NOT', text: '-', position });
+            i++;
+        } else {
+            const operator = COMPARISON_OPERATORS.find(op => query.startsWith(op, i));
+            let start = i;
+            if (operator) {
+                start = i + operator.length;
+                while (start < query.length && query[start] === ' ') start++;
+            }
+            let end = start;
+            while (end < query.length && !/[\s()]/.test(query[end])) end++;
+            const text = query.slice(start, end);
+
+            if (operator) {
+                if (text === '') fail(`"${operator}" at character ${position} needs a value, e.g. ${operator}1000.`);
+                tokens.push({ kind: 'compare', operator, text, position });
+            } else if (['AND', 'OR', 'NOT', 'EMPTY'].includes(text)) {
+                tokens.push({ kind: text, text, position });
+            } else {
+                tokens.push({ kind: 'word', text, position });
+            }
+            i = end;
+        }
+    }
+    return tokens;
+}
+
+// Builds the condition of a single term token.
+function parseTerm(token) {
+    const { kind, text, position } = token;
+
+    if (kind === 'phrase') {
+        return { type: 'phrase', value: text.toLowerCase() };
+    }
+    if (kind === 'EMPTY') {
+        return { type: 'empty' };
+    }
+    if (kind === 'regex') {
+        try {
+            // Global and sticky matching would make `test` depend on the previous cell.
+            const flags = token.flags.replace(/[gy]/g, '');
+            return { type: 'regex', value: new RegExp(text, token.flags ? flags : 'i') };
+        } catch (error) {
+            throw new Error(`The regular expression /${text}/ at character ${position} is not valid: ${error.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /, '')}.`);
+        }
+    }
+    if (kind === 'compare') {
+        const number = toOperandNumber(text);
+        if (number === null) {
+            // `=` also compares text, e.g. =Cash for exactly "Cash".
+            if (token.operator === '=') return { type: 'equals', value: text.toLowerCase() };
+            throw new Error(`"${token.operator}${text}" at character ${position} needs a number or a date, e.g. ${token.operator}1000 or ${token.operator}20240401.`);
+        }
+        return { type: 'compare', operator: token.operator, value: number };
+    }
+
+    // Only digits, separators and dashes, so text such as "Sundry..." stays a word.
+    const rangeAt = /^[\d,.-]*$/.test(text) ? text.indexOf('..') : -1;
+    if (rangeAt !== -1) {
+        const [fromText, toText] = [text.slice(0, rangeAt), text.slice(rangeAt + 2)];
+        const from = fromText === '' ? null : toOperandNumber(fromText);
+        const to = toText === '' ? null : toOperandNumber(toText);
+        const invalid = (from === null && fromText !== '') || (to === null && toText !== '') || (fromText === '' && toText === '');
+        if (invalid) {
+            throw new Error(`The range "${text}" at character ${position} needs numbers or dates, e.g. 1000..5000 or 20240101..20240331.`);
+        }
+        return { type: 'range', from, to };
+    }
+
+    return { type: 'regex', value: wildcardToRegex(text) };
+}
+
 /**
- * Parses a filter query string into a structured array of conditions.
+ * Parses a filter query string into a condition tree (see the syntax above). A
+ * condition is `{ type: 'or' | 'and', conditions }`, `{ type: 'not', condition }` or a
+ * term: `phrase`, `regex`, `equals`, `compare`, `range` or `empty`.
  * @param {string} query The raw filter string.
- * @returns {Array<{type: 'phrase' | 'regex', value: string | RegExp}>}
+ * @returns {object|null} The condition, or null for an empty query, which matches everything.
+ * @throws {Error} With a message for the user when the query is malformed.
  */
 export function parseFilterQuery(query) {
     if (!query || !query.trim()) {
-        return [];
+        return null;
     }
 
-    // Split by spaces, but keep quoted parts together
-    const terms = query.match(/"[^"]+"|\S+/g) || [];
+    const tokens = tokenize(query);
+    let index = 0;
+    const peek = () => tokens[index];
+    const describe = (token) => (token ? `"${token.text}" at character ${token.position}` : 'the end of the query');
 
-    return terms.map(term => {
-        // 1. Handle quoted phrases
-        if (term.startsWith('"') && term.endsWith('"')) {
-            return {
-                type: 'phrase',
-                value: term.slice(1, -1).toLowerCase(),
-            };
+    let parseOr;
+    const parseUnary = () => {
+        const token = tokens[index++];
+        if (!token) {
+            const previous = tokens[index - 2];
+            throw new Error(`The query ends after ${previous.text}; a term should follow.`);
         }
+        if (token.kind === 'NOT') {
+            return { type: 'not', condition: parseUnary() };
+        }
+        if (token.kind === '(') {
+            const condition = parseOr();
+            if (peek()?.kind !== ')') {
+                throw new Error(`The "(" at character ${token.position} is never closed.`);
+            }
+            index++;
+            return condition;
+        }
+        if (token.kind === ')' || token.kind === 'AND' || token.kind === 'OR') {
+            throw new Error(`Expected a term but found ${describe(token)}.`);
+        }
+        return parseTerm(token);
+    };
 
-        // 2. Handle wildcard/regex terms with corrected logic
-        let regexStr = term;
-
-        // Step 1: Temporarily replace user-escaped characters and the wildcard `*` 
-        // with unique, safe placeholders. Using a timestamp to ensure uniqueness.
-        const PLACEHOLDERS = {
-            TILDE: `__TILDE_${Date.now()}__`,
-            STAR_LITERAL: `__STAR_LITERAL_${Date.now()}__`,
-            WILDCARD: `__WILDCARD_${Date.now()}__`,
-        };
-        
-        // Process escapes first, then the general wildcard.
-        regexStr = regexStr.replace(/~~/g, PLACEHOLDERS.TILDE);
-        regexStr = regexStr.replace(/~\*/g, PLACEHOLDERS.STAR_LITERAL);
-        regexStr = regexStr.replace(/\*/g, PLACEHOLDERS.WILDCARD);
-
-        // Step 2: Now that wildcards and user-escapes are protected,
-        // escape all remaining special regex characters.
-        regexStr = escapeRegex(regexStr);
-
-        // Step 3: Replace the placeholders with their final regex equivalents.
-        // The placeholder itself needs to be escaped in the replacement regex.
-        const replacePlaceholder = (str, placeholder, replacement) => {
-            return str.replace(new RegExp(escapeRegex(placeholder), 'g'), replacement);
+    const parseAnd = () => {
+        const conditions = [parseUnary()];
+        while (peek()?.kind === 'AND') {
+            index++;
+            conditions.push(parseUnary());
         }
-        
-        regexStr = replacePlaceholder(regexStr, PLACEHOLDERS.TILDE, '~');
-        regexStr = replacePlaceholder(regexStr, PLACEHOLDERS.STAR_LITERAL, '\\*'); // a literal star
-        regexStr = replacePlaceholder(regexStr, PLACEHOLDERS.WILDCARD, '.*');   // the "any character" wildcard
-
-        return {
-            type: 'regex',
-            value: new RegExp(regexStr, 'i'), // Case-insensitive
-        };
-    });
+        return conditions.length === 1 ? conditions[0] : { type: 'and', conditions };
+    };
+
+    // Terms side by side are OR-ed, as an explicit OR.
+    parseOr = () => {
+        const conditions = [parseAnd()];
+        while (peek() && peek().kind !== ')') {
+            if (peek().kind === 'OR') index++;
+            conditions.push(parseAnd());
+        }
+        return conditions.length === 1 ? conditions[0] : { type: 'or', conditions };
+    };
+
+    const condition = parseOr();
+    if (index < tokens.length) {
+        throw new Error(`Unexpected ${describe(peek())}; it has no matching "(".`);
+    }
+    return condition;
 }
 
 /**
- * Tests if a given value matches any of the parsed filter conditions.
+ * Builds a query that matches exactly the given value, ignoring case and surrounding
+ * spaces, as a regular expression so that any text can be matched.
+ * @param {string} value The value, '' for a query matching empty values.
+ * @returns {string} The query.
+ */
+export function toExactQuery(value) {
+    const text = String(value ?? '').trim();
+    if (text === '') return 'EMPTY';
+    return `/^\\s*${escapeRegex(text).replace(/\//g, '\\/')}\\s*$/i`;
+}
+
+/**
+ * Checks a filter query without applying it.
+ * @param {string} query The raw filter string.
+ * @returns {string|null} Why the query is malformed, or null if it is fine.
+ */
+export function getFilterQueryError(query) {
+    try {
+        parseFilterQuery(query);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Tests if a given value matches a parsed filter condition.
  * @param {*} value The value from the cell.
- * @param {Array<{type: 'phrase' | 'regex', value: string | RegExp}>} conditions Parsed conditions from parseFilterQuery.
+ * @param {object|null} conditions The condition from parseFilterQuery.
  * @returns {boolean}
  */
 export function testValue(value, conditions) {
-    if (conditions.length === 0) {
+    if (!conditions) {
         return true; // No filter means it passes
     }
     // Don't filter rows with objects/arrays in the cell
     if (typeof value === 'object' && value !== null) {
         return true;
     }
-    
-    const stringValue = String(value ?? ''); // Handle null/undefined gracefully
 
-    // Use .some() for OR logic: the value must match at least one condition.
-    return conditions.some(condition => {
-        if (condition.type === 'phrase') {
-            return stringValue.toLowerCase().includes(condition.value);
-        }
-        if (condition.type === 'regex') {
-            return condition.value.test(stringValue);
+    const stringValue = String(value ?? ''); // Handle null/undefined gracefully
+    const test = (condition) => {
+        switch (condition.type) {
+            case 'or':
+                return condition.conditions.some(test);
+            case 'and':
+                return condition.conditions.every(test);
+            case 'not':
+                return !test(condition.condition);
+            case 'phrase':
+                return stringValue.toLowerCase().includes(condition.value);
+            case 'regex':
+                return condition.value.test(stringValue);
+            case 'equals':
+                return stringValue.trim().toLowerCase() === condition.value;
+            case 'empty':
+                return stringValue.trim() === '';
+            case 'compare': {
+                const number = toValueNumber(stringValue);
+                if (number === null) return false;
+                switch (condition.operator) {
+                    case '>': return number > condition.value;
+                    case '>=': return number >= condition.value;
+                    case '<': return number < condition.value;
+                    case '<=': return number <= condition.value;
+                    default: return number === condition.value;
+                }
+            }
+            case 'range': {
+                const number = toValueNumber(stringValue);
+                if (number === null) return false;
+                return (condition.from === null || number >= condition.from) && (condition.to === null || number <= condition.to);
+            }
+            default:
+                return false;
         }
-        return false;
-    });
-}
\ No newline at end of file
+    };
+    return test(conditions);
+}
@@ -0,0 +1,100 @@
+import get from 'lodash.get';
+import { isLazyNode } from './xmlUtils';
+
+/*
+ * Find and replace over the text and attribute values of a document. Tag and attribute
+ * names are left alone; renaming those is an edit of the tree.
+ */
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isIndex = (segment) => typeof segment === 'number' || /^\d+$/.test(String(segment));
+
+/**
+ * Builds the pattern that finds what is to be replaced.
+ * @param {string} find The text, or regular expression source, to find.
+ * @param {{isRegex: boolean, matchCase: boolean}} options
+ * @returns {RegExp|null} A global pattern, or null when there is nothing to find.
+ * @throws {Error} With a message for the user when the regular expression is malformed.
+ */
+export function buildFindPattern(find, { isRegex, matchCase }) {
+  if (!find) return null;
+  const flags = matchCase ? 'g' : 'gi';
+  if (!isRegex) return new RegExp(escapeRegex(find), flags);
+  try {
+    return new RegExp(find, flags);
+  } catch (error) {
+    throw new Error(`The regular expression is not valid: ${error.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /, '')}.`);
+  }
+}
+
+/**
+ * Splits a list of names, as typed, into the names that limit a replacement: tag names
+ * such as LEDGERNAME, and attribute names written with an @, such as @NAME.
+ * @param {string} text Names separated by commas or spaces.
+ * @returns {Array<string>|null} The names, or null for none (no limit).
+ */
+export function parseNameList(text) {
+  const names = text.split(/[\s,]+/).filter(Boolean);
+  return names.length > 0 ? names : null;
+}
+
+/**
+ * Works out every value a replacement changes, without changing anything.
+ * @param {object} doc The parsed document.
+ * @param {object} options
+ * @param {RegExp} options.pattern A global pattern from `buildFindPattern`.
+ * @param {string} options.replacement What each match is replaced with. With `isRegex`,
+ *   `$1`, `$<name>` and `$&` insert the groups and the whole match.
+ * @param {boolean} options.isRegex
+ * @param {Array<string|number>} [options.scopePath] Only values within this element.
+ * @param {Array<string>|null} [options.names] Only values of these tags and '@'attributes.
+ * @returns {{changes: Array<object>, skippedLazy: boolean}} `changes` in document order,
+ *   each `{ kind, path, field, before, after }`: `kind` is 'value' for the text of an
+ *   element or 'attribute', `path` leads to the value itself and `field` names it, e.g.
+ *   'LEDGERNAME' or '@NAME'.
+ */
+export function findReplacements(doc, { pattern, replacement, isRegex, scopePath = [], names = null }) {
+  const changes = [];
+  let skippedLazy = false;
+  const wanted = names && new Set(names.map(name => name.toUpperCase()));
+  const isWanted = (field) => !wanted || wanted.has(field.toUpperCase());
+
+  const replace = (kind, path, field, value) => {
+    if (!isWanted(field)) return;
+    const before = String(value);
+    pattern.lastIndex = 0;
+    // A literal replacement is inserted as typed, `$` included.
+    const after = isRegex ? before.replace(pattern, replacement) : before.replace(pattern, () => replacement);
+    if (after !== before) changes.push({ kind, path, field, before, after });
+  };
+
+  const visit = (node, path, name) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => visit(item, [...path, index], name));
+      return;
+    }
+    if (isLazyNode(node)) {
+      skippedLazy = true;
+      return;
+    }
+    if (typeof node !== 'object' || node === null) {
+      if (node !== null && node !== undefined) replace('value', path, name, node);
+      return;
+    }
+    Object.entries(node['@attributes'] || {}).forEach(([attribute, value]) => {
+      replace('attribute', [...path, '@attributes', attribute], `@${attribute}`, value);
+    });
+    Object.keys(node).forEach(key => {
+      if (key !== '@attributes') visit(node[key], [...path, key], key === '#text' ? name : key);
+    });
+  };
+
+  if (scopePath.length > 0) {
+    const name = [...scopePath].reverse().find(segment => !isIndex(segment));
+    visit(get(doc, scopePath), scopePath, String(name));
+  } else {
+    Object.keys(doc).forEach(key => visit(doc[key], [key], key));
+  }
+  return { changes, skippedLazy };
+}
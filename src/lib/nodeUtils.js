@@ -0,0 +1,112 @@
+import get from 'lodash.get';
+import setIn from 'lodash.set';
+
+/*
+ * Helpers for structural edits of the parsed document. They mutate the document in
+ * place and are meant to run inside an immer recipe (see `editDocument` in the store).
+ * They keep the shape the parser produces: children grouped by tag name, a single
+ * child as an object and repeated children as an array.
+ */
+
+const XML_NAME_REGEX = /^[A-Za-z_][\w.\-:]*$/;
+
+/**
+ * Checks whether a string can be used as an element or attribute name.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidXmlName(name) {
+  return typeof name === 'string' && XML_NAME_REGEX.test(name);
+}
+
+const toItems = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Adds items to the `key` group of an element object, turning a single child into an
+ * array when a second one joins it.
+ */
+export function appendItems(parent, key, value) {
+  if (!(key in parent)) {
+    parent[key] = value;
+  } else {
+    parent[key] = [...toItems(parent[key]), ...toItems(value)];
+  }
+}
+
+/**
+ * Inserts an item into the collection at `path`. A single element becomes an array once
+ * a second item joins it.
+ */
+export function insertItem(doc, path, index, item) {
+  const parent = get(doc, path.slice(0, -1));
+  const key = path[path.length - 1];
+  const current = parent[key];
+
+  if (Array.isArray(current)) {
+    current.splice(index, 0, item);
+  } else if (current === undefined) {
+    parent[key] = item;
+  } else {
+    parent[key] = index === 0 ? [item, current] : [current, item];
+  }
+}
+
+/**
+ * Removes the node at `path`, either an item of a repeated element or a whole key.
+ * @returns {*} The removed node.
+ */
+export function removeItem(doc, path) {
+  const parent = get(doc, path.slice(0, -1));
+  const key = path[path.length - 1];
+  const removed = parent[key];
+  if (Array.isArray(parent)) {
+    parent.splice(key, 1);
+  } else {
+    delete parent[key];
+  }
+  return removed;
+}
+
+/**
+ * Replaces `key` in `parent` with the given [key, value] entries while keeping the
+ * position of every other key, since key order is the order elements are written in.
+ * Entries whose key already exists in `parent` are merged into that group.
+ */
+export function replaceEntry(parent, key, entries) {
+  const existing = Object.entries(parent);
+  existing.forEach(([k]) => { delete parent[k]; });
+  existing.forEach(([k, value]) => {
+    if (k === key) {
+      entries.forEach(([newKey, newValue]) => appendItems(parent, newKey, newValue));
+    } else {
+      appendItems(parent, k, value);
+    }
+  });
+}
+
+/**
+ * Makes sure the node at `path` is an element object so it can hold children and
+ * attributes. A text-only element keeps its text under '#text'.
+ * @returns {object} The element object.
+ */
+export function toElementObject(doc, path) {
+  const value = get(doc, path);
+  if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    return value;
+  }
+  setIn(doc, path, value === '' || value === null || value === undefined ? {} : { '#text': String(value) });
+  return get(doc, path);
+}
+
+/**
+ * Turns an element object that has nothing but text back into a plain value,
+ * the shape the parser gives such elements.
+ */
+export function collapseElement(doc, path) {
+  const value = get(doc, path);
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) return;
+  const keys = Object.keys(value);
+  if (keys.length === 0 || (keys.length === 1 && keys[0] === '#text')) {
+    setIn(doc, path, value['#text'] ?? '');
+  }
+}
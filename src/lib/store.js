@@ -1,122 +1,615 @@
 import { create } from 'zustand';
 import { immer } from 'zustand/middleware/immer';
+import { enablePatches, produce, produceWithPatches } from 'immer';
 import { createSelectorFunctions } from 'auto-zustand-selectors-hook';
 import get from 'lodash.get';
-import { set } from 'lodash';
+import setIn from 'lodash.set';
+import { cloneNode, LAZY_NODE } from './xmlUtils';
+import { findLazyNodes, fillLazyNodes } from './documentTransfer';
+import { createBlankRow } from './tableUtils';
+import {
+  isValidXmlName,
+  appendItems,
+  insertItem,
+  removeItem,
+  replaceEntry,
+  toElementObject,
+  collapseElement,
+} from './nodeUtils';
 
+enablePatches();
+
+/*
+ * immer deep-clones patch values, both when it records them and when it applies them,
+ * and those clones lose the XML_LAYOUT symbol every parsed element carries. History
+ * entries therefore point patch values back at the real nodes of the document on the
+ * matching side of the edit, and are replayed with `replayPatches` instead of immer's
+ * applyPatches.
+ */
+const bindPatchValues = (patches, doc) =>
+  patches.map(patch => ('value' in patch ? { ...patch, value: get(doc, patch.path) } : patch));
+
+const replayPatches = (doc, patches) =>
+  produce(doc, (draft) => {
+    patches.forEach(({ op, path, value }) => {
+      const parent = path.slice(0, -1).reduce((node, key) => node[key], draft);
+      const key = path[path.length - 1];
+      if (op === 'remove') {
+        if (Array.isArray(parent)) parent.splice(key, 1);
+        else delete parent[key];
+      } else if (op === 'add' && Array.isArray(parent)) {
+        parent.splice(key, 0, value);
+      } else {
+        parent[key] = value;
+      }
+    });
+  });
+
+/*
+ * Several documents can be open at once, one per tab. The active document's state
+ * lives at the top level of the store, where all actions work on it; the others are
+ * parked in `parkedDocuments` while their tab is in the background.
+ */
+const DOCUMENT_FIELDS = [
+  'fileName',
+  'filePath',
+  'xmlDoc',
+  'viewingNodePath',
+  'highlightedKey',
+  'viewingHistory',
+  'nodeForColumnSelection',
+  'tableColumns',
+  'tableFilters',
+  'tableSorts',
+  'tableFooters',
+  'tablePivots',
+  'invalidCharsRemoved',
+  'cleaningLog',
+  'history',
+  'historyIndex',
+  'savedHistoryIndex',
+];
+
+const createDocumentState = () => ({
+  fileName: '',
+  filePath: null, // Where the desktop app saves the document in place; null if it has no known location
+  xmlDoc: null, // Will be { doc, rootName, originalXml, layout, encoding: { name, bom, declaration }, source }
+  viewingNodePath: null, // Will be an array of path segments, e.g., ['ENVELOPE', 'BODY', 0, 'DATA']
+  highlightedKey: null, // The row of the viewed element to point out, e.g. a search hit
+  viewingHistory: [],
+  nodeForColumnSelection: null, // Will be { path, parentPath, data, record }
+  tableColumns: {}, // { [pathKey]: ['col1', { parent: 'nested', child: 'col2' }] }
+  tableFilters: {}, // { [pathKey]: { [headerKey]: 'filter string' } }
+  tableSorts: {}, // { [pathKey]: [{ key: headerKey, direction: 'asc' | 'desc' }] }, most significant first
+  tableFooters: {}, // { [pathKey]: { [headerKey]: aggregate } } for tables showing the aggregate footer, see tableAggregates.js
+  tablePivots: {}, // { [pathKey]: { dimensions, measures, isActive } }, see tablePivot.js
+  invalidCharsRemoved: 0,
+  cleaningLog: [],
+  history: [], // [{ label, path, patches, inversePatches }], oldest first
+  historyIndex: 0, // Number of history entries currently applied to the document
+  savedHistoryIndex: 0, // historyIndex when the document was last opened or saved; -1 if that state is gone
+});
+
+const pickDocumentState = (state) =>
+  Object.fromEntries(DOCUMENT_FIELDS.map(field => [field, state[field]]));
+
+/**
+ * Lists the open documents in tab order, with what their tabs show.
+ * @param {object} state The store state.
+ * @returns {Array<{id: number, fileName: string, filePath: string|null, xmlDoc: object, isActive: boolean, isDirty: boolean}>}
+ */
+export function getOpenDocuments(state) {
+  return state.documentIds.map((id) => {
+    const isActive = id === state.activeDocumentId;
+    const documentState = isActive ? state : state.parkedDocuments[id];
+    return {
+      id,
+      fileName: documentState.fileName,
+      filePath: documentState.filePath,
+      xmlDoc: documentState.xmlDoc,
+      isActive,
+      isDirty: documentState.historyIndex !== documentState.savedHistoryIndex,
+    };
+  });
+}
+
+let nextDocumentId = 1;
 
 const useStoreBase = create(
-  immer((set, getStore) => ({
-    fileName: '',
-    xmlDoc: null, // Will be { doc, rootName, originalXml }
-    viewingNodePath: null, // Will be an array of path segments, e.g., ['ENVELOPE', 'BODY', 0, 'DATA']
-    viewingHistory: [],
-    nodeForColumnSelection: null, // Will be { path, parentPath, data }
-    tableColumns: {}, // { [pathKey]: ['col1', { parent: 'nested', child: 'col2' }] }
-    tableFilters: {}, // { [pathKey]: { [headerKey]: 'filter string' } }
-    invalidCharsRemoved: 0,
-    cleaningLog: [],
-
-    setFile: (name, docData, count, log) =>
+  immer((set, getStore) => {
+    /**
+     * Applies a mutation to `xmlDoc.doc` and records it in the undo history.
+     * Every action that edits the document must go through here.
+     * @param {string} label A short description of the edit, shown in the history panel.
+     * @param {Array<string|number>} path The path of the edited node.
+     * @param {function(object): void} recipe Mutates the document draft.
+     */
+    const editDocument = (label, path, recipe) => {
+      const { xmlDoc } = getStore();
+      if (!xmlDoc) return;
+
+      const [doc, patches, inversePatches] = produceWithPatches(xmlDoc.doc, recipe);
+      if (patches.length === 0) return;
+
       set((state) => {
-        state.fileName = name;
-        state.xmlDoc = docData;
-        state.invalidCharsRemoved = count;
-        state.cleaningLog = log;
-        state.viewingNodePath = null;
-        state.viewingHistory = [];
-        state.nodeForColumnSelection = null;
-        state.tableColumns = {};
-        state.tableFilters = {};
-      }),
-
-    setViewingNodePath: (path) =>
+        state.xmlDoc.doc = doc;
+        // A new edit discards whatever was undone before it, including the saved state.
+        state.history.splice(state.historyIndex);
+        if (state.savedHistoryIndex > state.historyIndex) state.savedHistoryIndex = -1;
+        state.history.push({
+          label,
+          path,
+          patches: bindPatchValues(patches, doc),
+          inversePatches: bindPatchValues(inversePatches, xmlDoc.doc),
+        });
+        state.historyIndex = state.history.length;
+      });
+    };
+
+    /**
+     * Moves the document to the state after the first `targetIndex` history entries,
+     * undoing or redoing every entry in between.
+     */
+    const travelHistory = (targetIndex) => {
+      const { xmlDoc, history, historyIndex } = getStore();
+      if (!xmlDoc || targetIndex < 0 || targetIndex > history.length || targetIndex === historyIndex) return;
+
+      let doc = xmlDoc.doc;
+      for (let i = historyIndex; i > targetIndex; i--) {
+        doc = replayPatches(doc, history[i - 1].inversePatches);
+      }
+      for (let i = historyIndex; i < targetIndex; i++) {
+        doc = replayPatches(doc, history[i].patches);
+      }
+
       set((state) => {
-        if (!path) {
+        state.xmlDoc.doc = doc;
+        state.historyIndex = targetIndex;
+      });
+    };
+
+    // Structural edits can take away the node being viewed; drop the selection then.
+    const leaveRemovedNode = (path) => {
+      const { viewingNodePath } = getStore();
+      if (viewingNodePath && path.every((segment, i) => String(viewingNodePath[i]) === String(segment))) {
+        set((state) => {
           state.viewingNodePath = null;
+        });
+      }
+    };
+
+    // A lazily opened document keeps a worker with its unloaded parts until it is closed.
+    const releaseDocument = (xmlDoc) => {
+      xmlDoc?.source?.close();
+    };
+
+    // Whether `path` points at one item of a repeated element rather than at a key.
+    const isArrayItem = (doc, path) => Array.isArray(get(doc, path.slice(0, -1)));
+
+    return {
+      ...createDocumentState(),
+      documentIds: [], // The open documents, in tab order
+      activeDocumentId: null,
+      parkedDocuments: {}, // { [id]: state of a document in a background tab, see DOCUMENT_FIELDS }
+      fileOpenerVisible: false, // Whether the file opener is shown over the open documents
+
+      /**
+       * Opens a parsed file in a new tab and makes it the active document.
+       * @param {string} name The file name.
+       * @param {object} docData The document, see `xmlDoc`.
+       * @param {number} count The number of invalid characters removed while cleaning it.
+       * @param {string[]} log What the cleaning removed.
+       * @param {string|null} [filePath] Where the desktop app can save it back to.
+       * @param {boolean} [isNew] Whether the document was made in the editor, such as a
+       *   merge result, and so has unsaved changes until it is first saved.
+       */
+      openDocument: (name, docData, count, log, filePath = null, isNew = false) => {
+        const current = getStore();
+        const id = nextDocumentId++;
+        set((state) => {
+          if (current.activeDocumentId !== null) {
+            state.parkedDocuments[current.activeDocumentId] = pickDocumentState(current);
+          }
+          Object.assign(state, createDocumentState(), {
+            fileName: name,
+            filePath,
+            xmlDoc: docData,
+            invalidCharsRemoved: count,
+            cleaningLog: log,
+            savedHistoryIndex: isNew ? -1 : 0,
+          });
+          state.documentIds.push(id);
+          state.activeDocumentId = id;
+          state.fileOpenerVisible = false;
+        });
+      },
+
+      // Brings the document of another tab to the front.
+      switchDocument: (id) => {
+        const current = getStore();
+        if (id === current.activeDocumentId || !current.parkedDocuments[id]) return;
+        set((state) => {
+          state.parkedDocuments[current.activeDocumentId] = pickDocumentState(current);
+          Object.assign(state, current.parkedDocuments[id]);
+          delete state.parkedDocuments[id];
+          state.activeDocumentId = id;
+          state.fileOpenerVisible = false;
+        });
+      },
+
+      /**
+       * Closes a document, by default the active one. Closing the active document
+       * activates the tab next to it.
+       */
+      closeDocument: (id = getStore().activeDocumentId) => {
+        const current = getStore();
+        const index = current.documentIds.indexOf(id);
+        if (index === -1) return;
+
+        if (id !== current.activeDocumentId) {
+          releaseDocument(current.parkedDocuments[id].xmlDoc);
+          set((state) => {
+            state.documentIds.splice(index, 1);
+            delete state.parkedDocuments[id];
+          });
           return;
         }
 
-        const currentPathKey = state.viewingNodePath ? JSON.stringify(state.viewingNodePath) : null;
-        const newPathKey = JSON.stringify(path);
+        releaseDocument(current.xmlDoc);
+        const remaining = current.documentIds.filter(documentId => documentId !== id);
+        const nextId = remaining.length > 0 ? remaining[Math.min(index, remaining.length - 1)] : null;
+        set((state) => {
+          state.documentIds = remaining;
+          state.activeDocumentId = nextId;
+          if (nextId === null) {
+            Object.assign(state, createDocumentState());
+          } else {
+            Object.assign(state, current.parkedDocuments[nextId]);
+            delete state.parkedDocuments[nextId];
+          }
+        });
+      },
+
+      // Shows the file opener to open another document, or returns to the open ones.
+      setFileOpenerVisible: (visible) =>
+        set((state) => {
+          state.fileOpenerVisible = visible;
+        }),
+
+      /**
+       * Records that a document was saved as it was after `historyIndex` edits, which
+       * clears its unsaved-changes state until the next edit, undo or redo.
+       * @param {number} documentId The saved document, which may have gone to a
+       *   background tab while it was being saved.
+       * @param {number} historyIndex The history position the saved content came from.
+       * @param {string|null} filePath Where it was saved, if known.
+       * @param {string} name The file name it was saved under.
+       */
+      markSaved: (documentId, historyIndex, filePath, name) =>
+        set((state) => {
+          const documentState = documentId === state.activeDocumentId ? state : state.parkedDocuments[documentId];
+          if (!documentState) return;
+          documentState.savedHistoryIndex = historyIndex;
+          documentState.filePath = filePath;
+          documentState.fileName = name;
+        }),
+
+      /**
+       * Loads the placeholders of a lazily opened document at `path` (see `openXmlFile`):
+       * the node itself if it is one, and with `deep` every placeholder below it too.
+       * Loading does not change the document's content, so it is not recorded in the
+       * history.
+       * @returns {Promise<*>} The loaded node, or undefined if the node at `path` was
+       *   replaced while loading.
+       */
+      loadLazyNode: async (path, deep = false) => {
+        const { xmlDoc } = getStore();
+        const node = get(xmlDoc?.doc, path);
+        const placeholders = findLazyNodes(node, deep);
+        if (placeholders.length === 0) return node;
+
+        const { source } = placeholders[0][LAZY_NODE];
+        const ranges = placeholders.map(placeholder => [placeholder[LAZY_NODE].start, placeholder[LAZY_NODE].end]);
+        const values = await source.load(ranges, deep);
+        if (get(getStore().xmlDoc?.doc, path) !== node) return undefined;
+
+        const loaded = fillLazyNodes(node, new Map(placeholders.map((placeholder, i) => [placeholder, values[i]])));
+        set((state) => {
+          setIn(state.xmlDoc.doc, path, loaded);
+        });
+        return loaded;
+      },
+
+      // `highlightedKey` picks out a row of the viewed element, such as a search hit.
+      setViewingNodePath: (path, highlightedKey = null) =>
+        set((state) => {
+          state.highlightedKey = highlightedKey;
+          if (!path) {
+            state.viewingNodePath = null;
+            return;
+          }
+
+          const currentPathKey = state.viewingNodePath ? JSON.stringify(state.viewingNodePath) : null;
+          const newPathKey = JSON.stringify(path);
         
-        if (newPathKey !== currentPathKey) {
-           if (state.viewingNodePath) {
-            state.viewingHistory.push(state.viewingNodePath);
+          if (newPathKey !== currentPathKey) {
+             if (state.viewingNodePath) {
+              state.viewingHistory.push(state.viewingNodePath);
+            }
+            state.viewingNodePath = path;
           }
-          state.viewingNodePath = path;
-        }
-      }),
+        }),
 
-    goBack: () =>
-      set((state) => {
-        if (state.viewingHistory.length > 0) {
-          state.viewingNodePath = state.viewingHistory.pop();
-        }
-      }),
+      goBack: () =>
+        set((state) => {
+          if (state.viewingHistory.length > 0) {
+            state.viewingNodePath = state.viewingHistory.pop();
+            state.highlightedKey = null;
+          }
+        }),
     
-    setNodeForColumnSelection: (path, parentPath = null, data = null) => 
-      set((state) => {
-        state.nodeForColumnSelection = path ? { path, parentPath, data } : null;
-      }),
+      // `record` ({ type, parent }) opens the selector for a collection of Tally records,
+      // see `findTallyCollections`.
+      setNodeForColumnSelection: (path, parentPath = null, data = null, record = null) => 
+        set((state) => {
+          state.nodeForColumnSelection = path ? { path, parentPath, data, record } : null;
+        }),
       
-    setTableColumns: (path, columns) =>
-      set((state) => {
-        const pathKey = JSON.stringify(path);
-        state.tableColumns[pathKey] = columns;
-      }),
+      setTableColumns: (path, columns) =>
+        set((state) => {
+          const pathKey = JSON.stringify(path);
+          state.tableColumns[pathKey] = columns;
+        }),
 
-    setTableFilter: (path, headerKey, filterValue) =>
-      set((state) => {
-        const pathKey = JSON.stringify(path);
-        if (!state.tableFilters[pathKey]) {
-          state.tableFilters[pathKey] = {};
-        }
-        if (filterValue) {
-          state.tableFilters[pathKey][headerKey] = filterValue;
-        } else {
-          // Remove filter if value is empty/null
-          delete state.tableFilters[pathKey][headerKey];
-          if (Object.keys(state.tableFilters[pathKey]).length === 0) {
-            delete state.tableFilters[pathKey];
+      setTableFilter: (path, headerKey, filterValue) =>
+        set((state) => {
+          const pathKey = JSON.stringify(path);
+          if (!state.tableFilters[pathKey]) {
+            state.tableFilters[pathKey] = {};
           }
-        }
-      }),
+          if (filterValue) {
+            state.tableFilters[pathKey][headerKey] = filterValue;
+          } else {
+            // Remove filter if value is empty/null
+            delete state.tableFilters[pathKey][headerKey];
+            if (Object.keys(state.tableFilters[pathKey]).length === 0) {
+              delete state.tableFilters[pathKey];
+            }
+          }
+        }),
 
-    updateNodeValue: (path, newValue) =>
-      set((state) => {
+      // Clicking a header cycles its sort through ascending, descending and off. Without
+      // `additive` the header becomes the only sort key; with it (shift-click) the other
+      // keys are kept and a new key is added after them.
+      setTableSort: (path, headerKey, additive = false) =>
+        set((state) => {
+          const pathKey = JSON.stringify(path);
+          const sorts = state.tableSorts[pathKey] || [];
+          const current = sorts.find(sort => sort.key === headerKey);
+          const direction = !current ? 'asc' : current.direction === 'asc' ? 'desc' : null;
+
+          let newSorts = additive ? sorts.filter(sort => sort.key !== headerKey) : [];
+          if (direction) {
+            newSorts = additive && current
+              ? sorts.map(sort => (sort.key === headerKey ? { key: headerKey, direction } : sort))
+              : [...newSorts, { key: headerKey, direction }];
+          }
+
+          if (newSorts.length > 0) {
+            state.tableSorts[pathKey] = newSorts;
+          } else {
+            delete state.tableSorts[pathKey];
+          }
+        }),
+
+      clearTableSort: (path) =>
+        set((state) => {
+          delete state.tableSorts[JSON.stringify(path)];
+        }),
+
+      // Shows or hides a table's footer of column aggregates. Columns without a chosen
+      // aggregate show their type's default.
+      toggleTableFooter: (path) =>
+        set((state) => {
+          const pathKey = JSON.stringify(path);
+          if (state.tableFooters[pathKey]) {
+            delete state.tableFooters[pathKey];
+          } else {
+            state.tableFooters[pathKey] = {};
+          }
+        }),
+
+      setTableAggregate: (path, headerKey, aggregate) =>
+        set((state) => {
+          const pathKey = JSON.stringify(path);
+          state.tableFooters[pathKey] = { ...state.tableFooters[pathKey], [headerKey]: aggregate };
+        }),
+
+      // Switches a table between its rows and its pivot. The pivot's dimensions and
+      // measures are kept while the rows are shown, e.g. after drilling into a group.
+      toggleTablePivot: (path) =>
+        set((state) => {
+          const pathKey = JSON.stringify(path);
+          const pivot = state.tablePivots[pathKey];
+          if (pivot) {
+            pivot.isActive = !pivot.isActive;
+          } else {
+            state.tablePivots[pathKey] = { dimensions: [], measures: [], isActive: true };
+          }
+        }),
+
+      setTablePivot: (path, pivot) =>
+        set((state) => {
+          state.tablePivots[JSON.stringify(path)] = pivot;
+        }),
+
+      updateNodeValue: (path, newValue) => {
         if (!path || path.length === 0) return;
-        
-        // Use a safe setter like lodash's set which handles array paths correctly.
-        // We need to construct the full path within the doc object.
-        const fullPath = [state.xmlDoc.rootName, ...path];
-        set(state.xmlDoc.doc, fullPath, newValue);
-      }),
+
+        // Paths already start at the root element, e.g. ['ENVELOPE', 'BODY', 0, 'DATA'].
+        // lodash's set handles array paths and creates missing intermediate nodes.
+        editDocument('Edit value', path, (doc) => {
+          setIn(doc, path, newValue);
+        });
+      },
       
-    deleteRow: (path, index) =>
-      set((state) => {
-        // We get the path to the array itself.
-        const array = get(getStore().xmlDoc.doc, path);
-        if (Array.isArray(array)) {
-            array.splice(index, 1);
-        } else {
-            console.warn(`Attempted to delete row from non-array at path: ${path.join('.')}`);
-        }
-      }),
+      // Writes many values in one edit, undone as one; each change is `{ path, after }`.
+      replaceValues: (label, path, changes) => {
+        if (changes.length === 0) return;
+        editDocument(label, path, (doc) => {
+          changes.forEach(change => setIn(doc, change.path, change.after));
+        });
+      },
 
-    reset: () =>
-      set((state) => {
-        state.fileName = '';
-        state.xmlDoc = null;
-        state.viewingNodePath = null;
-        state.viewingHistory = [];
-        state.nodeForColumnSelection = null;
-        state.tableColumns = {};
-        state.tableFilters = {};
-        state.invalidCharsRemoved = 0;
-        state.cleaningLog = [];
-      }),
-  }))
+      deleteRow: (path, index) =>
+        editDocument('Delete row', [...path, index], (doc) => {
+          // We get the path to the array itself.
+          const array = get(doc, path);
+          if (Array.isArray(array)) {
+              array.splice(index, 1);
+          } else {
+              console.warn(`Attempted to delete row from non-array at path: ${path.join('.')}`);
+          }
+        }),
+
+      insertRow: (path, index) => {
+        // Shape the new row from the current (non-draft) siblings to avoid drafting all of them.
+        const collection = get(getStore().xmlDoc.doc, path);
+        const blankRow = createBlankRow(Array.isArray(collection) ? collection : [collection]);
+        editDocument('Insert row', [...path, index], (doc) => {
+          insertItem(doc, path, index, blankRow);
+        });
+      },
+
+      duplicateRow: (path, index) => {
+        const collection = get(getStore().xmlDoc.doc, path);
+        const row = Array.isArray(collection) ? collection[index] : collection;
+        if (row === undefined) return;
+        editDocument('Duplicate row', [...path, index + 1], (doc) => {
+          insertItem(doc, path, index + 1, cloneNode(row));
+        });
+      },
+
+      // Adds new rows after the last row of the collection at `path`, as one edit.
+      appendRows: (label, path, rows) => {
+        if (rows.length === 0) return;
+        editDocument(label, path, (doc) => {
+          appendItems(get(doc, path.slice(0, -1)), path[path.length - 1], rows.length === 1 ? rows[0] : rows);
+        });
+      },
+
+      moveRow: (path, index, newIndex) =>
+        editDocument('Move row', [...path, newIndex], (doc) => {
+          const array = get(doc, path);
+          if (!Array.isArray(array) || newIndex < 0 || newIndex >= array.length) return;
+          const [row] = array.splice(index, 1);
+          array.splice(newIndex, 0, row);
+        }),
+
+      // Writes the rows of the array at `path` in the given order of their current indices.
+      reorderRows: (path, order) =>
+        editDocument('Apply sort order', path, (doc) => {
+          const array = get(doc, path);
+          if (!Array.isArray(array) || order.length !== array.length) return;
+          const rows = order.map(index => array[index]);
+          array.splice(0, array.length, ...rows);
+        }),
+
+      addElement: (path, name) => {
+        if (!isValidXmlName(name)) return;
+        editDocument(`Add element ${name}`, [...path, name], (doc) => {
+          appendItems(toElementObject(doc, path), name, '');
+        });
+      },
+
+      addAttribute: (path, name, value = '') => {
+        if (!isValidXmlName(name)) return;
+        editDocument(`Add attribute ${name}`, [...path, '@attributes', name], (doc) => {
+          const element = toElementObject(doc, path);
+          if (!element['@attributes']) {
+            element['@attributes'] = {};
+          }
+          element['@attributes'][name] = value;
+        });
+      },
+
+      removeAttribute: (path, name) =>
+        editDocument(`Remove attribute ${name}`, [...path, '@attributes', name], (doc) => {
+          const element = get(doc, path);
+          if (!element?.['@attributes']) return;
+          delete element['@attributes'][name];
+          if (Object.keys(element['@attributes']).length === 0) {
+            delete element['@attributes'];
+          }
+          collapseElement(doc, path);
+        }),
+
+      // The root element cannot be renamed, removed, wrapped or unwrapped: a document has exactly one.
+      renameElement: (path, newName) => {
+        if (!isValidXmlName(newName) || path.length < 2) return;
+        editDocument(`Rename to ${newName}`, path, (doc) => {
+          if (isArrayItem(doc, path)) {
+            // One item of a repeated element leaves its group and joins (or starts) the new one.
+            const item = removeItem(doc, path);
+            appendItems(get(doc, path.slice(0, -2)), newName, item);
+          } else {
+            const parent = get(doc, path.slice(0, -1));
+            const key = path[path.length - 1];
+            replaceEntry(parent, key, [[newName, parent[key]]]);
+          }
+        });
+        leaveRemovedNode(path);
+      },
+
+      removeElement: (path) => {
+        if (path.length < 2) return;
+        editDocument('Remove element', path, (doc) => {
+          removeItem(doc, path);
+        });
+        leaveRemovedNode(path);
+      },
+
+      wrapElement: (path, wrapperName) => {
+        if (!isValidXmlName(wrapperName) || path.length < 2) return;
+        editDocument(`Wrap in ${wrapperName}`, path, (doc) => {
+          if (isArrayItem(doc, path)) {
+            const item = removeItem(doc, path);
+            appendItems(get(doc, path.slice(0, -2)), wrapperName, { [path[path.length - 2]]: item });
+          } else {
+            const parent = get(doc, path.slice(0, -1));
+            const key = path[path.length - 1];
+            replaceEntry(parent, key, [[wrapperName, { [key]: parent[key] }]]);
+          }
+        });
+        leaveRemovedNode(path);
+      },
+
+      // Replaces an element by its child elements. Its own attributes and text are dropped.
+      unwrapElement: (path) => {
+        if (path.length < 2) return;
+        editDocument('Unwrap element', path, (doc) => {
+          const node = get(doc, path);
+          if (typeof node !== 'object' || node === null || Array.isArray(node)) return;
+          const children = Object.entries(node).filter(([key]) => key !== '@attributes' && key !== '#text');
+          if (isArrayItem(doc, path)) {
+            removeItem(doc, path);
+            const parent = get(doc, path.slice(0, -2));
+            children.forEach(([key, value]) => appendItems(parent, key, value));
+          } else {
+            replaceEntry(get(doc, path.slice(0, -1)), path[path.length - 1], children);
+          }
+        });
+        leaveRemovedNode(path);
+      },
+
+      undo: () => travelHistory(getStore().historyIndex - 1),
+
+      redo: () => travelHistory(getStore().historyIndex + 1),
+
+      // Jumps to the state after the first `index` history entries (0 is the file as opened).
+      jumpToHistory: (index) => travelHistory(index),
+    };
+  })
 );
 
 export default createSelectorFunctions(useStoreBase);
\ No newline at end of file
@@ -0,0 +1,177 @@
+import { parseTallyAmount } from './tallySchema';
+import { parseMeasure, fromTallyDate } from './valueTypes';
+import { formatExpressionResult } from './expression';
+
+/*
+ * Aggregates of table columns, shown in the footer of DataTable. A value of the
+ * document is counted once, however many table rows `flattenRow` copied it to when it
+ * expanded a nested column.
+ */
+
+export const AGGREGATES = {
+  sum: 'Sum',
+  count: 'Count',
+  distinct: 'Distinct',
+  min: 'Min',
+  max: 'Max',
+  average: 'Average',
+};
+
+/**
+ * The aggregates that make sense for a value type, see `inferValueType`. Rates can
+ * be averaged but not added up, and flags only counted.
+ * @returns {Array<string>} Keys of `AGGREGATES`.
+ */
+export function getAggregatesFor(type) {
+  switch (type) {
+    case 'amount':
+    case 'quantity':
+      return Object.keys(AGGREGATES);
+    case 'rate':
+      return ['count', 'distinct', 'min', 'max', 'average'];
+    case 'flag':
+      return ['count', 'distinct'];
+    default:
+      return ['count', 'distinct', 'min', 'max'];
+  }
+}
+
+export const getDefaultAggregate = (type) => (type === 'amount' || type === 'quantity' ? 'sum' : 'count');
+
+/**
+ * The aggregate to use for a column: the chosen one if it makes sense for the column's
+ * type, which can change as its values are edited, and the type's default otherwise.
+ */
+export function resolveAggregate(type, aggregate) {
+  return getAggregatesFor(type).includes(aggregate) ? aggregate : getDefaultAggregate(type);
+}
+
+// The values of a column, one per cell of the document (or per record a computed cell
+// was computed from). Elements with attributes contribute their text.
+function collectValues(rows, headerKey) {
+  const seen = new Set();
+  const values = [];
+  rows.forEach(row => {
+    const cell = row[headerKey];
+    if (!cell) return;
+    let { value } = cell;
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) value = value['#text'];
+    if (value === undefined || value === null || typeof value === 'object' || String(value).trim() === '') return;
+
+    const identity = cell.path || cell.source;
+    if (identity) {
+      const key = JSON.stringify(identity);
+      if (seen.has(key)) return;
+      seen.add(key);
+    }
+    values.push(String(value).trim());
+  });
+  return values;
+}
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+// Tally stores debits as negative amounts.
+const formatSignedAmount = (amount) => {
+  if (amount === 0) return '0.00';
+  return `${Math.abs(amount).toFixed(2)} ${amount < 0 ? 'Dr' : 'Cr'}`;
+};
+
+// Reads the numbers of a column, grouped by unit ('' for amounts). Values that are not
+// numbers of the type are left out and counted.
+function readNumbers(type, values) {
+  const byUnit = new Map();
+  let skipped = 0;
+  values.forEach(value => {
+    let number;
+    let unit = '';
+    if (type === 'amount') {
+      number = parseTallyAmount(value);
+    } else {
+      const measure = parseMeasure(type, value);
+      number = measure ? Number(measure.number) : NaN;
+      unit = measure?.unit || '';
+    }
+    if (number === null || Number.isNaN(number)) {
+      skipped++;
+      return;
+    }
+    if (!byUnit.has(unit)) byUnit.set(unit, []);
+    byUnit.get(unit).push(number);
+  });
+  return { byUnit, skipped };
+}
+
+function aggregateNumbers(type, values, aggregate, isComputed) {
+  const { byUnit, skipped } = readNumbers(type, values);
+  if (byUnit.size === 0) return null;
+
+  // Tally amounts are added up in paise, so that the total is exact, and shown signed.
+  // A computed column typed as amounts holds plain numbers.
+  const isTallyAmount = type === 'amount' && !isComputed;
+  const format = (number) => (isTallyAmount ? formatSignedAmount(number) : formatExpressionResult(number));
+  const parts = [];
+  const notes = [];
+  byUnit.forEach((numbers, unit) => {
+    let result;
+    if (aggregate === 'sum') {
+      result = isTallyAmount ? numbers.reduce((sum, n) => sum + toPaise(n), 0) / 100 : numbers.reduce((sum, n) => sum + n, 0);
+    } else if (aggregate === 'average') {
+      result = numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+      if (isTallyAmount) result = Math.round(result * 100) / 100;
+    } else {
+      result = numbers.reduce((best, n) => (aggregate === 'min' ? Math.min(best, n) : Math.max(best, n)));
+    }
+    parts.push(unit ? `${format(result)}${type === 'rate' ? '/' : ' '}${unit}` : format(result));
+
+    if (isTallyAmount && aggregate === 'sum') {
+      const debits = numbers.filter(n => n < 0).reduce((sum, n) => sum - toPaise(n), 0);
+      const credits = numbers.filter(n => n > 0).reduce((sum, n) => sum + toPaise(n), 0);
+      notes.push(`Debits ${(debits / 100).toFixed(2)}, credits ${(credits / 100).toFixed(2)}`);
+    }
+  });
+
+  const count = values.length - skipped;
+  notes.push(`Over ${count} ${count === 1 ? 'value' : 'values'}`);
+  if (byUnit.size > 1) notes.push('Values with different units are kept apart');
+  if (skipped > 0) notes.push(`${skipped} ${skipped === 1 ? 'value is' : 'values are'} not a number and left out`);
+  return { value: parts.join(', '), title: notes.join('\n') };
+}
+
+const textCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Aggregates a column over the given rows.
+ * @param {Array<object>} rows The rows, as the table shows them (filtered).
+ * @param {string} headerKey The column.
+ * @param {string} type The column's value type, see `inferValueType`.
+ * @param {string} aggregate A key of `AGGREGATES`.
+ * @returns {{value: string, title: string}|null} The result to show and an explanation
+ *   of it, or null if the column has no values to aggregate. Totals of amounts are
+ *   shown the way Tally signs them: negative amounts are debits (Dr), positive ones
+ *   credits (Cr).
+ */
+export function aggregateColumn(rows, headerKey, type, aggregate) {
+  const values = collectValues(rows, headerKey);
+  const countNote = `Over ${values.length} ${values.length === 1 ? 'value' : 'values'}`;
+
+  if (aggregate === 'count') {
+    return { value: String(values.length), title: 'Values in the column, each counted once' };
+  }
+  if (aggregate === 'distinct') {
+    const distinct = new Set(values.map(value => value.toLowerCase())).size;
+    return { value: String(distinct), title: `Different values, ignoring case. ${countNote}` };
+  }
+  if (values.length === 0) return null;
+
+  if (['amount', 'quantity', 'rate'].includes(type)) {
+    const isComputed = rows.some(row => row[headerKey]?.computed);
+    return aggregateNumbers(type, values, aggregate, isComputed);
+  }
+
+  // Text and dates: the first and last value in sort order.
+  const candidates = type === 'date' ? values.filter(value => fromTallyDate(value)) : values;
+  if (candidates.length === 0) return null;
+  const sorted = [...candidates].sort(textCollator.compare);
+  return { value: aggregate === 'min' ? sorted[0] : sorted[sorted.length - 1], title: countNote };
+}
@@ -0,0 +1,120 @@
+import { parseCsv, convertImportValue } from './tableImport';
+
+/*
+ * Copying a range of table cells as tab-separated text, the form spreadsheets put on
+ * the clipboard, and pasting such text into a table. A range is `{ anchor, focus }`,
+ * two corners `{ row, column }` given as indexes into the rows and columns on screen.
+ */
+
+/**
+ * The rows and columns a range covers, whichever corner it was started from.
+ * @returns {{top: number, bottom: number, left: number, right: number}}
+ */
+export function getRangeBounds({ anchor, focus }) {
+  return {
+    top: Math.min(anchor.row, focus.row),
+    bottom: Math.max(anchor.row, focus.row),
+    left: Math.min(anchor.column, focus.column),
+    right: Math.max(anchor.column, focus.column),
+  };
+}
+
+export const isInRange = (bounds, row, column) => (
+  row >= bounds.top && row <= bounds.bottom && column >= bounds.left && column <= bounds.right
+);
+
+// The text of a cell on the clipboard; nested tables and objects have none.
+function getCellText(cell) {
+  if (!cell) return '';
+  if (cell.error) return '#ERROR';
+  let { value } = cell;
+  if (typeof value === 'object' && value !== null && !Array.isArray(value) && '#text' in value) value = value['#text'];
+  if (value === undefined || value === null || typeof value === 'object') return '';
+  return String(value);
+}
+
+// Spreadsheets quote cells with tabs, line breaks or quotes in them.
+const quoteTsv = (text) => (/[\t\r\n"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+/**
+ * Writes the cells of a range as tab-separated text.
+ * @param {Array<object>} rows The flat rows on screen, in order.
+ * @param {Array<string>} keys The header keys of the columns on screen, in order.
+ * @param {object} range
+ * @returns {string}
+ */
+export function rangeToTsv(rows, keys, range) {
+  const { top, bottom, left, right } = getRangeBounds(range);
+  const lines = [];
+  for (let r = top; r <= Math.min(bottom, rows.length - 1); r++) {
+    lines.push(keys.slice(left, right + 1).map(key => quoteTsv(getCellText(rows[r][key]))).join('\t'));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Works out the changes of pasting tab-separated text into a table, without making them.
+ * The text is pasted from the top left cell of the range. A range that is a multiple of
+ * the pasted block in height or width is filled with copies of it, so a single value
+ * fills the whole range. Values are converted to their column's type as a spreadsheet
+ * import converts them; those that do not fit are left out.
+ * @param {Array<object>} rows The flat rows on screen, in order.
+ * @param {Array<string>} keys The header keys of the columns on screen, in order.
+ * @param {Object<string, string>} columnTypes The value type of each column.
+ * @param {object} range Where to paste.
+ * @param {string} text The pasted text.
+ * @returns {{changes: Array<{path, before, after}>, skipped: number, range: object}}
+ *   One change per cell whose value changes; rows sharing a cell (the copies
+ *   `flattenRow` makes of a row for each nested item) count once. `skipped` counts the
+ *   pasted values left out: those with nowhere to go (computed cells, fields the row does
+ *   not have, values past the last row or column) and those that do not fit their
+ *   column's type. `range` is the range pasted into.
+ */
+export function planPaste(rows, keys, columnTypes, range, text) {
+  const block = parseCsv(text.replace(/\r?\n$/, ''), '\t');
+  const blockHeight = Math.max(block.length, 1);
+  const blockWidth = block.reduce((max, line) => Math.max(max, line.length), 1);
+  const { top, bottom, left, right } = getRangeBounds(range);
+  const rangeHeight = bottom - top + 1;
+  const rangeWidth = right - left + 1;
+  const height = rangeHeight % blockHeight === 0 ? rangeHeight : blockHeight;
+  const width = rangeWidth % blockWidth === 0 ? rangeWidth : blockWidth;
+
+  const changes = new Map();
+  let skipped = 0;
+  for (let r = 0; r < height; r++) {
+    for (let c = 0; c < width; c++) {
+      const row = rows[top + r];
+      const key = keys[left + c];
+      const cell = row && key !== undefined ? row[key] : undefined;
+      let { value, path } = cell || {};
+      // An element with attributes holds its text under '#text'.
+      if (typeof value === 'object' && value !== null && !Array.isArray(value) && path) {
+        value = value['#text'] ?? '';
+        path = [...path, '#text'];
+      }
+      if (!path || typeof value === 'object') {
+        skipped++;
+        continue;
+      }
+
+      const pasted = block[r % blockHeight]?.[c % blockWidth] ?? '';
+      const before = String(value ?? '');
+      const after = convertImportValue(columnTypes[key], pasted, before);
+      if (after === null) {
+        skipped++;
+        continue;
+      }
+      const pathKey = JSON.stringify(path);
+      if (after === before) changes.delete(pathKey);
+      else changes.set(pathKey, { path, before, after });
+    }
+  }
+
+  const last = { row: Math.min(top + height, rows.length) - 1, column: Math.min(left + width, keys.length) - 1 };
+  return {
+    changes: [...changes.values()],
+    skipped,
+    range: { anchor: { row: top, column: left }, focus: last },
+  };
+}
@@ -0,0 +1,119 @@
+import { parseTallyAmount } from './tallySchema';
+import { fromTallyDate } from './valueTypes';
+import { encodeXML } from './xmlUtils';
+import { sortFlatRows } from './tableUtils';
+import {
+  getHeaderKey,
+  getColumnLabel,
+  isComputedColumn,
+  flattenRows,
+  getColumnTypes,
+  parseTableFilters,
+  filterTableRows,
+} from './tableModel';
+
+/*
+ * Exporting a table view as a spreadsheet: the rows DataTable shows, with its columns,
+ * filters and sort, plus the path each row comes from.
+ */
+
+export const CSV_DELIMITERS = [
+  { value: ',', label: 'Comma' },
+  { value: ';', label: 'Semicolon' },
+  { value: '\t', label: 'Tab' },
+];
+
+// Excel only reads a UTF-8 CSV as UTF-8 if it starts with a BOM.
+export const CSV_ENCODINGS = [
+  { value: 'utf-8-bom', label: 'UTF-8 with BOM (Excel)' },
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'utf-16le', label: 'UTF-16LE' },
+];
+
+export const SOURCE_PATH_COLUMN = 'Source Path';
+
+const startsWith = (path, prefix) => prefix.length <= path.length && prefix.every((segment, i) => path[i] === segment);
+
+// The path of the element a flat row shows: the deepest nested item its columns were
+// expanded to, or the table's row when they were expanded to unrelated lists.
+function getSourcePath(row, headers, pathPrefix) {
+  const recordPath = [...pathPrefix, row.__originalIndex];
+  let sourcePath = recordPath;
+  for (const header of headers) {
+    if (typeof header !== 'object' || isComputedColumn(header)) continue;
+    const path = row[getHeaderKey(header)]?.path;
+    if (!path) continue;
+    const childLength = header.child === 'value' ? 0 : header.child.startsWith('@') ? 2 : 1;
+    const itemPath = path.slice(0, path.length - childLength);
+    if (startsWith(itemPath, sourcePath)) sourcePath = itemPath;
+    else if (!startsWith(sourcePath, itemPath)) return recordPath;
+  }
+  return sourcePath;
+}
+
+// A cell as a spreadsheet holds it: amounts as numbers and Tally dates as dates.
+function toSheetCell(cell, type) {
+  if (cell?.error) return { type: 'text', value: '#ERROR' };
+  let value = cell?.value;
+  if (typeof value === 'object' && value !== null && !Array.isArray(value) && '#text' in value) value = value['#text'];
+  if (value === undefined || value === null) return { type: 'text', value: '' };
+  if (typeof value === 'object') return { type: 'text', value: JSON.stringify(value) };
+
+  if (type === 'amount') {
+    const amount = parseTallyAmount(value);
+    if (amount !== null && !Number.isNaN(amount)) return { type: 'number', value: amount };
+  }
+  if (type === 'date') {
+    const date = fromTallyDate(value);
+    if (date) return { type: 'date', value: date };
+  }
+  return { type: 'text', value: String(value) };
+}
+
+/**
+ * Builds the sheet of a table view, as DataTable shows it.
+ * @param {Array<*>} data The table's source array.
+ * @param {Array<string|object>} headers The table's columns.
+ * @param {Array<string|number>} pathPrefix The path of the source array.
+ * @param {object} [filters] The table's filters, as kept in the store.
+ * @param {Array<object>} [sorts] The table's sort keys, as kept in the store.
+ * @returns {{columns: Array<string>, rows: Array<Array<{type: string, value: *}>>}} The
+ *   column names, starting with `SOURCE_PATH_COLUMN`, and the typed cells of each row.
+ */
+export function buildTableSheet(data, headers, pathPrefix, filters, sorts) {
+  const allFlatRows = flattenRows(data, headers, pathPrefix);
+  const columnTypes = getColumnTypes(headers, allFlatRows);
+  const flatRows = sortFlatRows(
+    filterTableRows(data, headers, pathPrefix, parseTableFilters(filters), allFlatRows),
+    sorts,
+    columnTypes,
+  );
+  const keys = headers.map(getHeaderKey);
+  return {
+    columns: [SOURCE_PATH_COLUMN, ...headers.map(getColumnLabel)],
+    rows: flatRows.map(row => [
+      { type: 'text', value: getSourcePath(row, headers, pathPrefix).join('.') },
+      ...keys.map(key => toSheetCell(row[key], columnTypes[key])),
+    ]),
+  };
+}
+
+const quoteCsv = (text, delimiter) => (
+  text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+);
+
+/**
+ * Writes a sheet as CSV. Dates are written as YYYY-MM-DD and numbers without
+ * separators, which spreadsheets read as dates and numbers.
+ * @param {object} sheet The result of `buildTableSheet`.
+ * @param {string} delimiter One of the `CSV_DELIMITERS` values.
+ * @param {string} encoding One of the `CSV_ENCODINGS` values.
+ * @returns {Uint8Array} The encoded file.
+ */
+export function writeCsv(sheet, delimiter, encoding) {
+  const lines = [sheet.columns, ...sheet.rows.map(row => row.map(cell => String(cell.value)))]
+    .map(values => values.map(value => quoteCsv(value, delimiter)).join(delimiter));
+  const text = `${lines.join('\r\n')}\r\n`;
+  if (encoding === 'utf-8-bom') return encodeXML(text, 'utf-8', true);
+  return encodeXML(text, encoding, encoding !== 'utf-8');
+}
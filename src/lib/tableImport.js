@@ -0,0 +1,410 @@
+import get from 'lodash.get';
+import setIn from 'lodash.set';
+import { compileExpression, resolveField, formatExpressionResult } from './expression';
+import { inferValueType, isValidValue, parseMeasure, formatMeasure, toTallyDate } from './valueTypes';
+import { parseTallyAmount } from './tallySchema';
+import { validateDocument, getProblemsByRow } from './validation';
+import { decodeXML, cloneNode, isLazyNode } from './xmlUtils';
+import { readXlsx } from './xlsx';
+
+/*
+ * Importing spreadsheet rows as new records of a table. Each row becomes a copy of a
+ * template record, one of the table's rows, whose fields are filled from the row's
+ * columns, fixed values or formulas; everything else keeps the template's value.
+ */
+
+export const FIELD_SOURCES = {
+  template: 'Keep template value',
+  column: 'Column',
+  constant: 'Fixed value',
+  formula: 'Formula',
+  clear: 'Leave out',
+};
+
+// Fields through which Tally recognises a record it already has. Copies of the template
+// must not carry them, or Tally would overwrite the template instead of adding records.
+const IDENTITY_FIELDS = new Set(['GUID', 'REMOTEID', 'MASTERID', 'ALTERID', 'VCHKEY', 'VOUCHERKEY']);
+
+// The delimiter of CSV text: whichever of comma, semicolon and tab its first line uses most.
+function guessDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  return [',', ';', '\t'].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ));
+}
+
+/**
+ * Splits CSV text into rows of cells. Cells that start with a quote may hold delimiters,
+ * quotes ("") and line breaks.
+ * @param {string} text
+ * @param {string} [delimiter] The delimiter; by default the one the first line uses most
+ *   of comma, semicolon and tab.
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text, delimiter = guessDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') cell += char;
+      else if (text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else quoted = false;
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Reads a spreadsheet file: an XLSX workbook (its first sheet) or CSV text in UTF-8 or
+ * UTF-16.
+ * @param {ArrayBuffer} buffer The file's content.
+ * @param {string} fileName The file's name.
+ * @returns {Promise<Array<Array<string>>>} The cells of each row.
+ * @throws {Error} If the file cannot be read.
+ */
+export async function readSpreadsheet(buffer, fileName) {
+  const bytes = new Uint8Array(buffer);
+  // XLSX files are ZIP archives, which start with "PK".
+  if (bytes[0] === 0x50 && bytes[1] === 0x4B) return readXlsx(bytes);
+  if (/\.xls$/i.test(fileName)) {
+    throw new Error('Excel 97-2003 workbooks (.xls) cannot be read; save the sheet as .xlsx or CSV first.');
+  }
+  return parseCsv(decodeXML(buffer));
+}
+
+// Turns a column name into a name formulas can use: "Txn Date" becomes Txn_Date.
+const toIdentifier = (name) => {
+  const identifier = name.trim().replace(/[^\w@#]+/g, '_').replace(/^_+|_+$/g, '');
+  return /^[A-Za-z_@#]/.test(identifier) ? identifier : `_${identifier}`;
+};
+
+/**
+ * Splits the rows of a spreadsheet into columns and data rows. Rows without any text are
+ * left out.
+ * @param {Array<Array<string>>} cells The result of `readSpreadsheet`.
+ * @param {boolean} hasHeader Whether the first row holds the column names.
+ * @returns {{columns: Array<{name: string, identifier: string}>, rows: Array<{number: number, cells: Array<string>}>}}
+ *   `identifier` is how formulas refer to the column, and `number` is the row's number
+ *   in the spreadsheet.
+ */
+export function toImportTable(cells, hasHeader) {
+  const width = cells.reduce((max, row) => Math.max(max, row.length), 0);
+  const header = hasHeader ? cells[0] || [] : [];
+  const used = new Set();
+  const columns = Array.from({ length: width }, (_, index) => {
+    const name = String(header[index] ?? '').trim() || `Column ${index + 1}`;
+    let identifier = toIdentifier(name);
+    for (let n = 2; used.has(identifier.toLowerCase()); n++) identifier = `${toIdentifier(name)}_${n}`;
+    used.add(identifier.toLowerCase());
+    return { name, identifier };
+  });
+  const rows = cells
+    .map((row, index) => ({ number: index + 1, cells: columns.map((_, i) => String(row[i] ?? '').trim()) }))
+    .slice(hasHeader ? 1 : 0)
+    .filter(row => row.cells.some(cell => cell !== ''));
+  return { columns, rows };
+}
+
+const describePath = (path) => path.reduce((label, segment, index) => {
+  if (typeof segment === 'number') return `${label}[${segment + 1}]`;
+  if (segment === '#text' || segment === '@attributes') return label;
+  const name = path[index - 1] === '@attributes' ? `@${segment}` : segment;
+  return label ? `${label}.${name}` : name;
+}, '');
+
+/**
+ * Lists the fields of a template record an import can fill: every text value and
+ * attribute in it, including those of its nested entries.
+ * @param {object} template The template record.
+ * @returns {Array<{id: string, path: Array<string|number>, label: string, name: string, value: string, type: string}>}
+ *   `path` is relative to the record, `label` names the field for the user (e.g.
+ *   "ALLLEDGERENTRIES.LIST[2].AMOUNT"), `name` is its tag or attribute name and `type`
+ *   its value type, inferred from the name and the template's value.
+ */
+export function listTemplateFields(template) {
+  const fields = [];
+  const addField = (path, name, value) => {
+    const text = String(value ?? '');
+    fields.push({ id: JSON.stringify(path), path, label: describePath(path), name, value: text, type: inferValueType(name, [text]) });
+  };
+
+  const visit = (node, path, name) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => visit(item, [...path, index], name));
+      return;
+    }
+    if (typeof node !== 'object' || node === null) {
+      addField(path, name, node);
+      return;
+    }
+    if (isLazyNode(node)) return;
+    Object.entries(node['@attributes'] || {}).forEach(([attribute, value]) => {
+      addField([...path, '@attributes', attribute], `@${attribute}`, value);
+    });
+    if ('#text' in node) addField([...path, '#text'], name, node['#text']);
+    Object.keys(node)
+      .filter(key => key !== '@attributes' && key !== '#text')
+      .forEach(key => visit(node[key], [...path, key], key));
+  };
+
+  visit(template, [], '');
+  return fields;
+}
+
+const normalizeName = (name) => String(name).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Suggests where each field of the template takes its value from: a column named like
+ * the field (a name that occurs in several entries only matches the column named after
+ * its full label), nothing for the fields that identify a record in Tally, and the
+ * template's value otherwise.
+ * @returns {Object<string, object>} The mapping of each field by id, see `buildImportRecords`.
+ */
+export function suggestMappings(fields, columns) {
+  const nameCounts = new Map();
+  fields.forEach(field => nameCounts.set(field.name, (nameCounts.get(field.name) || 0) + 1));
+  const mappings = {};
+  fields.forEach(field => {
+    const bareName = field.name.replace(/^@/, '');
+    if (IDENTITY_FIELDS.has(bareName)) {
+      mappings[field.id] = { mode: 'clear' };
+      return;
+    }
+    const column = columns.findIndex(({ name }) => (
+      normalizeName(name) === normalizeName(field.label)
+      || (nameCounts.get(field.name) === 1 && normalizeName(name) === normalizeName(bareName))
+    ));
+    mappings[field.id] = column === -1 ? { mode: 'template' } : { mode: 'column', column };
+  });
+  return mappings;
+}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Reads a date as spreadsheets and bank statements write it: 20240401, 2024-04-01,
+// 01/04/2024, 1-Apr-24. Numeric dates are read day first, unless that cannot be.
+function readDate(text) {
+  let year;
+  let month;
+  let day;
+  let match = /^(\d{4})(\d{2})(\d{2})$/.exec(text) || /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(text);
+  if (match) {
+    [year, month, day] = match.slice(1).map(Number);
+  } else {
+    match = /^(\d{1,2})[-/. ]+(\d{1,2}|[A-Za-z]{3,})[-/., ]+(\d{4}|\d{2})$/.exec(text);
+    if (!match) return null;
+    day = Number(match[1]);
+    month = /^\d+$/.test(match[2]) ? Number(match[2]) : MONTH_NAMES.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+    year = Number(match[3]) + (match[3].length === 2 ? 2000 : 0);
+    if (month > 12 && day <= 12) [day, month] = [month, day];
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return toTallyDate(date.toISOString().slice(0, 10));
+}
+
+// Reads an amount with a currency symbol, separators, a Dr/Cr suffix or accounting
+// brackets. Debits are negative, as Tally stores them.
+function readAmount(text) {
+  let rest = text;
+  let sign = 1;
+  const suffix = /\s*(Dr|Cr)\.?$/i.exec(rest);
+  if (suffix) rest = rest.slice(0, suffix.index);
+  if (/^\(.*\)$/.test(rest.trim())) {
+    rest = rest.trim().slice(1, -1);
+    sign = -1;
+  }
+  const number = rest.replace(/[^\d.+-]/g, '').replace(/^\+/, '');
+  if (!/^-?\d*\.?\d+$/.test(number)) return null;
+  let amount = Number(number) * sign;
+  if (suffix) amount = Math.abs(amount) * (suffix[1].toLowerCase() === 'dr' ? -1 : 1);
+  return formatMeasure('amount', String(Math.round(amount * 100) / 100));
+}
+
+const FLAG_WORDS = { yes: 'Yes', y: 'Yes', true: 'Yes', 1: 'Yes', no: 'No', n: 'No', false: 'No', 0: 'No' };
+
+/**
+ * Converts a spreadsheet value into the stored form of a field's type. Quantities and
+ * rates without a unit take the unit of the template's value.
+ * @param {string} type One of `VALUE_TYPES`.
+ * @param {string} text The value as the spreadsheet has it.
+ * @param {string} templateValue The field's value in the template.
+ * @returns {string|null} The value to store, or null if the text does not fit the type.
+ */
+export function convertImportValue(type, text, templateValue) {
+  const value = String(text ?? '').trim();
+  if (value === '') return '';
+  switch (type) {
+    case 'date': return readDate(value);
+    case 'amount': return readAmount(value);
+    case 'flag': return FLAG_WORDS[value.toLowerCase()] ?? null;
+    case 'quantity':
+    case 'rate': {
+      const unit = parseMeasure(type, templateValue)?.unit || '';
+      const measure = parseMeasure(type, value) || (/^-?[\d,]*\.?\d+$/.test(value) ? { number: value, unit: '' } : null);
+      if (!measure) return null;
+      const result = formatMeasure(type, measure.number, measure.unit || unit);
+      return result !== null && isValidValue(type, result) ? result : null;
+    }
+    default: return value;
+  }
+}
+
+// After an entry's AMOUNT changed, its ISDEEMEDPOSITIVE must follow the sign, unless it
+// is filled in itself: Yes for debits (negative amounts), No for credits.
+function alignDeemedPositive(record, fields, mappings) {
+  fields.forEach(field => {
+    if (field.name !== 'AMOUNT' || mappings[field.id]?.mode === 'template' || !mappings[field.id]) return;
+    const entryPath = field.path.slice(0, field.path[field.path.length - 1] === '#text' ? -2 : -1);
+    const flagField = fields.find(other => (
+      other.name === 'ISDEEMEDPOSITIVE' && JSON.stringify(other.path.slice(0, entryPath.length)) === JSON.stringify(entryPath)
+      && other.path.length - entryPath.length === (other.path[other.path.length - 1] === '#text' ? 2 : 1)
+    ));
+    if (!flagField || (mappings[flagField.id]?.mode || 'template') !== 'template') return;
+    const amount = parseTallyAmount(get(record, field.path));
+    if (amount === null || Number.isNaN(amount)) return;
+    setIn(record, flagField.path, amount < 0 ? 'Yes' : 'No');
+  });
+}
+
+// Removes a field; an element left with neither text nor attributes goes with it, as
+// `{}` would still be written as an empty element. Items of lists are left in place.
+function removeField(record, path) {
+  for (let end = path.length; end > 0; end--) {
+    const parent = end > 1 ? get(record, path.slice(0, end - 1)) : record;
+    if (typeof parent !== 'object' || parent === null || Array.isArray(parent)) return;
+    delete parent[path[end - 1]];
+    if (Object.keys(parent).length > 0) return;
+  }
+}
+
+/**
+ * Builds a record from each spreadsheet row, and checks the records as the document
+ * would: values must fit their field's type and vouchers must balance.
+ * @param {object} template The template record.
+ * @param {string} tableKey The tag name of the table's rows, e.g. 'VOUCHER' or 'TALLYMESSAGE'.
+ * @param {Array<object>} fields The result of `listTemplateFields`.
+ * @param {Object<string, object>} mappings Where each field takes its value from, by field
+ *   id: `{ mode: 'template' }`, `{ mode: 'column', column }` (a column index),
+ *   `{ mode: 'constant', value }`, `{ mode: 'formula', formula }` or `{ mode: 'clear' }`.
+ *   A formula reads the row's columns by identifier, and the template's value as `value`.
+ * @param {object} table The result of `toImportTable`.
+ * @returns {Array<{number: number, record: object, errors: Array<string>, warnings: Array<string>}>}
+ *   One result per data row, with the row's number in the spreadsheet.
+ * @throws {Error} With a message for the user when a formula is malformed.
+ */
+export function buildImportRecords(template, tableKey, fields, mappings, table) {
+  const formulas = new Map();
+  fields.forEach(field => {
+    const mapping = mappings[field.id];
+    if (mapping?.mode !== 'formula') return;
+    try {
+      formulas.set(field.id, compileExpression(mapping.formula));
+    } catch (error) {
+      throw new Error(`${field.label}: ${error.message}`);
+    }
+  });
+
+  const results = table.rows.map(row => {
+    const record = cloneNode(template);
+    const errors = [];
+    const columnValues = Object.fromEntries(table.columns.map((column, index) => [column.identifier, row.cells[index]]));
+
+    fields.forEach(field => {
+      const mapping = mappings[field.id] || { mode: 'template' };
+      let text;
+      if (mapping.mode === 'template') return;
+      if (mapping.mode === 'clear') {
+        removeField(record, field.path);
+        return;
+      }
+      if (mapping.mode === 'column') text = row.cells[mapping.column] ?? '';
+      else if (mapping.mode === 'constant') text = mapping.value ?? '';
+      else {
+        try {
+          const result = formulas.get(field.id).evaluate(name => (
+            name === 'value' ? field.value : resolveField(columnValues, name)
+          ));
+          text = formatExpressionResult(result);
+        } catch (error) {
+          errors.push(`${field.label}: ${error.message}`);
+          return;
+        }
+      }
+      const value = convertImportValue(field.type, text, field.value);
+      if (value === null) {
+        errors.push(`${field.label}: "${text}" is not ${field.type === 'amount' ? 'an' : 'a'} ${field.type}.`);
+        return;
+      }
+      setIn(record, field.path, value);
+    });
+    alignDeemedPositive(record, fields, mappings);
+    return { number: row.number, record, errors, warnings: [] };
+  });
+
+  // Vouchers are checked the way the Problems panel checks the document.
+  const problemsByRow = getProblemsByRow(
+    validateDocument({ [tableKey]: results.map(result => result.record) }),
+    [tableKey],
+  );
+  problemsByRow.forEach((problems, index) => {
+    problems.forEach(problem => {
+      results[index][problem.severity === 'error' ? 'errors' : 'warnings'].push(problem.message);
+    });
+  });
+  return results;
+}
+
+/**
+ * Builds a document that holds only the given records, in a copy of the envelope around
+ * the table: of each element on the way to the table, only the single elements before it
+ * (such as HEADER and REQUESTDESC) are kept, and the rows of other tables are left out.
+ * @param {object} doc The document the table is in.
+ * @param {Array<string|number>} path The path of the table, from the root element.
+ * @param {Array<object>} records The new rows.
+ * @returns {object} The new document's root element.
+ */
+export function buildImportEnvelope(doc, path, records) {
+  // Copies the element at path[0..depth), keeping the rest of the path to the table.
+  const copyElement = (element, depth) => {
+    const key = path[depth];
+    const copy = {};
+    if (element?.['@attributes']) copy['@attributes'] = { ...element['@attributes'] };
+    for (const name of Object.keys(element || {})) {
+      if (name === key) break;
+      if (name === '@attributes' || name === '#text' || Array.isArray(element[name])) continue;
+      copy[name] = cloneNode(element[name]);
+    }
+    if (depth === path.length - 1) {
+      copy[key] = records.length === 1 ? records[0] : records;
+    } else if (typeof path[depth + 1] === 'number') {
+      copy[key] = copyElement(element?.[key]?.[path[depth + 1]], depth + 2);
+    } else {
+      copy[key] = copyElement(element?.[key], depth + 1);
+    }
+    return copy;
+  };
+  return copyElement(doc, 0)[path[0]];
+}
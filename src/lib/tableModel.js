@@ -0,0 +1,535 @@
+import { parseFilterQuery, testValue } from './filterParser';
+import { inferValueType } from './valueTypes';
+import { compileExpression, resolveField, formatExpressionResult } from './expression';
+
+/*
+ * The row model behind DataTable: flattening nested rows into table rows, filtering
+ * and grouping them. It is kept out of the components so that it runs once per change
+ * of the data, columns or filters rather than on every render (scrolling a large
+ * table re-renders it constantly).
+ */
+
+/**
+ * Whether a column definition is a computed column, `{ name, formula, base }`: its
+ * values come from a formula (see expression.js) over the fields of each row, or of the
+ * record at `base` within it, rather than from the document.
+ */
+export function isComputedColumn(header) {
+  return typeof header === 'object' && header !== null && typeof header.formula === 'string';
+}
+
+export function getHeaderKey(header) {
+  // Computed columns are keyed apart from fields, which may have the same name.
+  if (isComputedColumn(header)) return `=${header.name}`;
+  if (typeof header === 'object' && header !== null) {
+    // Creates a consistent key like 'PARENT.CHILD' from the complex header object
+    return `${header.parent.join('.')}.${header.child}`;
+  }
+  return header;
+}
+
+/**
+ * The name a column is shown under: a computed column's name, an attribute without its
+ * '@', and a nested field as 'PARENT.CHILD'.
+ */
+export function getColumnLabel(header) {
+  if (isComputedColumn(header)) return header.name;
+  if (typeof header === 'string' && header.startsWith('@')) return header.substring(1);
+  return getHeaderKey(header);
+}
+
+/**
+ * Case-insensitive version of lodash.get.
+ * Required because headers might be lowercase while data keys are uppercase.
+ * @param {object} obj - The object to search within.
+ * @param {Array<string>} pathSegments - The path to the desired property.
+ * @returns {{value: any, actualPath: Array<string>}} The found value and the actual case-sensitive path.
+ */
+export function caseInsensitiveGet(obj, pathSegments) {
+  let current = obj;
+  const actualPath = [];
+  if (!pathSegments) return { value: undefined, actualPath: null };
+  for (const segment of pathSegments) {
+    if (typeof current !== 'object' || current === null) return { value: undefined, actualPath: null };
+
+    // Find the key in the current object that matches the segment case-insensitively.
+    const key = Object.keys(current).find(k => k.toLowerCase() === String(segment).toLowerCase());
+
+    if (key === undefined) return { value: undefined, actualPath: null };
+
+    current = current[key];
+    actualPath.push(key);
+  }
+  return { value: current, actualPath };
+}
+
+// Compiled formulas of computed columns, by their source.
+const formulaCache = new Map();
+
+function getFormula(source) {
+  if (!formulaCache.has(source)) {
+    try {
+      formulaCache.set(source, compileExpression(source));
+    } catch (error) {
+      formulaCache.set(source, { error: error.message });
+    }
+  }
+  return formulaCache.get(source);
+}
+
+/*
+ * The cell of a computed column. The formula reads the record the row's other columns
+ * were expanded to, if the column has a `base` and one was, so each flat row of a
+ * record gets its own value. Cells have no path, as they are not in the document; their
+ * `source` is the path of the record they were computed from.
+ */
+function computeCell(header, row, rowPath, contexts) {
+  const base = header.base?.length ? header.base : null;
+  const context = base ? contexts[base.join('.')] : null;
+  let record = row;
+  let source = rowPath;
+  if (context) {
+    ({ item: record, path: source } = context);
+  } else if (base) {
+    const { value, actualPath } = caseInsensitiveGet(row, base);
+    record = value;
+    source = actualPath ? [...rowPath, ...actualPath] : rowPath;
+  }
+
+  const formula = getFormula(header.formula);
+  if (formula.error) return { value: undefined, path: undefined, source, computed: true, error: formula.error };
+  try {
+    const result = formula.evaluate(name => resolveField(record, name));
+    return { value: formatExpressionResult(result), path: undefined, source, computed: true };
+  } catch (error) {
+    return { value: undefined, path: undefined, source, computed: true, error: error.message };
+  }
+}
+
+/**
+ * Flattens a single row of hierarchical data into multiple flat rows based on the headers.
+ * This function handles nested arrays by creating a cartesian product.
+ * @param {object} row - The original data object for the row.
+ * @param {number} rowIndex - The index of the original row in the source data array.
+ * @param {Array<string|object>} headers - The column definitions.
+ * @param {Array<string>} pathPrefix - The base path to the source data array.
+ * @param {WeakMap<Array, Array<number>>} [originalIndexes] - For nested arrays a table
+ *   filter has thinned out, the index each remaining item has in the document.
+ * @returns {Array<object>} An array of flat row objects.
+ */
+function flattenRow(row, rowIndex, headers, pathPrefix, originalIndexes) {
+  // wipRows (Work-In-Progress Rows) stores the state for each flattened row being built.
+  // - values: A map of { headerKey: { value, path } }
+  // - contexts: A map that tracks the specific nested item and its actual path for each expansion level.
+  let wipRows = [{ values: {}, contexts: {} }];
+
+  headers.forEach(header => {
+    if (isComputedColumn(header)) return;
+    const headerKey = getHeaderKey(header);
+    const nextWipRows = [];
+
+    for (const wip of wipRows) {
+      const isComplex = typeof header === 'object' && header !== null;
+
+      if (!isComplex) {
+        // SIMPLE HEADER: value is relative to the original row object.
+        let value;
+        let path;
+
+        if (header === 'value') {
+          // This handles arrays of primitives, where 'row' is the primitive itself.
+          value = row;
+          path = [...pathPrefix, rowIndex];
+        } else if (typeof row === 'object' && row !== null) {
+          // Standard case: row is an object, find a property within it.
+          let pathSegments;
+          if (header.startsWith('@')) {
+            // Support dot notation within attributes if ever needed, e.g., @ATTR.NESTED
+            pathSegments = ['@attributes', ...header.substring(1).split('.')];
+          } else {
+            // A simple header string is treated as a single key, not a path.
+            pathSegments = [header];
+          }
+          const { value: foundValue, actualPath } = caseInsensitiveGet(row, pathSegments);
+          value = foundValue;
+          path = actualPath ? [...pathPrefix, rowIndex, ...actualPath] : undefined;
+        } else {
+          // Row is a primitive, but header is not 'value', so it can't have properties.
+          value = undefined;
+          path = undefined;
+        }
+
+        // Fallback for cases like <VOUCHER>123</VOUCHER> where `row` is "123"
+        // and the user selected a column like '#text'. The lookup above would fail.
+        if (value === undefined && (header === '#text') && typeof row !== 'object') {
+          value = row;
+          path = [...pathPrefix, rowIndex];
+        }
+
+        nextWipRows.push({
+          ...wip,
+          values: { ...wip.values, [headerKey]: { value, path } }
+        });
+
+      } else { // COMPLEX HEADER: value is relative to a nested context.
+        const parentPathKey = header.parent.join('.');
+
+        // Find the deepest context this header's path belongs to.
+        let context = { item: row, path: [...pathPrefix, rowIndex] };
+        let longestPrefix = '';
+
+        for (const contextKey in wip.contexts) {
+          if (parentPathKey.startsWith(contextKey) && contextKey.length > longestPrefix.length) {
+            longestPrefix = contextKey;
+            context = wip.contexts[contextKey];
+          }
+        }
+
+        const relativePathSegments = header.parent.slice(longestPrefix.split('.').filter(Boolean).length);
+        const { value: dataBranch, actualPath: actualRelativePath } = caseInsensitiveGet(context.item, relativePathSegments);
+
+        const items = Array.isArray(dataBranch) ? dataBranch : (dataBranch !== undefined && dataBranch !== null ? [dataBranch] : []);
+
+        if (items.length === 0) {
+          // No items to expand, so just add an empty value for this column.
+          nextWipRows.push({
+            ...wip,
+            values: { ...wip.values, [headerKey]: { value: undefined, path: undefined } },
+          });
+        } else {
+          // Create a new WIP row for each item in the nested array/object.
+          items.forEach((item, itemIndex) => {
+            const newWip = {
+              values: { ...wip.values },
+              contexts: { ...wip.contexts },
+            };
+
+            const newContextPath = [...context.path, ...actualRelativePath];
+            if (Array.isArray(dataBranch)) {
+              newContextPath.push(originalIndexes?.get(dataBranch)?.[itemIndex] ?? itemIndex);
+            }
+            newWip.contexts[parentPathKey] = { item, path: newContextPath };
+
+            const childIsAttribute = header.child.startsWith('@');
+            const childSegment = childIsAttribute ? header.child.substring(1) : header.child;
+
+            let value, path;
+
+            if (childIsAttribute) {
+              const { value: attrValue, actualPath: attrPath } = caseInsensitiveGet(item, ['@attributes', childSegment]);
+              value = attrValue;
+              path = attrPath ? [...newContextPath, ...attrPath] : undefined;
+            } else if (header.child === 'value') {
+               value = item;
+               path = newContextPath;
+            } else {
+              const { value: childValue, actualPath: childPath } = caseInsensitiveGet(item, [childSegment]);
+              value = childValue;
+              path = childPath ? [...newContextPath, ...childPath] : undefined;
+            }
+
+            newWip.values[headerKey] = { value, path };
+            nextWipRows.push(newWip);
+          });
+        }
+      }
+    }
+    wipRows = nextWipRows;
+  });
+
+  // Computed columns come last, once every expansion is known.
+  headers.filter(isComputedColumn).forEach(header => {
+    wipRows.forEach(wip => {
+      wip.values[getHeaderKey(header)] = computeCell(header, row, [...pathPrefix, rowIndex], wip.contexts);
+    });
+  });
+
+  return wipRows.map(wip => ({ ...wip.values, __originalIndex: rowIndex }));
+}
+
+/**
+ * Recursively checks if a nested path in an object matches filter conditions.
+ * Handles arrays at any level of the path by checking if "some" element matches.
+ * @param {object|Array} target - The object or array to search within.
+ * @param {Array<string>} pathSegments - The path to follow (e.g., ['LEDGERENTRIES.LIST', 'LEDGERNAME']).
+ * @param {object} conditions - The parsed filter condition from parseFilterQuery.
+ * @returns {boolean} - True if a match is found.
+ */
+export const checkPathInObject = (target, pathSegments, conditions) => {
+  // If target is an array, check if any element in it matches the full path.
+  if (Array.isArray(target)) {
+    return target.some(item => checkPathInObject(item, pathSegments, conditions));
+  }
+
+  // If we are looking for the 'value' of a primitive and are at the end of the path, test it.
+  // This handles filtering within arrays of strings/numbers.
+  if (pathSegments.length === 1 && pathSegments[0] === 'value' && typeof target !== 'object') {
+    return testValue(target, conditions);
+  }
+
+  // If target is not an object or path is empty, we can't go deeper.
+  if (typeof target !== 'object' || target === null || pathSegments.length === 0) {
+    return false;
+  }
+
+  const [currentSegment, ...remainingSegments] = pathSegments;
+
+  let value;
+  if (String(currentSegment).startsWith('@')) {
+    const attributeName = String(currentSegment).substring(1);
+    const attributes = target['@attributes'];
+    if (typeof attributes !== 'object' || attributes === null) return false;
+
+    // Find the attribute key case-insensitively
+    const attrKey = Object.keys(attributes).find(k => k.toLowerCase() === attributeName.toLowerCase());
+    if (attrKey === undefined) return false;
+    value = attributes[attrKey];
+
+  } else {
+    // Find the key in the current object that matches the segment case-insensitively.
+    const key = Object.keys(target).find(k => k.toLowerCase() === String(currentSegment).toLowerCase());
+    if (key === undefined) return false;
+    value = target[key];
+  }
+
+  // If we are at the last segment of the path, test the value.
+  if (remainingSegments.length === 0) {
+    // If the final value is an array, test each element against the conditions.
+    if (Array.isArray(value)) {
+      return value.some(item => testValue(item, conditions));
+    }
+    return testValue(value, conditions);
+  }
+
+  // If not at the end, recurse deeper. The 'value' becomes the new 'target'.
+  return checkPathInObject(value, remainingSegments, conditions);
+};
+
+// Flat rows per source row object, keyed by row index, columns and table path. The
+// document is immutable, so an edit only replaces the rows it touched; the other rows
+// are not flattened again.
+const flatRowCache = new WeakMap();
+
+/**
+ * Flattens all rows of a table, see `flattenRow`.
+ * @param {Array<*>} data The table's source array.
+ * @param {Array<string|object>} headers The column definitions.
+ * @param {Array<string|number>} pathPrefix The path of the source array.
+ * @returns {Array<object>} The flat rows, in source order.
+ */
+export function flattenRows(data, headers, pathPrefix) {
+  const columnsKey = JSON.stringify([headers, pathPrefix]);
+  return data.flatMap((row, rowIndex) => {
+    if (typeof row !== 'object' || row === null) {
+      return flattenRow(row, rowIndex, headers, pathPrefix);
+    }
+    let cached = flatRowCache.get(row);
+    if (!cached) {
+      cached = new Map();
+      flatRowCache.set(row, cached);
+    }
+    const key = `${rowIndex}:${columnsKey}`;
+    if (!cached.has(key)) {
+      cached.set(key, flattenRow(row, rowIndex, headers, pathPrefix));
+    }
+    return cached.get(key);
+  });
+}
+
+/**
+ * Infers the value type of every column from its flat rows, see `inferValueType`.
+ * @returns {object} Value type per header key.
+ */
+export function getColumnTypes(headers, flatRows) {
+  const types = {};
+  headers.forEach(header => {
+    const headerKey = getHeaderKey(header);
+    const values = flatRows.map(row => row[headerKey]?.value);
+    if (isComputedColumn(header)) {
+      // A formula's numbers are plain, so they sort and add up the way amounts do.
+      const type = inferValueType(header.name, values);
+      const numbers = values.filter(value => value !== undefined && value !== '');
+      const isNumeric = numbers.length > 0 && numbers.every(value => value.trim() !== '' && !Number.isNaN(Number(value)));
+      types[headerKey] = type === 'text' && isNumeric ? 'amount' : type;
+      return;
+    }
+    types[headerKey] = inferValueType(typeof header === 'object' ? header.child : header, values);
+  });
+  return types;
+}
+
+// The popovers only store valid queries, but one written before the query language
+// had operators may not parse; it is then searched for as typed.
+function parseStoredQuery(query) {
+  try {
+    return parseFilterQuery(query);
+  } catch {
+    return { type: 'phrase', value: query.trim().toLowerCase() };
+  }
+}
+
+/**
+ * Parses the stored filters of a table (`tableFilters[pathKey]`) into
+ * { [headerKey]: { type, key, conditions } }, `conditions` being null for an empty query.
+ * @returns {object|null} null when the table has no filters.
+ */
+export function parseTableFilters(filtersForTable) {
+  if (!filtersForTable) return null;
+
+  const parsed = {};
+  for (const headerKey in filtersForTable) {
+    const filterConfig = filtersForTable[headerKey];
+    if (typeof filterConfig === 'object' && filterConfig.type) {
+      parsed[headerKey] = {
+        type: filterConfig.type,
+        key: filterConfig.key,
+        conditions: parseStoredQuery(filterConfig.query || ''),
+      };
+    } else if (filterConfig && typeof filterConfig !== 'object') {
+      parsed[headerKey] = {
+        type: 'simple',
+        conditions: parseStoredQuery(String(filterConfig)),
+      };
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Applies a table's filters and returns the flat rows to show.
+ * @param {Array<*>} data The table's source array.
+ * @param {Array<string|object>} headers The column definitions.
+ * @param {Array<string|number>} pathPrefix The path of the source array.
+ * @param {object|null} parsedFilters The result of `parseTableFilters`.
+ * @param {Array<object>} allFlatRows The unfiltered flat rows, from `flattenRows`.
+ * @returns {Array<object>} The visible flat rows.
+ */
+export function filterTableRows(data, headers, pathPrefix, parsedFilters, allFlatRows) {
+  if (!parsedFilters) return allFlatRows;
+
+  // STAGE 1: Apply 'table' filters, which transform the data itself.
+  // Rows are kept as [originalIndex, row] pairs so that paths and row actions still
+  // point at the right item in the document after rows have been filtered out.
+  const tableTypeFilters = Object.entries(parsedFilters).filter(
+    ([, filter]) => filter.type === 'table' && filter.conditions
+  );
+
+  let flatRows = allFlatRows;
+  if (tableTypeFilters.length > 0) {
+    // IMPORTANT: Deep copy to avoid mutating original state.
+    let currentData = data.map((row, rowIndex) => [rowIndex, JSON.parse(JSON.stringify(row))]);
+    // Nested arrays are replaced by their matching items in the copy. The index each
+    // item had in the document is kept alongside, so that cell paths still point at it.
+    const originalIndexes = new WeakMap();
+
+    for (const [headerKey, filter] of tableTypeFilters) {
+      if (!filter.key) continue;
+
+      const headerDefinition = headers.find(h => getHeaderKey(h) === headerKey);
+      if (!headerDefinition) continue;
+
+      // This path is relative to each row in `currentData`
+      const pathSegments = typeof headerDefinition === 'object' && headerDefinition.parent
+        ? [...headerDefinition.parent, headerDefinition.child]
+        : [headerDefinition];
+
+      currentData = currentData.map(([rowIndex, parentRow]) => {
+        const { value: nestedData, actualPath } = caseInsensitiveGet(parentRow, pathSegments);
+
+        // Treat single objects as an array of one for consistent filtering.
+        const nestedArray = Array.isArray(nestedData)
+          ? nestedData
+          : (nestedData !== undefined && nestedData !== null ? [nestedData] : []);
+
+        if (nestedArray.length === 0 || !actualPath) {
+          return [rowIndex, parentRow]; // No filterable data at this path.
+        }
+
+        const filteredNestedArray = [];
+        const filteredIndexes = [];
+        nestedArray.forEach((nestedItem, itemIndex) => {
+          if (!checkPathInObject(nestedItem, filter.key, filter.conditions)) return;
+          filteredNestedArray.push(nestedItem);
+          filteredIndexes.push(originalIndexes.get(nestedData)?.[itemIndex] ?? itemIndex);
+        });
+
+        if (filteredNestedArray.length === 0) {
+          return null; // This parent row will be removed.
+        }
+
+        // Restore original data structure: if original was not an array, and result is 1, keep it as an object.
+        const finalNestedValue = !Array.isArray(nestedData) && filteredNestedArray.length === 1
+          ? filteredNestedArray[0]
+          : filteredNestedArray;
+
+        // Update the cloned parent row with the filtered nested data.
+        let objectToModify = parentRow;
+        for (let i = 0; i < actualPath.length - 1; i++) {
+          objectToModify = objectToModify[actualPath[i]];
+        }
+        const keyToUpdate = actualPath[actualPath.length - 1];
+        objectToModify[keyToUpdate] = finalNestedValue;
+        if (Array.isArray(finalNestedValue)) originalIndexes.set(finalNestedValue, filteredIndexes);
+
+        return [rowIndex, parentRow];
+
+      }).filter(Boolean); // Filter out the nulls (rows to be removed).
+    }
+
+    // Recalculate flat rows based on the transformed data.
+    flatRows = currentData.flatMap(([rowIndex, row]) => flattenRow(row, rowIndex, headers, pathPrefix, originalIndexes));
+  }
+
+  // STAGE 2: Apply 'simple', 'advanced' and 'record' filters for row visibility.
+  const visibilityFilters = Object.entries(parsedFilters).filter(
+    ([, filter]) => (filter.type === 'simple' || filter.type === 'advanced' || filter.type === 'record') && filter.conditions
+  );
+
+  if (visibilityFilters.length === 0) {
+    return flatRows;
+  }
+
+  return flatRows.filter(flatRow => {
+    // A row must match EVERY active visibility filter.
+    return visibilityFilters.every(([headerKey, filter]) => {
+      if (filter.type === 'simple') {
+        return testValue(flatRow[headerKey]?.value, filter.conditions);
+      }
+
+      if (filter.type === 'advanced') {
+        // For advanced filters, we check the original data structure for context.
+        const originalRow = data[flatRow.__originalIndex];
+        if (!originalRow) return false;
+        const { value: columnData } = caseInsensitiveGet(originalRow, [headerKey]);
+        if (columnData === undefined || columnData === null) return false;
+        return checkPathInObject(columnData, filter.key, filter.conditions);
+      }
+
+      if (filter.type === 'record') {
+        // Only rows holding a record of the given kind, e.g. TALLYMESSAGEs with a VOUCHER.
+        const originalRow = data[flatRow.__originalIndex];
+        if (!originalRow) return false;
+        return caseInsensitiveGet(originalRow, filter.key).value !== undefined;
+      }
+
+      return true; // Should not happen
+    });
+  });
+}
+
+/**
+ * Groups consecutive flat rows of the same source row.
+ * @returns {Array<{index: number, rows: Array<object>}>} One group per source row.
+ */
+export function groupFlatRows(flatRows) {
+  const groups = [];
+  flatRows.forEach(row => {
+    const group = groups[groups.length - 1];
+    if (group && group.index === row.__originalIndex) {
+      group.rows.push(row);
+    } else {
+      groups.push({ index: row.__originalIndex, rows: [row] });
+    }
+  });
+  return groups;
+}
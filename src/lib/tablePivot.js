@@ -0,0 +1,107 @@
+import { fromTallyDate } from './valueTypes';
+import { toExactQuery } from './filterParser';
+import { aggregateColumn, resolveAggregate } from './tableAggregates';
+
+/*
+ * The pivot mode of DataTable: the table's rows grouped by the values of some of its
+ * columns (the dimensions), with aggregates of others (the measures) for every group.
+ * A pivot is configured per table as
+ * `{ dimensions: [{ key, by }], measures: [{ key, aggregate }], isActive }`.
+ */
+
+// How a date dimension groups its values.
+export const DATE_GROUPINGS = {
+  value: 'Day',
+  month: 'Month',
+  year: 'Year',
+};
+
+const textCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// The group of a row for one dimension: its key, what to show for it, and the filter
+// query that picks its rows out of the table. Values are grouped ignoring case, as
+// Tally treats names.
+function getGroupOf(row, dimension, type) {
+  let value = row[dimension.key]?.value;
+  if (typeof value === 'object' && value !== null && !Array.isArray(value)) value = value['#text'];
+  const text = typeof value === 'object' || value === undefined || value === null ? '' : String(value).trim();
+  if (text === '') return { key: '', label: '(empty)', query: toExactQuery('') };
+
+  if (type === 'date' && dimension.by !== 'value' && fromTallyDate(text)) {
+    if (dimension.by === 'year') {
+      const year = text.slice(0, 4);
+      return { key: year, label: year, query: `${year}0101..${year}1231` };
+    }
+    const month = text.slice(0, 6);
+    return { key: month, label: `${text.slice(0, 4)}-${text.slice(4, 6)}`, query: `${month}01..${month}31` };
+  }
+  return { key: text.toLowerCase(), label: text, query: toExactQuery(text) };
+}
+
+function summarize(rows, measures, columnTypes) {
+  return {
+    records: new Set(rows.map(row => row.__originalIndex)).size,
+    values: measures.map(measure => {
+      const type = columnTypes[measure.key];
+      return aggregateColumn(rows, measure.key, type, resolveAggregate(type, measure.aggregate));
+    }),
+  };
+}
+
+/**
+ * Groups table rows for a pivot.
+ * @param {Array<object>} rows The flat rows, as the table's filters let them through.
+ * @param {Array<{key: string, by: string}>} dimensions The columns to group by, outermost
+ *   first; `by` is a key of `DATE_GROUPINGS` for date columns.
+ * @param {Array<{key: string, aggregate: string}>} measures The columns to aggregate, see
+ *   `AGGREGATES`.
+ * @param {object} columnTypes The value type of each column, by header key.
+ * @returns {{total: object, groups: Array<object>}} The summary of all rows, and the groups
+ *   of the first dimension. A summary has the number of `records` (source rows) and the
+ *   `values` of the measures, as `aggregateColumn` returns them; a group is a summary
+ *   with its `id`, `label`, `level`, the `filters` (`[{ key, query }]`) that pick its
+ *   rows, and its subgroups as `children` (null in the last dimension). Groups are sorted
+ *   by label, with the empty group last.
+ */
+export function buildPivot(rows, dimensions, measures, columnTypes) {
+  const buildGroups = (groupRows, level, parent) => {
+    if (level === dimensions.length) return null;
+    const dimension = dimensions[level];
+    const byKey = new Map();
+    groupRows.forEach(row => {
+      const group = getGroupOf(row, dimension, columnTypes[dimension.key]);
+      if (!byKey.has(group.key)) byKey.set(group.key, { ...group, rows: [] });
+      byKey.get(group.key).rows.push(row);
+    });
+
+    return [...byKey.values()]
+      .sort((a, b) => (a.key === '') - (b.key === '') || textCollator.compare(a.label, b.label))
+      .map(group => {
+        const id = `${parent.id}/${group.key}`;
+        const filters = [...parent.filters, { key: dimension.key, query: group.query }];
+        return {
+          id,
+          label: group.label,
+          level,
+          filters,
+          ...summarize(group.rows, measures, columnTypes),
+          children: buildGroups(group.rows, level + 1, { id, filters }),
+        };
+      });
+  };
+
+  return {
+    total: summarize(rows, measures, columnTypes),
+    groups: buildGroups(rows, 0, { id: '', filters: [] }) || [],
+  };
+}
+
+/**
+ * Combines the filter of a column with one more condition, which rows must also meet.
+ * @param {string|undefined} existing The column's current filter query.
+ * @param {string} query The condition to add.
+ * @returns {string} The new query.
+ */
+export function narrowFilter(existing, query) {
+  return typeof existing === 'string' && existing.trim() ? `(${existing}) AND ${query}` : query;
+}
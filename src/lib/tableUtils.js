@@ -0,0 +1,134 @@
+import { getSortKey } from './valueTypes';
+
+// Helper to get all unique keys from an array of objects or a single object
+export const getHeadersFromAllItems = (data) => {
+  const dataArray = Array.isArray(data) 
+    ? data 
+    : (typeof data === 'object' && data !== null ? [data] : []);
+    
+  if (dataArray.length === 0) return [];
+  const headerSet = new Set();
+  
+  dataArray.forEach(item => {
+    if (typeof item === 'object' && item !== null) {
+      // Add child node keys
+      Object.keys(item).forEach(key => {
+        if (key !== '@attributes' && key !== '#text') {
+          headerSet.add(key);
+        }
+      });
+      // Add attribute keys, prefixed with '@'
+      if (item['@attributes']) {
+        Object.keys(item['@attributes']).forEach(attrKey => {
+          headerSet.add(`@${attrKey}`);
+        });
+      }
+      // If there's a text value, add '#text' as a possible column
+      if (typeof item['#text'] === 'string' && item['#text'].trim() !== '') {
+          headerSet.add('#text');
+      }
+    } else if (item !== null && item !== undefined) {
+      // For arrays of primitives like <FOO>a</FOO><FOO>b</FOO>
+      headerSet.add('value');
+    }
+  });
+
+  return Array.from(headerSet).sort((a, b) => {
+    const isAAttr = a.startsWith('@');
+    const isBAttr = b.startsWith('@');
+    if (isAAttr && !isBAttr) return -1;
+    if (!isAAttr && isBAttr) return 1;
+    if (a === '#text' || a === 'value') return -1;
+    if (b === '#text' || b === 'value') return 1;
+    return a.localeCompare(b);
+  });
+};
+
+/**
+ * Builds an empty item shaped like the given siblings: every attribute and child
+ * element found on any of them (as discovered by `getHeadersFromAllItems`), in the
+ * order they first appear, with empty values. Nested elements are shaped from all of
+ * their counterparts, so a blank voucher comes with a blank ledger entry.
+ * @param {Array<*>} items The existing items of the collection.
+ * @returns {object|string} The blank item; '' for collections of primitives.
+ */
+export function createBlankRow(items) {
+  const headers = new Set(getHeadersFromAllItems(items));
+  headers.delete('value');
+  if (headers.size === 0) return '';
+
+  const row = {};
+  items.forEach(item => {
+    if (typeof item !== 'object' || item === null) return;
+    Object.keys(item['@attributes'] || {}).forEach(attrKey => {
+      row['@attributes'] = { ...row['@attributes'], [attrKey]: '' };
+    });
+    Object.keys(item).forEach(key => {
+      if (!headers.has(key) || key in row) return;
+      if (key === '#text') {
+        row[key] = '';
+        return;
+      }
+      const counterparts = items
+        .flatMap(other => (typeof other === 'object' && other !== null ? [other[key]] : []))
+        .flat()
+        .filter(value => typeof value === 'object' && value !== null);
+      row[key] = counterparts.length > 0 ? createBlankRow(counterparts) : '';
+    });
+  });
+  return row;
+}
+
+/**
+ * Key under which a table keeps its 'record' filter in `tableFilters`. The filter
+ * ({ type: 'record', key, query }) only shows rows that have a child at `key`, e.g.
+ * the TALLYMESSAGE items that hold a VOUCHER.
+ */
+export const RECORD_FILTER_KEY = '#record';
+
+// Compares text the way people expect: case-insensitively and with "2" before "10".
+const textCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Sorts the flat rows of a table. Flat rows of one source row (as produced when
+ * nested columns expand a row) stay together: they are sorted among themselves, and
+ * groups are ordered by their first row. Empty values sort last in both directions,
+ * and rows that compare equal keep their source order.
+ * @param {Array<object>} flatRows Flat rows, grouped by `__originalIndex`.
+ * @param {Array<{key: string, direction: 'asc'|'desc'}>} sorts Sort keys, most significant first.
+ * @param {object} columnTypes Value type per header key, see `inferValueType`.
+ * @returns {Array<object>} The sorted rows; `flatRows` itself when there is nothing to sort by.
+ */
+export function sortFlatRows(flatRows, sorts, columnTypes) {
+  if (!sorts || sorts.length === 0) return flatRows;
+
+  const compareRows = (a, b) => {
+    for (const { key, direction } of sorts) {
+      const keyA = getSortKey(columnTypes[key], a[key]?.value);
+      const keyB = getSortKey(columnTypes[key], b[key]?.value);
+      if (keyA === keyB) continue;
+      if (keyA === null) return 1;
+      if (keyB === null) return -1;
+      const result = typeof keyA === 'number' && typeof keyB === 'number'
+        ? keyA - keyB
+        : textCollator.compare(String(keyA), String(keyB));
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return 0;
+  };
+
+  const groups = [];
+  flatRows.forEach(row => {
+    const group = groups[groups.length - 1];
+    if (group && group[0].__originalIndex === row.__originalIndex) {
+      group.push(row);
+    } else {
+      groups.push([row]);
+    }
+  });
+
+  return groups
+    .map(group => [...group].sort(compareRows))
+    .sort((a, b) => compareRows(a[0], b[0]))
+    .flat();
+}
@@ -0,0 +1,210 @@
+import get from 'lodash.get';
+
+/**
+ * Tally masters and vouchers the editor recognises, in the order they are offered
+ * for quick navigation, with the columns a new table of them starts with and the
+ * fields that identify a record across two files (`matchBy`, tried in order; a field
+ * list names a record only when every field of it is set).
+ */
+export const TALLY_RECORD_TYPES = {
+  VOUCHER: {
+    label: 'Vouchers',
+    icon: 'receipt_long',
+    columns: ['DATE', 'VOUCHERTYPENAME', 'VOUCHERNUMBER', 'PARTYLEDGERNAME', 'AMOUNT', 'ALLLEDGERENTRIES.LIST', 'LEDGERENTRIES.LIST'],
+    // Voucher numbers repeat across voucher types, so a number alone names no voucher.
+    matchBy: [['GUID'], ['REMOTEID'], ['VOUCHERTYPENAME', 'VOUCHERNUMBER']],
+  },
+  LEDGER: {
+    label: 'Ledgers',
+    icon: 'account_balance',
+    columns: ['@NAME', 'PARENT', 'OPENINGBALANCE', 'PARTYGSTIN', 'STATENAME'],
+    matchBy: [['NAME']],
+  },
+  STOCKITEM: {
+    label: 'Stock Items',
+    icon: 'inventory_2',
+    columns: ['@NAME', 'PARENT', 'CATEGORY', 'BASEUNITS', 'OPENINGBALANCE', 'OPENINGRATE', 'OPENINGVALUE'],
+    matchBy: [['NAME']],
+  },
+  GROUP: {
+    label: 'Groups',
+    icon: 'folder',
+    columns: ['@NAME', 'PARENT', 'ISREVENUE', 'AFFECTSGROSSPROFIT'],
+    matchBy: [['NAME']],
+  },
+  COSTCENTRE: {
+    label: 'Cost Centres',
+    icon: 'hub',
+    columns: ['@NAME', 'PARENT', 'CATEGORY'],
+    matchBy: [['NAME']],
+  },
+  UNIT: {
+    label: 'Units',
+    icon: 'straighten',
+    columns: ['@NAME', 'ORIGINALNAME', 'ISSIMPLEUNIT', 'BASEUNITS', 'ADDITIONALUNITS', 'CONVERSION', 'DECIMALPLACES'],
+    matchBy: [['NAME']],
+  },
+};
+
+/**
+ * The `.LIST` sub-collections of Tally records, with their default columns.
+ */
+export const TALLY_LIST_TYPES = {
+  'ALLLEDGERENTRIES.LIST': { label: 'Ledger Entries', columns: ['LEDGERNAME', 'ISDEEMEDPOSITIVE', 'AMOUNT'] },
+  'LEDGERENTRIES.LIST': { label: 'Ledger Entries', columns: ['LEDGERNAME', 'ISDEEMEDPOSITIVE', 'AMOUNT'] },
+  'ALLINVENTORYENTRIES.LIST': { label: 'Inventory Entries', columns: ['STOCKITEMNAME', 'ISDEEMEDPOSITIVE', 'ACTUALQTY', 'BILLEDQTY', 'RATE', 'AMOUNT'] },
+  'INVENTORYENTRIES.LIST': { label: 'Inventory Entries', columns: ['STOCKITEMNAME', 'ISDEEMEDPOSITIVE', 'ACTUALQTY', 'BILLEDQTY', 'RATE', 'AMOUNT'] },
+  'BATCHALLOCATIONS.LIST': { label: 'Batch Allocations', columns: ['GODOWNNAME', 'BATCHNAME', 'ACTUALQTY', 'BILLEDQTY', 'AMOUNT'] },
+  'ACCOUNTINGALLOCATIONS.LIST': { label: 'Accounting Allocations', columns: ['LEDGERNAME', 'ISDEEMEDPOSITIVE', 'AMOUNT'] },
+  'BILLALLOCATIONS.LIST': { label: 'Bill Allocations', columns: ['NAME', 'BILLTYPE', 'AMOUNT'] },
+  'BANKALLOCATIONS.LIST': { label: 'Bank Allocations', columns: ['DATE', 'INSTRUMENTDATE', 'TRANSACTIONTYPE', 'INSTRUMENTNUMBER', 'AMOUNT'] },
+  'CATEGORYALLOCATIONS.LIST': { label: 'Cost Category Allocations', columns: ['CATEGORY', 'COSTCENTREALLOCATIONS.LIST'] },
+  'COSTCENTREALLOCATIONS.LIST': { label: 'Cost Centre Allocations', columns: ['NAME', 'AMOUNT'] },
+  'ADDRESS.LIST': { label: 'Address', columns: ['ADDRESS'] },
+  'LANGUAGENAME.LIST': { label: 'Names', columns: ['NAME.LIST'] },
+};
+
+/**
+ * Returns the default columns for a table of the given record or `.LIST` type,
+ * limited to the headers the data actually has (matched case-insensitively).
+ * @param {string} name The tag name of the rows, e.g. 'VOUCHER' or 'ALLLEDGERENTRIES.LIST'.
+ * @param {Array<string>} availableHeaders Headers found by `getHeadersFromAllItems`.
+ * @returns {Array<string>} The default columns, empty for unknown types.
+ */
+export function getDefaultColumns(name, availableHeaders) {
+  const type = TALLY_RECORD_TYPES[name] || TALLY_LIST_TYPES[name];
+  if (!type) return [];
+  return type.columns
+    .map(column => availableHeaders.find(header => header.toLowerCase() === column.toLowerCase()))
+    .filter(Boolean);
+}
+
+/**
+ * Finds every collection of Tally records in a document. Tally writes records in two
+ * ways: one record per TALLYMESSAGE (a table of TALLYMESSAGE items, with the record
+ * under `parent` in each row), or many records under a single TALLYMESSAGE (a table
+ * of the records themselves, with an empty `parent`).
+ * @param {object} doc The parsed document.
+ * @returns {Array<{type: string, path: Array<string|number>, parent: Array<string>, count: number}>}
+ *   One entry per collection, in `TALLY_RECORD_TYPES` order.
+ */
+export function findTallyCollections(doc) {
+  const collections = new Map();
+
+  const add = (type, path, parent, count) => {
+    const key = `${type}:${JSON.stringify(path)}`;
+    if (collections.has(key)) {
+      collections.get(key).count += count;
+    } else {
+      collections.set(key, { type, path, parent, count });
+    }
+  };
+
+  // `arrayPath` is the path of the array `node` is an item of, if any.
+  const visit = (node, path, arrayPath) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => visit(item, [...path, index], path));
+      return;
+    }
+    if (typeof node !== 'object' || node === null) return;
+
+    for (const key of Object.keys(node)) {
+      if (key === '@attributes' || key === '#text') continue;
+      const value = node[key];
+      if (!TALLY_RECORD_TYPES[key]) {
+        visit(value, [...path, key], null);
+        continue;
+      }
+      // Records are not searched for nested records.
+      const count = Array.isArray(value) ? value.length : 1;
+      if (arrayPath) {
+        add(key, arrayPath, [key], count);
+      } else {
+        add(key, [...path, key], [], count);
+      }
+    }
+  };
+
+  visit(doc, [], null);
+
+  const typeOrder = Object.keys(TALLY_RECORD_TYPES);
+  return Array.from(collections.values()).sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type));
+}
+
+/**
+ * Lists every record of the given type with its path in the document.
+ * @param {object} doc The parsed document.
+ * @param {string} type One of the `TALLY_RECORD_TYPES` keys.
+ * @returns {Array<{path: Array<string|number>, record: object}>}
+ */
+export function findTallyRecords(doc, type) {
+  const records = [];
+  findTallyCollections(doc)
+    .filter(collection => collection.type === type)
+    .forEach(({ path, parent }) => {
+      const container = get(doc, path);
+      const rows = Array.isArray(container) ? container.map((row, index) => [row, [...path, index]]) : [[container, path]];
+      rows.forEach(([row, rowPath]) => {
+        const value = parent.length > 0 ? get(row, parent) : row;
+        if (Array.isArray(value)) {
+          value.forEach((record, index) => records.push({ path: [...rowPath, ...parent, index], record }));
+        } else if (value !== undefined) {
+          records.push({ path: parent.length > 0 ? [...rowPath, ...parent] : rowPath, record: value });
+        }
+      });
+    });
+  return records;
+}
+
+const textOf = (value) => (typeof value === 'object' && value !== null ? value['#text'] : value);
+
+/**
+ * Reads a field of a record that Tally may write either as a child element or as an
+ * attribute, such as a master's NAME or a voucher's REMOTEID.
+ * @returns {string} The trimmed value, or '' if the record has neither.
+ */
+export function getRecordField(record, field) {
+  const child = textOf(record?.[field]);
+  const value = child !== undefined && child !== null && String(child).trim() !== ''
+    ? child
+    : record?.['@attributes']?.[field];
+  return String(value ?? '').trim();
+}
+
+/**
+ * Parses a Tally amount. Amounts are signed (negative for debits) and may carry a
+ * currency symbol, thousands separators or a forex expression such as
+ * "-$ 100.00 @ ₹ 82.00/$ = -₹ 8200.00", in which case the converted amount is used.
+ * @param {*} value The AMOUNT element's value.
+ * @returns {number|null} The amount, null if empty, or NaN if it is not a number.
+ */
+export function parseTallyAmount(value) {
+  const raw = textOf(value);
+  if (raw === undefined || raw === null || String(raw).trim() === '') return null;
+  let text = String(raw);
+  const equals = text.lastIndexOf('=');
+  if (equals !== -1) text = text.slice(equals + 1);
+  const cleaned = text.replace(/[^\d.-]/g, '');
+  return /^-?\d*\.?\d+$/.test(cleaned) ? Number(cleaned) : NaN;
+}
+
+/**
+ * Reads a Tally Yes/No flag such as ISDEEMEDPOSITIVE.
+ * @returns {boolean|null} null when the flag is missing or holds something else.
+ */
+export function parseTallyFlag(value) {
+  const text = String(textOf(value) ?? '').trim().toLowerCase();
+  if (text === 'yes') return true;
+  if (text === 'no') return false;
+  return null;
+}
+
+/**
+ * A short human readable name for a voucher, e.g. "Sales 112 (20240401)".
+ */
+export function describeVoucher(voucher) {
+  const type = textOf(voucher?.VOUCHERTYPENAME) || voucher?.['@attributes']?.VCHTYPE || 'Voucher';
+  const number = textOf(voucher?.VOUCHERNUMBER);
+  const date = textOf(voucher?.DATE);
+  return [type, number, date && `(${date})`].filter(Boolean).join(' ');
+}
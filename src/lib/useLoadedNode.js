@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import get from 'lodash.get';
+import useStore from './store';
+import { hasLazyNodes } from './documentTransfer';
+
+/**
+ * Loads the node at `path` of a lazily opened document before it is shown.
+ * @param {Array<string|number>|null} path The node to load.
+ * @param {boolean} deep Whether everything below the node is needed too, as for a table;
+ *   otherwise only the node itself is loaded.
+ * @returns {{loading: boolean, error: string|null}} Whether the node is still being
+ *   loaded, and why loading failed.
+ */
+export default function useLoadedNode(path, deep) {
+  const xmlDoc = useStore.use.xmlDoc();
+  const node = path && xmlDoc?.source ? get(xmlDoc.doc, path) : undefined;
+  const pending = hasLazyNodes(node, deep);
+  const pathKey = path ? JSON.stringify(path) : null;
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!pending) return;
+    setError(null);
+    useStore.getState().loadLazyNode(JSON.parse(pathKey), deep)
+      .catch(e => {
+        if (e.name !== 'AbortError') setError(e.message);
+      });
+  }, [pending, node, pathKey, deep]);
+
+  return { loading: pending && !error, error: pending ? error : null };
+}
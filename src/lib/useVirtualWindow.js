@@ -0,0 +1,94 @@
+import { useState, useEffect, useMemo } from 'react';
+
+// Lists up to this many items are rendered in full.
+const MIN_VIRTUAL_ITEMS = 100;
+
+/**
+ * The nearest ancestor of an element that scrolls vertically.
+ */
+export function getScrollParent(element) {
+  let node = element.parentElement;
+  while (node && node !== document.body) {
+    const { overflowY } = getComputedStyle(node);
+    if (overflowY === 'auto' || overflowY === 'scroll') return node;
+    node = node.parentElement;
+  }
+  return document.scrollingElement || document.documentElement;
+}
+
+/**
+ * Windowed rendering for long lists: works out which items are within (or near) the
+ * visible part of the list's scroll container, so only those need to be rendered. The
+ * space of the others is kept by spacers of the returned heights.
+ * @param {React.RefObject<HTMLElement>} anchorRef The element the items are rendered in.
+ *   Its nearest scrollable ancestor is watched.
+ * @param {Array<number>} sizes The (estimated) height of each item in pixels.
+ * @param {number} [overscan=600] Pixels rendered beyond each edge of the viewport.
+ * @returns {{start: number, end: number, before: number, after: number}} The items
+ *   [start, end) to render, and the heights of the space before and after them.
+ */
+export default function useVirtualWindow(anchorRef, sizes, overscan = 600) {
+  const [viewport, setViewport] = useState({ top: 0, height: window.innerHeight });
+  const count = sizes.length;
+  const isVirtual = count > MIN_VIRTUAL_ITEMS;
+
+  useEffect(() => {
+    const anchor = anchorRef.current;
+    if (!anchor || !isVirtual) return undefined;
+    const scroller = getScrollParent(anchor);
+
+    let frame = null;
+    const update = () => {
+      frame = null;
+      const scrollerTop = scroller === document.scrollingElement ? 0 : scroller.getBoundingClientRect().top;
+      const top = scrollerTop - anchor.getBoundingClientRect().top;
+      const height = scroller.clientHeight;
+      setViewport(prev => (Math.abs(prev.top - top) < 1 && prev.height === height ? prev : { top, height }));
+    };
+    const scheduleUpdate = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    scroller.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+    return () => {
+      scroller.removeEventListener('scroll', scheduleUpdate);
+      window.removeEventListener('resize', scheduleUpdate);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [anchorRef, isVirtual]);
+
+  // offsets[i] is the top of item i; offsets[sizes.length] is the total height.
+  const offsets = useMemo(() => {
+    const result = new Array(sizes.length + 1);
+    result[0] = 0;
+    for (let i = 0; i < sizes.length; i++) result[i + 1] = result[i] + sizes[i];
+    return result;
+  }, [sizes]);
+
+  if (!isVirtual) {
+    return { start: 0, end: count, before: 0, after: 0 };
+  }
+
+  // The first item whose bottom edge is below `y`.
+  const findItem = (y) => {
+    let low = 0;
+    let high = count;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (offsets[mid + 1] <= y) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  const start = findItem(viewport.top - overscan);
+  const end = Math.min(count, findItem(viewport.top + viewport.height + overscan) + 1);
+  return {
+    start,
+    end,
+    before: offsets[start],
+    after: offsets[count] - offsets[end],
+  };
+}
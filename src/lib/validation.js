@@ -0,0 +1,129 @@
+import { findTallyRecords, parseTallyAmount, parseTallyFlag, describeVoucher } from './tallySchema';
+import { hasLazyNodes } from './documentTransfer';
+
+/*
+ * Checks the document for mistakes that make Tally reject an import. Each problem is
+ * { severity: 'error' | 'warning', message, path, voucherPath, label }, where `path`
+ * points at the offending node (a voucher or one of its entries) and `label` names
+ * the voucher it belongs to.
+ */
+
+const LEDGER_LISTS = ['ALLLEDGERENTRIES.LIST', 'LEDGERENTRIES.LIST'];
+const INVENTORY_LISTS = ['ALLINVENTORYENTRIES.LIST', 'INVENTORYENTRIES.LIST'];
+
+// Amounts are compared in paise so that sums of two-decimal values are exact.
+const toPaise = (amount) => Math.round(amount * 100);
+const formatPaise = (paise) => (paise / 100).toFixed(2);
+
+// The items of the given .LIST collections of a node, with their paths.
+function listEntries(node, nodePath, names) {
+  const entries = [];
+  names.forEach(name => {
+    const value = node?.[name];
+    if (Array.isArray(value)) {
+      value.forEach((entry, index) => entries.push({ entry, path: [...nodePath, name, index] }));
+    } else if (typeof value === 'object' && value !== null) {
+      entries.push({ entry: value, path: [...nodePath, name] });
+    }
+  });
+  return entries;
+}
+
+function validateVoucher(voucher, voucherPath, problems) {
+  const label = describeVoucher(voucher);
+  const report = (severity, message, path = voucherPath) => {
+    problems.push({ severity, message, path, voucherPath, label });
+  };
+
+  // Reads an entry's AMOUNT in paise, reporting amounts that cannot be read.
+  const readAmount = (entry, path, name) => {
+    const amount = parseTallyAmount(entry.AMOUNT);
+    if (amount === null) return 0;
+    if (Number.isNaN(amount)) {
+      report('error', `${name}: AMOUNT "${entry.AMOUNT}" is not a number.`, path);
+      return 0;
+    }
+    // Tally stores debits as negative amounts and marks them with ISDEEMEDPOSITIVE=Yes.
+    const deemedPositive = parseTallyFlag(entry.ISDEEMEDPOSITIVE);
+    if ((deemedPositive === true && amount > 0) || (deemedPositive === false && amount < 0)) {
+      report('warning', `${name}: ISDEEMEDPOSITIVE is ${deemedPositive ? 'Yes' : 'No'} but AMOUNT is ${amount > 0 ? 'positive' : 'negative'}.`, path);
+    }
+    return toPaise(amount);
+  };
+
+  // An entry's allocations must add up to the entry itself.
+  const checkAllocations = (entry, path, name, amount, listName, what) => {
+    const allocations = listEntries(entry, path, [listName]);
+    if (allocations.length === 0) return;
+    const total = allocations.reduce((sum, allocation) => sum + readAmount(allocation.entry, allocation.path, `${name} ${what}`), 0);
+    if (total !== amount) {
+      report('error', `${name}: ${what} total ${formatPaise(total)} but the entry amount is ${formatPaise(amount)}.`, path);
+    }
+  };
+
+  let debit = 0;
+  let credit = 0;
+  const addToTotals = (amount) => {
+    if (amount < 0) debit -= amount;
+    else credit += amount;
+  };
+
+  const ledgerEntries = listEntries(voucher, voucherPath, LEDGER_LISTS);
+  ledgerEntries.forEach(({ entry, path }) => {
+    const name = entry.LEDGERNAME || 'Ledger entry';
+    const amount = readAmount(entry, path, name);
+    checkAllocations(entry, path, name, amount, 'INVENTORYALLOCATIONS.LIST', 'inventory allocations');
+    addToTotals(amount);
+  });
+
+  const inventoryEntries = listEntries(voucher, voucherPath, INVENTORY_LISTS);
+  inventoryEntries.forEach(({ entry, path }) => {
+    const name = entry.STOCKITEMNAME || 'Inventory entry';
+    const amount = readAmount(entry, path, name);
+    checkAllocations(entry, path, name, amount, 'ACCOUNTINGALLOCATIONS.LIST', 'accounting allocations');
+    checkAllocations(entry, path, name, amount, 'BATCHALLOCATIONS.LIST', 'batch allocations');
+    addToTotals(amount);
+  });
+
+  if (ledgerEntries.length + inventoryEntries.length > 0 && debit !== credit) {
+    report('error', `Voucher does not balance: debits ${formatPaise(debit)}, credits ${formatPaise(credit)} (difference ${formatPaise(Math.abs(debit - credit))}).`);
+  }
+}
+
+const cache = new WeakMap();
+
+/**
+ * Validates every voucher in the document. Results are cached per document object,
+ * which every edit replaces, so components can call this on each render. Vouchers of
+ * a lazily opened document are checked once they are loaded whole.
+ * @param {object} doc The parsed document.
+ * @returns {Array<object>} The problems found, in document order.
+ */
+export function validateDocument(doc) {
+  if (!doc) return [];
+  if (cache.has(doc)) return cache.get(doc);
+
+  const problems = [];
+  findTallyRecords(doc, 'VOUCHER')
+    .filter(({ record }) => !hasLazyNodes(record))
+    .forEach(({ path, record }) => validateVoucher(record, path, problems));
+  cache.set(doc, problems);
+  return problems;
+}
+
+/**
+ * Groups problems by the row of the table at `pathPrefix` they fall in.
+ * @returns {Map<number, Array<object>>} Row index to the problems within that row.
+ */
+export function getProblemsByRow(problems, pathPrefix) {
+  const byRow = new Map();
+  problems.forEach(problem => {
+    if (problem.path.length <= pathPrefix.length) return;
+    if (!pathPrefix.every((segment, i) => String(problem.path[i]) === String(segment))) return;
+    const index = Number(problem.path[pathPrefix.length]);
+    if (Number.isNaN(index)) return;
+    if (!byRow.has(index)) byRow.set(index, []);
+    byRow.get(index).push(problem);
+  });
+  return byRow;
+}
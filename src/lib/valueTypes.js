@@ -0,0 +1,160 @@
+import { parseTallyAmount } from './tallySchema';
+
+/*
+ * Value types of Tally fields, used to pick a cell editor and to flag values that
+ * Tally would not accept. A type is inferred per column from the field name and the
+ * values it holds; anything that is not clearly typed stays 'text'.
+ */
+
+export const VALUE_TYPES = ['text', 'date', 'amount', 'quantity', 'rate', 'flag'];
+
+const NUMBER_PATTERN = /^-?\d*\.?\d+$/;
+const UNIT_PATTERN = /^[A-Za-z][\w.-]*$/;
+// "10 Nos", "-2.5 Kgs"
+const QUANTITY_PATTERN = /^\s*(-?[\d,]*\.?\d+)\s*([A-Za-z][\w.-]*)?\s*$/;
+// "500.00/Nos"
+const RATE_PATTERN = /^\s*(-?[\d,]*\.?\d+)\s*\/\s*([A-Za-z][\w.-]*)\s*$/;
+
+// Tally's naming conventions for typed fields, checked in order.
+const NAME_HINTS = [
+  [/^IS[A-Z]/, 'flag'],
+  [/DATE$/, 'date'],
+  [/RATE$/, 'rate'],
+  [/QTY$/, 'quantity'],
+  [/(AMOUNT|BALANCE|VALUE)$/, 'amount'],
+];
+
+/**
+ * Converts a Tally date (YYYYMMDD) to the YYYY-MM-DD form of date inputs.
+ * @returns {string|null} null if the value is not a valid Tally date.
+ */
+export function fromTallyDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+/**
+ * Converts a YYYY-MM-DD date to Tally's YYYYMMDD.
+ */
+export function toTallyDate(isoDate) {
+  return isoDate.replace(/-/g, '');
+}
+
+/**
+ * Splits a quantity ("10 Nos") or rate ("500.00/Nos") into its number and unit.
+ * @returns {{number: string, unit: string}|null} null if the value does not fit the type.
+ */
+export function parseMeasure(type, value) {
+  const match = (type === 'rate' ? RATE_PATTERN : QUANTITY_PATTERN).exec(String(value ?? ''));
+  if (!match) return null;
+  return { number: match[1].replace(/,/g, ''), unit: match[2] || '' };
+}
+
+/**
+ * Checks whether a stored value fits its type. Empty values always fit.
+ */
+export function isValidValue(type, value) {
+  const text = String(value ?? '');
+  if (text === '') return true;
+  switch (type) {
+    case 'date': return fromTallyDate(text) !== null;
+    case 'amount':
+      // A plain signed number, or a forex expression ending in the converted amount.
+      return NUMBER_PATTERN.test(text.replace(/[,\s]/g, '').replace(/^\+/, ''))
+        || (text.includes('=') && !Number.isNaN(parseTallyAmount(text)));
+    case 'quantity':
+    case 'rate': return parseMeasure(type, text) !== null;
+    case 'flag': return text === 'Yes' || text === 'No';
+    default: return true;
+  }
+}
+
+/**
+ * Turns what the user entered into the stored form of the type: a signed amount with
+ * at least two decimals, "10 Nos", "500.00/Nos".
+ * @param {string} type
+ * @param {string} number The number part as typed; thousands separators are allowed.
+ * @param {string} [unit] The unit of quantities and rates.
+ * @returns {string|null} The value to store, or null if the input does not fit the type.
+ */
+export function formatMeasure(type, number, unit = '') {
+  const cleanNumber = String(number).replace(/[,\s]/g, '').replace(/^\+/, '');
+  const cleanUnit = unit.trim();
+  if (!NUMBER_PATTERN.test(cleanNumber)) return null;
+  if (cleanUnit && !UNIT_PATTERN.test(cleanUnit)) return null;
+
+  if (type === 'amount') {
+    const [whole, fraction = ''] = cleanNumber.split('.');
+    return `${whole || '0'}.${fraction.padEnd(2, '0')}`;
+  }
+  if (type === 'rate') {
+    return cleanUnit ? `${cleanNumber}/${cleanUnit}` : null;
+  }
+  return cleanUnit ? `${cleanNumber} ${cleanUnit}` : cleanNumber;
+}
+
+function typeFromName(name) {
+  const bareName = String(name ?? '').replace(/^@/, '');
+  const hint = NAME_HINTS.find(([pattern]) => pattern.test(bareName));
+  return hint ? hint[1] : 'text';
+}
+
+const fitsMost = (test, samples) => samples.filter(test).length * 2 > samples.length;
+
+// Without a name hint, only values that cannot be mistaken for plain text or numbers count.
+const LOOKS_LIKE = {
+  flag: (value) => isValidValue('flag', value),
+  rate: (value) => isValidValue('rate', value),
+  quantity: (value) => !!parseMeasure('quantity', value)?.unit,
+};
+
+/**
+ * Infers the type of a column. The name suggests a type, which the values must mostly
+ * agree with; without a hint, a column whose values mostly look like flags, rates or
+ * quantities gets that type. Values that then do not fit are the ones to highlight.
+ * @param {string} name The field name, e.g. 'AMOUNT' or '@ISOPTIONAL'.
+ * @param {Array<*>} values The column's values; only primitives are considered.
+ * @returns {string} One of `VALUE_TYPES`.
+ */
+export function inferValueType(name, values) {
+  const samples = values
+    .filter(value => (typeof value === 'string' || typeof value === 'number') && String(value).trim() !== '')
+    .slice(0, 200);
+  const hint = typeFromName(name);
+
+  if (samples.length === 0) return hint;
+  if (hint !== 'text' && fitsMost(value => isValidValue(hint, value), samples)) return hint;
+  return Object.keys(LOOKS_LIKE).find(type => fitsMost(LOOKS_LIKE[type], samples)) || 'text';
+}
+
+/**
+ * The value a cell sorts by: a number for amounts, quantities, rates and dates, and
+ * the text otherwise.
+ * @returns {number|string|null} null for empty values and values that do not fit the
+ *   type, which sort after all others.
+ */
+export function getSortKey(type, value) {
+  if (value === null || value === undefined || typeof value === 'object') return null;
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  switch (type) {
+    case 'amount': {
+      const amount = parseTallyAmount(text);
+      return amount === null || Number.isNaN(amount) ? null : amount;
+    }
+    case 'quantity':
+    case 'rate': {
+      const measure = parseMeasure(type, text);
+      return measure ? Number(measure.number) : null;
+    }
+    case 'date':
+      return fromTallyDate(text) ? Number(text) : null;
+    default:
+      return text;
+  }
+}
@@ -0,0 +1,258 @@
+import { createZip, readZip } from './zip';
+import { parseXML } from './xmlUtils';
+
+/*
+ * Writing XLSX workbooks of one sheet, as Office Open XML, and reading back the first
+ * sheet of a workbook. Cells are typed: numbers and dates are written as spreadsheet
+ * numbers, with a format, and text as inline strings.
+ */
+
+// Characters XML 1.0 does not allow, even escaped.
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+// Excel's limit on the text of a cell.
+const MAX_CELL_TEXT = 32767;
+
+const escapeXml = (text) => String(text)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// The letters of a column, counting from 0: A, B, ..., Z, AA, ...
+function columnLetters(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// Spreadsheets count days from 30 December 1899.
+const EPOCH = Date.UTC(1899, 11, 30);
+const toSerialDate = (isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return (Date.UTC(year, month - 1, day) - EPOCH) / 86400000;
+};
+// Workbooks made on old Macs count from 1 January 1904 instead.
+const EPOCH_1904_OFFSET = 1462;
+const fromSerialDate = (serial) => new Date(EPOCH + Math.floor(serial) * 86400000).toISOString().slice(0, 10);
+
+// Cell formats (indexes into cellXfs below).
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+const STYLE_NUMBER = 3;
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>
+</styleSheet>`;
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Sheet names are at most 31 characters, without []:*?/\.
+const toSheetName = (name) => String(name).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet1';
+
+function writeCell(cell, reference, style = 0) {
+  if (cell.type === 'number' && Number.isFinite(cell.value)) {
+    return `<c r="${reference}" s="${STYLE_NUMBER}"><v>${cell.value}</v></c>`;
+  }
+  if (cell.type === 'date') {
+    return `<c r="${reference}" s="${STYLE_DATE}"><v>${toSerialDate(cell.value)}</v></c>`;
+  }
+  const text = String(cell.value ?? '');
+  if (text === '') return '';
+  const space = /^\s|\s$|\n/.test(text) ? ' xml:space="preserve"' : '';
+  return `<c r="${reference}"${style ? ` s="${style}"` : ''} t="inlineStr"><is><t${space}>${escapeXml(text.slice(0, MAX_CELL_TEXT))}</t></is></c>`;
+}
+
+/**
+ * Writes a workbook with one sheet: a bold header row, frozen and with filter buttons,
+ * and the data rows below it.
+ * @param {object} sheet
+ * @param {string} sheet.name The sheet's name; characters Excel does not allow are replaced.
+ * @param {Array<string>} sheet.columns The column headers.
+ * @param {Array<Array<{type: string, value: *}>>} sheet.rows The cells of each row:
+ *   `{ type: 'number', value: 12.5 }`, `{ type: 'date', value: '2024-04-01' }` or
+ *   `{ type: 'text', value }`.
+ * @returns {Uint8Array} The .xlsx file.
+ */
+export function writeXlsx({ name, columns, rows }) {
+  const letters = columns.map((_, index) => columnLetters(index));
+  // Column widths from the longest text in the first rows, in characters.
+  const widths = columns.map((column, index) => {
+    const longest = rows.slice(0, 200).reduce((max, row) => {
+      const cell = row[index];
+      const length = cell?.type === 'date' ? 10 : String(cell?.value ?? '').length;
+      return Math.max(max, length);
+    }, String(column).length);
+    return Math.min(Math.max(longest + 2, 8), 60);
+  });
+
+  const lines = [
+    `<row r="1">${columns.map((column, index) => writeCell({ type: 'text', value: column }, `${letters[index]}1`, STYLE_HEADER)).join('')}</row>`,
+  ];
+  rows.forEach((row, rowIndex) => {
+    const r = rowIndex + 2;
+    lines.push(`<row r="${r}">${row.map((cell, index) => writeCell(cell, `${letters[index]}${r}`)).join('')}</row>`);
+  });
+
+  const lastColumn = letters[letters.length - 1] || 'A';
+  const sheetXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>
+<sheetData>${lines.join('\n')}</sheetData>
+<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>
+</worksheet>`;
+
+  const workbookXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(toSheetName(name))}" sheetId="1" r:id="rId1"/></sheets>
+<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${escapeXml(toSheetName(name).replace(/'/g, "''"))}'!$A$1:$${lastColumn}$${rows.length + 1}</definedName></definedNames>
+</workbook>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    { name: '_rels/.rels', data: ROOT_RELS },
+    { name: 'xl/workbook.xml', data: workbookXml },
+    { name: 'xl/_rels/workbook.xml.rels', data: WORKBOOK_RELS },
+    { name: 'xl/styles.xml', data: STYLES },
+    { name: 'xl/worksheets/sheet1.xml', data: sheetXml },
+  ]);
+}
+
+// The built-in number formats that show dates.
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+// Whether a custom format code shows a date: it has day, month or year placeholders
+// outside of quoted text, escapes and [colour]/[$-locale] sections.
+const isDateFormatCode = (code) => /[dmy]/i.test(
+  code.replace(/"[^"]*"/g, '').replace(/\\./g, '').replace(/\[[^\]]*\]/g, ''),
+);
+
+// Children of a parsed element by local name, as a list; writers may prefix the
+// SpreadsheetML namespace ("x:row").
+function children(node, name) {
+  if (typeof node !== 'object' || node === null) return [];
+  const key = Object.keys(node).find(k => k === name || k.endsWith(`:${name}`));
+  if (key === undefined) return [];
+  return Array.isArray(node[key]) ? node[key] : [node[key]];
+}
+
+const textOf = (node) => (typeof node === 'object' && node !== null ? node['#text'] ?? '' : String(node ?? ''));
+const attributeOf = (node, name) => node?.['@attributes']?.[name];
+
+// The text of a shared or inline string, which may be split into formatted runs.
+const stringText = (node) => [
+  ...children(node, 't').map(textOf),
+  ...children(node, 'r').flatMap(run => children(run, 't').map(textOf)),
+].join('');
+
+// The index of the column of a cell reference such as "AB12", counting from 0.
+const columnIndex = (reference) => {
+  const letters = /^[A-Z]+/i.exec(reference || '')?.[0];
+  if (!letters) return null;
+  return [...letters.toUpperCase()].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Resolves a relationship target against the folder of the part that refers to it.
+const resolvePart = (base, target) => {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = base.split('/').slice(0, -1);
+  target.split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+};
+
+/**
+ * Reads the first sheet of an XLSX workbook as text. Numbers are given as written, without
+ * their format, and cells formatted as dates as YYYY-MM-DD.
+ * @param {Uint8Array} bytes The .xlsx file.
+ * @returns {Promise<Array<Array<string>>>} The cells of each row, from the first; empty rows
+ *   and cells are kept as empty.
+ * @throws {Error} If the file is not a workbook.
+ */
+export async function readXlsx(bytes) {
+  const files = await readZip(bytes);
+  const decoder = new TextDecoder();
+  const readPart = (name) => (files.has(name) ? parseXML(decoder.decode(files.get(name))).doc : null);
+
+  const workbook = readPart('xl/workbook.xml');
+  if (!workbook) throw new Error('The file is not an Excel workbook.');
+  const sheet = children(children(workbook, 'sheets')[0], 'sheet')[0];
+  if (!sheet) throw new Error('The workbook has no sheets.');
+
+  const sheetId = Object.entries(sheet['@attributes'] || {}).find(([name]) => /(^|:)id$/.test(name))?.[1];
+  const relationship = children(readPart('xl/_rels/workbook.xml.rels'), 'Relationship')
+    .find(rel => attributeOf(rel, 'Id') === sheetId);
+  const sheetPart = relationship ? resolvePart('xl/workbook.xml', attributeOf(relationship, 'Target')) : 'xl/worksheets/sheet1.xml';
+  const sheetXml = readPart(sheetPart);
+  if (!sheetXml) throw new Error('The first sheet of the workbook is missing.');
+
+  const properties = children(workbook, 'workbookPr')[0];
+  const epochOffset = ['1', 'true'].includes(attributeOf(properties, 'date1904')) ? EPOCH_1904_OFFSET : 0;
+  const sharedStrings = children(readPart('xl/sharedStrings.xml'), 'si').map(stringText);
+
+  // Which cell styles show dates.
+  const styles = readPart('xl/styles.xml');
+  const customFormats = new Map(children(children(styles, 'numFmts')[0], 'numFmt')
+    .map(format => [Number(attributeOf(format, 'numFmtId')), attributeOf(format, 'formatCode') || '']));
+  const dateStyles = children(children(styles, 'cellXfs')[0], 'xf').map(xf => {
+    const formatId = Number(attributeOf(xf, 'numFmtId') || 0);
+    return customFormats.has(formatId) ? isDateFormatCode(customFormats.get(formatId)) : DATE_FORMAT_IDS.has(formatId);
+  });
+
+  const cellText = (cell) => {
+    const type = attributeOf(cell, 't');
+    const value = textOf(children(cell, 'v')[0]);
+    if (type === 's') return sharedStrings[Number(value)] ?? '';
+    if (type === 'inlineStr') return stringText(children(cell, 'is')[0]);
+    if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+    if (type === 'str' || type === 'e' || value === '') return value;
+    const number = Number(value);
+    if (Number.isNaN(number)) return value;
+    if (dateStyles[Number(attributeOf(cell, 's') || 0)]) return fromSerialDate(number + epochOffset);
+    // Drop the binary noise of floating point ("0.30000000000000004").
+    return String(Number(number.toPrecision(15)));
+  };
+
+  const rows = [];
+  children(children(sheetXml, 'sheetData')[0], 'row').forEach(row => {
+    const rowNumber = Number(attributeOf(row, 'r')) || rows.length + 1;
+    const cells = [];
+    children(row, 'c').forEach(cell => {
+      const index = columnIndex(attributeOf(cell, 'r')) ?? cells.length;
+      while (cells.length < index) cells.push('');
+      cells[index] = cellText(cell);
+    });
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows[rowNumber - 1] = cells;
+  });
+  return rows;
+}
@@ -0,0 +1,95 @@
+import { detectEncoding, createXmlCleaner, createXmlParser, getXmlDeclaration } from './xmlUtils';
+import { exportNode } from './documentTransfer';
+
+/*
+ * Reads, decodes, cleans and parses an XML file off the main thread, chunk by chunk,
+ * so a large Tally export neither freezes the editor nor has to be held in memory as
+ * one decoded string before parsing starts. See `openXmlFile` for the messages.
+ */
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+// Larger files open lazily: only the outer levels are built and posted to the editor.
+// Deeper subtrees are parsed from the text, which stays here, when they are asked for.
+const LAZY_FILE_SIZE = 32 * 1024 * 1024;
+// Levels of element objects built at a time. In a Tally export this reaches the
+// vouchers and masters (ENVELOPE > BODY > IMPORTDATA > REQUESTDATA > TALLYMESSAGE >
+// VOUCHER) but leaves their entry lists behind.
+const LAZY_DEPTH = 5;
+
+// The cleaned text of a lazily opened file.
+let sourceText = null;
+
+async function openFile(file) {
+  const { encoding, bom } = detectEncoding(await file.slice(0, 4).arrayBuffer());
+  const decoder = new TextDecoder(encoding);
+  const cleaner = createXmlCleaner();
+  const lazy = file.size > LAZY_FILE_SIZE;
+  const parser = createXmlParser({ maxDepth: lazy ? LAZY_DEPTH : Infinity });
+  const parts = [];
+
+  const feed = (text) => {
+    parts.push(text);
+    parser.write(text);
+  };
+
+  for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+    const buffer = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+    feed(cleaner.write(decoder.decode(buffer, { stream: true })));
+    postMessage({ type: 'progress', loaded: Math.min(offset + CHUNK_SIZE, file.size), total: file.size });
+  }
+  feed(cleaner.write(decoder.decode()));
+  const { text: rest, removedCount, log } = cleaner.end();
+  feed(rest);
+
+  const { doc, rootName, layout } = parser.end();
+  const text = parts.join('');
+  parts.length = 0;
+  const layouts = [];
+  const value = exportNode(doc, layouts);
+  sourceText = lazy ? text : null;
+
+  postMessage({
+    type: 'opened',
+    value,
+    layouts,
+    rootName,
+    layout,
+    // A lazily opened file's text stays here; see `readText`.
+    text: lazy ? null : text,
+    encoding: { name: encoding, bom, declaration: getXmlDeclaration(text) },
+    removedCount,
+    log,
+    lazy,
+  });
+}
+
+// Parses subtrees from their text, `ranges` being their `[start, end]` offsets in it.
+function loadNodes(requestId, ranges, deep) {
+  const layouts = [];
+  const values = ranges.map(([start, end]) => {
+    const parser = createXmlParser({ maxDepth: deep ? Infinity : LAZY_DEPTH, offset: start });
+    parser.write(sourceText.slice(start, end));
+    return exportNode(parser.end().doc, layouts);
+  });
+  postMessage({ type: 'loaded', requestId, values, layouts });
+}
+
+// Posts parts of the text, a null range standing for the whole of it.
+function readText(requestId, ranges) {
+  const values = ranges.map(range => (range ? sourceText.slice(range[0], range[1]) : sourceText));
+  postMessage({ type: 'read', requestId, values });
+}
+
+self.onmessage = async ({ data }) => {
+  try {
+    if (data.type === 'open') {
+      await openFile(data.file);
+    } else if (data.type === 'load') {
+      loadNodes(data.requestId, data.ranges, data.deep);
+    } else if (data.type === 'read') {
+      readText(data.requestId, data.ranges);
+    }
+  } catch (error) {
+    postMessage({ type: 'error', requestId: data.requestId, message: error.message });
+  }
+};
@@ -1,226 +1,815 @@
 /**
- * Decodes an ArrayBuffer into a string, automatically detecting the
- * encoding (UTF-8, UTF-16LE, UTF-16BE) by checking for a Byte Order Mark (BOM).
+ * Encodings the editor can read and write, in the form accepted by TextDecoder.
+ */
+export const XML_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'utf-16le', label: 'UTF-16LE' },
+  { value: 'utf-16be', label: 'UTF-16BE' },
+];
+
+/**
+ * Detects the encoding of a raw XML file from its Byte Order Mark (BOM). Files
+ * without a BOM are recognised as UTF-16 by the zero byte of their first character.
  * @param {ArrayBuffer} arrayBuffer The raw file buffer.
- * @returns {string} The decoded string.
+ * @returns {{encoding: string, bom: boolean}} The detected encoding and whether the file starts with a BOM.
  */
-export function decodeXML(arrayBuffer) {
-  const bytes = new Uint8Array(arrayBuffer);
-  let encoding = 'utf-8'; // Default encoding
+export function detectEncoding(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer, 0, Math.min(3, arrayBuffer.byteLength));
 
   if (bytes.length >= 2) {
     if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
-      encoding = 'utf-16be'; // Big Endian
-    } else if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
-      encoding = 'utf-16le'; // Little Endian
+      return { encoding: 'utf-16be', bom: true }; // Big Endian
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      return { encoding: 'utf-16le', bom: true }; // Little Endian
+    }
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      return { encoding: 'utf-8', bom: true };
+    }
+    if (bytes[0] === 0x00 && bytes[1] !== 0x00) {
+      return { encoding: 'utf-16be', bom: false };
+    }
+    if (bytes[0] !== 0x00 && bytes[1] === 0x00) {
+      return { encoding: 'utf-16le', bom: false };
     }
   }
 
+  return { encoding: 'utf-8', bom: false }; // Default encoding
+}
+
+/**
+ * Decodes an ArrayBuffer into a string, automatically detecting the
+ * encoding (UTF-8, UTF-16LE, UTF-16BE) unless one is given.
+ * @param {ArrayBuffer} arrayBuffer The raw file buffer.
+ * @param {string} [encoding] The encoding to use instead of the detected one.
+ * @returns {string} The decoded string.
+ */
+export function decodeXML(arrayBuffer, encoding = detectEncoding(arrayBuffer).encoding) {
   const decoder = new TextDecoder(encoding);
   return decoder.decode(arrayBuffer);
 }
 
+/**
+ * Encodes an XML string into bytes for saving.
+ * @param {string} xmlString The XML string.
+ * @param {string} encoding One of the `XML_ENCODINGS` values.
+ * @param {boolean} bom Whether to start the output with a Byte Order Mark.
+ * @returns {Uint8Array} The encoded bytes.
+ */
+export function encodeXML(xmlString, encoding, bom) {
+  if (encoding === 'utf-8') {
+    const body = new TextEncoder().encode(xmlString);
+    if (!bom) return body;
+    const bytes = new Uint8Array(body.length + 3);
+    bytes.set([0xEF, 0xBB, 0xBF]);
+    bytes.set(body, 3);
+    return bytes;
+  }
+
+  // TextEncoder only speaks UTF-8, so UTF-16 is written code unit by code unit.
+  const littleEndian = encoding === 'utf-16le';
+  const offset = bom ? 2 : 0;
+  const bytes = new Uint8Array(offset + xmlString.length * 2);
+  const view = new DataView(bytes.buffer);
+  if (bom) {
+    view.setUint16(0, 0xFEFF, littleEndian);
+  }
+  for (let i = 0; i < xmlString.length; i++) {
+    view.setUint16(offset + i * 2, xmlString.charCodeAt(i), littleEndian);
+  }
+  return bytes;
+}
+
+/**
+ * Returns the XML declaration (e.g. `<?xml version="1.0" encoding="UTF-16"?>`) a
+ * document starts with, or null if it has none.
+ * @param {string} xmlString The XML string.
+ * @returns {string|null}
+ */
+export function getXmlDeclaration(xmlString) {
+  const match = xmlString.match(/^<\?xml\b[^?]*\?>/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Makes the encoding named in the XML declaration agree with the encoding the
+ * document is about to be saved in. A declaration that already names the right
+ * encoding family (or names none) is left untouched.
+ * @param {string} xmlString The XML string.
+ * @param {string} encoding One of the `XML_ENCODINGS` values.
+ * @returns {string} The XML string with a matching declaration.
+ */
+export function setDeclaredEncoding(xmlString, encoding) {
+  const declaration = getXmlDeclaration(xmlString);
+  if (!declaration) return xmlString;
+
+  const declared = declaration.match(/encoding\s*=\s*(["'])([^"']*)\1/);
+  const isUtf16 = (name) => /^utf-?16/i.test(name);
+  if (!declared || isUtf16(declared[2]) === isUtf16(encoding)) return xmlString;
+
+  const label = isUtf16(encoding) ? 'UTF-16' : 'UTF-8';
+  return declaration.replace(declared[0], `encoding="${label}"`) + xmlString.slice(declaration.length);
+}
+
+// Character references to control characters that are not allowed in XML (e.g. &#x4;).
+const INVALID_ENTITY_REGEX = /&#x0*([0-9a-f]{1,2});|&#0*(\d{1,2});/gi;
+// The start of such a reference, cut off at the end of a chunk.
+const PARTIAL_ENTITY_REGEX = /^&(?:#(?:x0*[0-9a-f]{0,2}|0*\d{0,2})?)?$/i;
+// Any character that is NOT a valid XML 1.0 character. Valid characters are #x9, #xA,
+// #xD, and the ranges #x20-#xD7FF, #xE000-#xFFFD, #x10000-#x10FFFF.
+// eslint-disable-next-line no-control-regex
+const INVALID_RAW_CHAR_REGEX = /[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+/**
+ * Removes invalid XML characters from text that arrives in chunks, such as a large
+ * file being read piece by piece. `write` returns the cleaned part of each chunk; the
+ * few characters at its end that may start a character reference or surrogate pair
+ * completed by the next chunk are held back until then. `end` returns the rest, with
+ * the totals `cleanXML` reports.
+ * @returns {{write: function(string): string, end: function(): {text: string, removedCount: number, log: string[]}}}
+ */
+export function createXmlCleaner() {
+  let heldBack = '';
+  let atStart = true;
+  let inputLength = 0;
+  let outputLength = 0;
+  let nulCount = 0;
+  let bomRemoved = false;
+  let entitiesRemovedCount = 0;
+  let invalidCharCount = 0;
+  const invalidChars = new Set();
+
+  const clean = (text) => {
+    let cleaned = text;
+
+    // Step 1: Remove NUL chars and BOM
+    const nulChars = cleaned.match(/\u0000/g);
+    if (nulChars) {
+      nulCount += nulChars.length;
+      cleaned = cleaned.replace(/\u0000/g, '');
+    }
+
+    if (atStart) {
+      const bomMatch = cleaned.match(/^[\s\uFEFF\uFFFD]+/);
+      if (bomMatch) {
+        bomRemoved = true;
+        cleaned = cleaned.slice(bomMatch[0].length);
+      }
+      atStart = cleaned === '';
+    }
+
+    // Step 2: Remove character references to invalid control characters (e.g., &#x4;, &#5;)
+    // These are not raw characters but string representations that can break parsers.
+    cleaned = cleaned.replace(INVALID_ENTITY_REGEX, (match, hex, dec) => {
+      const code = parseInt(hex || dec, hex ? 16 : 10);
+      // XML spec allows tab (9), newline (10), and carriage return (13).
+      // All other control characters below 32 (space) are invalid.
+      if (code < 32 && ![9, 10, 13].includes(code)) {
+        entitiesRemovedCount++;
+        return ''; // Remove the invalid entity
+      }
+      return match; // Keep the valid one
+    });
+
+    // Step 3: Final cleaning for invalid raw XML characters that were not in entity form.
+    const rawChars = cleaned.match(INVALID_RAW_CHAR_REGEX);
+    if (rawChars) {
+      invalidCharCount += rawChars.length;
+      rawChars.forEach(c => invalidChars.add(c));
+      cleaned = cleaned.replace(INVALID_RAW_CHAR_REGEX, '');
+    }
+
+    outputLength += cleaned.length;
+    return cleaned;
+  };
+
+  const write = (chunk) => {
+    inputLength += chunk.length;
+    const text = heldBack + chunk;
+    let keep = text.length;
+    const amp = text.lastIndexOf('&');
+    if (amp !== -1 && PARTIAL_ENTITY_REGEX.test(text.slice(amp))) {
+      keep = amp;
+    }
+    const lastCode = text.charCodeAt(keep - 1);
+    if (lastCode >= 0xD800 && lastCode <= 0xDBFF) {
+      keep--;
+    }
+    heldBack = text.slice(keep);
+    return clean(text.slice(0, keep));
+  };
+
+  const end = () => {
+    const text = clean(heldBack);
+    heldBack = '';
+
+    const log = [];
+    if (nulCount > 0) {
+      log.push(`Removed ${nulCount} NUL character(s) (\\u0000), which can cause parsing errors.`);
+    }
+    if (bomRemoved) {
+      log.push('Removed Byte Order Mark (BOM) from the beginning of the file.');
+    }
+    if (entitiesRemovedCount > 0) {
+      log.push(`Removed ${entitiesRemovedCount} character reference(s) to invalid control characters (e.g., &#x4;).`);
+    }
+    if (invalidCharCount > 0) {
+      const charCodes = [...invalidChars].map(c => `U+${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`).join(', ');
+      log.push(`Removed ${invalidCharCount} invalid raw control character(s) not allowed in XML. Unique characters found: ${charCodes}.`);
+    }
+
+    return { text, removedCount: inputLength - outputLength, log };
+  };
+
+  return { write, end };
+}
+
 /**
  * Removes invalid XML characters from a string and logs the changes.
  * @param {string} xmlString The raw XML string.
  * @returns {{cleaned: string, removedCount: number, log: string[]}} The cleaned string, count of removed characters, and a log of actions.
  */
 export function cleanXML(xmlString) {
-  const log = [];
-  let cleaned = xmlString;
+  const cleaner = createXmlCleaner();
+  const cleaned = cleaner.write(xmlString);
+  const { text, removedCount, log } = cleaner.end();
+  return { cleaned: cleaned + text, removedCount, log };
+}
 
-  // Step 1: Remove NUL chars and BOM
-  const nulChars = cleaned.match(/\u0000/g) || [];
-  if (nulChars.length > 0) {
-    log.push(`Removed ${nulChars.length} NUL character(s) (\\u0000), which can cause parsing errors.`);
-    cleaned = cleaned.replace(/\u0000/g, '');
-  }
 
-  const bomMatch = cleaned.match(/^[\s\uFEFF\uFFFD]+/);
-  if (bomMatch) {
-    log.push('Removed Byte Order Mark (BOM) from the beginning of the file.');
-    cleaned = cleaned.replace(/^[\s\uFEFF\uFFFD]+/, '');
-  }
-  
-  // Step 2: Remove character references to invalid control characters (e.g., &#x4;, &#5;)
-  // These are not raw characters but string representations that can break parsers.
-  const invalidEntityRegex = /&#x0*([0-9a-f]{1,2});|&#0*(\d{1,2});/gi;
-  let entitiesRemovedCount = 0;
-  
-  cleaned = cleaned.replace(invalidEntityRegex, (match, hex, dec) => {
-    const code = parseInt(hex || dec, hex ? 16 : 10);
-    // XML spec allows tab (9), newline (10), and carriage return (13).
-    // All other control characters below 32 (space) are invalid.
-    if (code < 32 && ![9, 10, 13].includes(code)) {
-      entitiesRemovedCount++;
-      return ''; // Remove the invalid entity
-    }
-    return match; // Keep the valid one
+/**
+ * Key under which every parsed element object keeps its source layout: the raw
+ * start/end tags and the original order of its children, including comments,
+ * CDATA sections and whitespace. Being a symbol, it is invisible to Object.keys,
+ * Object.entries and JSON.stringify, so the rest of the app keeps working with the
+ * plain grouped JSON, while immer carries it over whenever it copies a node.
+ */
+export const XML_LAYOUT = Symbol('xmlLayout');
+
+/**
+ * Key of the placeholder objects that stand in for subtrees of a lazily opened
+ * document that have not been loaded yet (see `documentLoader`). The value describes
+ * where the subtree comes from: `{ name, start, end, source }`, `start`/`end` being
+ * its offsets in the text the document was parsed from, which `source` holds.
+ */
+export const LAZY_NODE = Symbol('lazyNode');
+
+/**
+ * Key of the markers `createXmlParser` leaves for subtrees it does not build,
+ * `{ [LAZY_MARKER]: [start, end] }`. Unlike `LAZY_NODE` it survives being posted
+ * between threads, and it cannot clash with an element name, which may not start
+ * with '#'.
+ */
+export const LAZY_MARKER = '#lazy';
+
+/**
+ * Whether `value` is a placeholder for a subtree that has not been loaded yet.
+ */
+export const isLazyNode = (value) => typeof value === 'object' && value !== null && !!value[LAZY_NODE];
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const ENTITY_REGEX = /&(?:#x([0-9a-fA-F]+)|#([0-9]+)|(amp|lt|gt|quot|apos));/g;
+const ATTRIBUTE_REGEX = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decodeEntities(str) {
+  if (str.indexOf('&') === -1) return str;
+  return str.replace(ENTITY_REGEX, (match, hex, dec, named) => {
+    if (named) return NAMED_ENTITIES[named];
+    return String.fromCodePoint(parseInt(hex || dec, hex ? 16 : 10));
   });
+}
 
-  if (entitiesRemovedCount > 0) {
-    log.push(`Removed ${entitiesRemovedCount} character reference(s) to invalid control characters (e.g., &#x4;).`);
+function parseAttributes(source) {
+  let attributes = null;
+  for (const match of source.matchAll(ATTRIBUTE_REGEX)) {
+    if (!attributes) attributes = {};
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
   }
+  return attributes;
+}
 
-  // Step 3: Final cleaning for invalid raw XML characters
-  // This regex matches any character that is NOT a valid XML 1.0 character.
-  // Valid characters are #x9, #xA, #xD, and the ranges #x20-#xD7FF, #xE000-#xFFFD, #x10000-#x10FFFF.
-  // This handles any invalid characters that were not in entity form.
-  // eslint-disable-next-line no-control-regex
-  const invalidRawCharRegex = /[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
-  const invalidChars = cleaned.match(invalidRawCharRegex) || [];
+// The longest markup opener ('<![CDATA[') the parser needs to see to tell markup apart.
+const LONGEST_MARKUP_OPENER = 9;
 
-  if (invalidChars.length > 0) {
-     const uniqueInvalid = [...new Set(invalidChars)];
-     const charCodes = uniqueInvalid.map(c => `U+${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`).join(', ');
-     log.push(`Removed ${invalidChars.length} invalid raw control character(s) not allowed in XML. Unique characters found: ${charCodes}.`);
-     cleaned = cleaned.replace(invalidRawCharRegex, '');
-  }
-  
-  const removedCount = xmlString.length - cleaned.length;
+/**
+ * Creates a parser for XML that arrives in chunks, building the same result as
+ * `parseXML` without needing the whole text at once. Text is consumed as far as it
+ * forms complete tokens; the unfinished rest waits for the next `write`.
+ *
+ * Besides their layout, element objects record the offsets of their source in the
+ * parsed text (`start`/`end` of `XML_LAYOUT`), so a subtree can be cut out of it.
+ *
+ * With a `maxDepth`, element objects nested deeper than that below the root are not
+ * built: a `LAZY_MARKER` with their offsets stands in for each, so a large document
+ * can be held as its outer levels and its subtrees parsed from their text as needed.
+ * @param {object} [options]
+ * @param {number} [options.maxDepth] How many levels of element objects to build.
+ * @param {number} [options.offset] The offset of the first chunk in the whole text,
+ *   when parsing a subtree cut out of it.
+ * @returns {{write: function(string): void, end: function(): {doc: object, rootName: string, layout: object}}}
+ */
+export function createXmlParser({ maxDepth = Infinity, offset: startOffset = 0 } = {}) {
+  const stack = [];
+  let root = null;
+  let buffer = '';
+  let pos = 0;
+  let offset = startOffset; // Offset of buffer[0] in the whole text
+  let line = 1; // Line number of buffer[0]
+  let ended = false;
+  let prolog = '';
+  let epilog = '';
 
-  return { cleaned, removedCount, log };
-}
+  const fail = (message, index) => {
+    let errorLine = line;
+    for (let i = buffer.indexOf('\n'); i !== -1 && i < index; i = buffer.indexOf('\n', i + 1)) errorLine++;
+    throw new Error(`XML Parsing Error: ${message} (line ${errorLine}).`);
+  };
+
+  // Returns -1 when the terminator may still come in a later chunk.
+  const findEnd = (terminator, from, what) => {
+    const end = buffer.indexOf(terminator, from);
+    if (end === -1) return ended ? fail(`Unterminated ${what}`, from) : -1;
+    return end + terminator.length;
+  };
 
+  // Finds the '>' closing a start tag, skipping any that appear inside quoted attribute values.
+  const findTagEnd = (from) => {
+    let quote = null;
+    for (let i = from; i < buffer.length; i++) {
+      const char = buffer[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '>') {
+        return i + 1;
+      }
+    }
+    return ended ? fail('Unterminated start tag', from) : -1;
+  };
+
+  // Markup and whitespace outside of the root element is kept verbatim.
+  const addOutside = (raw) => {
+    if (root) epilog += raw;
+    else prolog += raw;
+  };
+
+  const closeElement = (frame, endTag, end) => {
+    // Elements inside a subtree that is not built leave nothing behind.
+    if (frame.depth > maxDepth + 1) return;
+
+    let value;
+    if (frame.depth > maxDepth && (frame.skipped || frame.attributes)) {
+      value = { [LAZY_MARKER]: [frame.start, end] };
+    } else if (frame.groups.size === 0 && !frame.attributes) {
+      // A text-only node or an empty tag. Empty tags become '' so they are not discarded.
+      value = frame.text;
+    } else {
+      value = {};
+      if (frame.attributes) {
+        value['@attributes'] = frame.attributes;
+      }
+      for (const [name, items] of frame.groups) {
+        // If there's only one child with this tag name, don't wrap it in an array.
+        value[name] = items.length === 1 ? items[0] : items;
+      }
+      if (frame.text) {
+        value['#text'] = frame.text;
+      }
+      value[XML_LAYOUT] = {
+        name: frame.name,
+        startTag: frame.startTag,
+        endTag,
+        attributes: frame.attributes && { ...frame.attributes },
+        text: frame.text,
+        children: frame.children,
+        start: frame.start,
+        end,
+      };
+    }
+
+    // Primitive values cannot carry a layout, so their parent keeps their raw source instead.
+    // It is rebuilt from the pieces, as the start of the element may be in an earlier chunk.
+    const entry = { type: 'element', name: frame.name };
+    if (typeof value !== 'object') {
+      entry.raw = frame.startTag + frame.children.map(child => child.raw).join('') + (endTag || '');
+      entry.value = value;
+    }
+
+    const parent = stack[stack.length - 1];
+    if (parent) {
+      parent.children.push(entry);
+      if (!parent.groups.has(frame.name)) parent.groups.set(frame.name, []);
+      parent.groups.get(frame.name).push(value);
+    } else {
+      root = { entry, value, name: frame.name };
+    }
+  };
+
+  const parse = () => {
+    const length = buffer.length;
+
+    while (pos < length) {
+      const frame = stack[stack.length - 1];
+      const lt = buffer.indexOf('<', pos);
+      // Text runs up to the next tag, which may be in a later chunk.
+      if (lt === -1 && !ended) break;
+      const textEnd = lt === -1 ? length : lt;
+
+      if (textEnd > pos) {
+        const raw = buffer.slice(pos, textEnd);
+        const text = decodeEntities(raw).trim();
+        if (frame?.skipped) {
+          // Not built, see `maxDepth`.
+        } else if (frame) {
+          frame.children.push({ type: 'text', raw, blank: !text });
+          frame.text += text;
+        } else if (text) {
+          fail('Text content outside of the root element', pos);
+        } else {
+          addOutside(raw);
+        }
+        pos = textEnd;
+        continue;
+      }
+
+      if (!ended && length - pos < LONGEST_MARKUP_OPENER) break;
+
+      let end;
+      if (buffer.startsWith('<!--', pos)) {
+        end = findEnd('-->', pos + 4, 'comment');
+        if (end === -1) break;
+        const raw = buffer.slice(pos, end);
+        if (frame) {
+          if (!frame.skipped) frame.children.push({ type: 'comment', raw });
+        } else {
+          addOutside(raw);
+        }
+      } else if (buffer.startsWith('<![CDATA[', pos)) {
+        if (!frame) fail('CDATA section outside of the root element', pos);
+        end = findEnd(']]>', pos + 9, 'CDATA section');
+        if (end === -1) break;
+        if (!frame.skipped) {
+          frame.children.push({ type: 'cdata', raw: buffer.slice(pos, end) });
+          frame.text += buffer.slice(pos + 9, end - 3);
+        }
+      } else if (buffer.startsWith('<?', pos)) {
+        end = findEnd('?>', pos + 2, 'processing instruction');
+        if (end === -1) break;
+        const raw = buffer.slice(pos, end);
+        if (frame) {
+          if (!frame.skipped) frame.children.push({ type: 'pi', raw });
+        } else {
+          addOutside(raw);
+        }
+      } else if (buffer.startsWith('<!', pos)) {
+        if (frame || root) fail('Unexpected declaration inside the document', pos);
+        const tagEnd = findTagEnd(pos + 2);
+        if (tagEnd === -1) break;
+        const subsetStart = buffer.indexOf('[', pos);
+        // A DOCTYPE with an internal subset may contain '>' before its real end.
+        end = subsetStart !== -1 && subsetStart < tagEnd ? findEnd(']>', subsetStart, 'DOCTYPE') : tagEnd;
+        if (end === -1) break;
+        addOutside(buffer.slice(pos, end));
+      } else if (buffer.startsWith('</', pos)) {
+        end = findEnd('>', pos + 2, 'end tag');
+        if (end === -1) break;
+        const name = buffer.slice(pos + 2, end - 1).trim();
+        if (!frame || frame.name !== name) {
+          fail(frame ? `Expected </${frame.name}> but found </${name}>` : `Unexpected closing tag </${name}>`, pos);
+        }
+        stack.pop();
+        closeElement(frame, buffer.slice(pos, end), offset + end);
+      } else {
+        end = findTagEnd(pos + 1);
+        if (end === -1) break;
+        const startTag = buffer.slice(pos, end);
+        const nameMatch = startTag.match(/^<([^\s/>]+)/);
+        if (!nameMatch) fail('Invalid start tag', pos);
+        if (!frame && root) fail('Only one root element is allowed', pos);
+
+        const name = nameMatch[1];
+        const selfClosing = startTag.endsWith('/>');
+        const depth = stack.length;
+        let newFrame;
+        if (depth > maxDepth + 1) {
+          // Below an element that becomes a marker: only its end needs to be found.
+          newFrame = { name, depth, skipped: true };
+          frame.skipped = true;
+        } else {
+          newFrame = {
+            name,
+            depth,
+            start: offset + pos,
+            startTag,
+            attributes: parseAttributes(startTag.slice(name.length + 1, selfClosing ? -2 : -1)),
+            children: [],
+            groups: new Map(),
+            text: '',
+          };
+        }
+        if (selfClosing) {
+          closeElement(newFrame, null, offset + end);
+        } else {
+          stack.push(newFrame);
+        }
+      }
+      pos = end;
+    }
+  };
+
+  const write = (chunk) => {
+    // Drop what has been consumed, keeping count of its lines for error messages.
+    for (let i = buffer.indexOf('\n'); i !== -1 && i < pos; i = buffer.indexOf('\n', i + 1)) line++;
+    offset += pos;
+    buffer = buffer.slice(pos) + chunk;
+    pos = 0;
+    parse();
+  };
+
+  const end = () => {
+    ended = true;
+    write('');
+
+    if (stack.length > 0) {
+      fail(`Unclosed element <${stack[stack.length - 1].name}>`, buffer.length);
+    }
+    if (!root) {
+      fail('No root element found', 0);
+    }
+
+    return {
+      doc: root.value,
+      rootName: root.name,
+      layout: { prolog, epilog, root: root.entry },
+    };
+  };
+
+  return { write, end };
+}
 
 /**
  * Parses an XML string into a structured JavaScript object.
+ *
+ * Children are grouped by tag name (a single child stays an object, repeated children
+ * become an array), attributes go under '@attributes' and text next to child elements
+ * under '#text'. Alongside that, every element object records its source layout under
+ * `XML_LAYOUT`, and the returned `layout` keeps the prolog/epilog around the root, so
+ * `jsonToXml` can write an unedited document back byte for byte.
  * @param {string} xmlString A clean XML string.
- * @returns {{doc: object, rootName: string}} The parsed document and the name of the root element.
+ * @returns {{doc: object, rootName: string, layout: {prolog: string, epilog: string, root: object}}}
+ *   The parsed document, the name of the root element and the document layout.
  */
 export function parseXML(xmlString) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(xmlString, 'application/xml');
-  const errorNode = doc.querySelector('parsererror');
-  if (errorNode) {
-    throw new Error(`XML Parsing Error: ${errorNode.innerText}`);
-  }
-  const rootElement = doc.documentElement;
-  return {
-    doc: xmlToJson(rootElement),
-    rootName: rootElement.nodeName,
-  };
+  const parser = createXmlParser();
+  parser.write(xmlString);
+  return parser.end();
 }
 
-function xmlToJson(node) {
-  if (node.nodeType === 3) { // Text node
-    return node.nodeValue.trim() ? node.nodeValue.trim() : null;
+/**
+ * Deep-copies a parsed node. Copies share the source layout of the elements they were
+ * made from, so a duplicated record is written out formatted like its original.
+ * @param {*} node The node to copy.
+ * @returns {*} The copy.
+ */
+export function cloneNode(node) {
+  if (Array.isArray(node)) return node.map(cloneNode);
+  if (typeof node !== 'object' || node === null) return node;
+  if (node[LAZY_NODE]) return { [LAZY_NODE]: node[LAZY_NODE] };
+
+  const copy = {};
+  for (const key of Object.keys(node)) {
+    copy[key] = cloneNode(node[key]);
   }
-  if (node.nodeType !== 1) { // Not an Element node
-    return null;
+  if (node[XML_LAYOUT]) {
+    copy[XML_LAYOUT] = node[XML_LAYOUT];
   }
+  return copy;
+}
 
-  let obj = {};
 
-  // Parse attributes
-  if (node.hasAttributes()) {
-    obj['@attributes'] = {};
-    for (const attr of node.attributes) {
-      obj['@attributes'][attr.nodeName] = attr.nodeValue;
-    }
+const escapeXml = (str) =>
+  String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+function buildStartTag(tagName, attributes, selfClosing) {
+  let tag = `<${tagName}`;
+  for (const attr in attributes || {}) {
+    tag += ` ${attr}="${escapeXml(attributes[attr])}"`;
   }
+  return `${tag}${selfClosing ? '/' : ''}>`;
+}
 
-  // Group children by tag name and collect text
-  const childrenByName = {};
-  let textValue = '';
-  if (node.hasChildNodes()) {
-      for (const child of node.childNodes) {
-        if (child.nodeType === 1) { // Element node
-          if (!childrenByName[child.nodeName]) {
-            childrenByName[child.nodeName] = [];
-          }
-          childrenByName[child.nodeName].push(child);
-        } else if (child.nodeType === 3 && child.nodeValue.trim()) { // Text node
-          textValue += child.nodeValue.trim();
-        }
-      }
+function sameAttributes(a, b) {
+  if (a === b) return true;
+  const keysA = Object.keys(a || {});
+  const keysB = Object.keys(b || {});
+  return keysA.length === keysB.length && keysA.every((key, i) => key === keysB[i] && String(a[key]) === b[key]);
+}
+
+/**
+ * Writes a single element. Objects that carry an `XML_LAYOUT` are written from their
+ * source layout; anything else (new or replaced nodes) is generated from scratch.
+ * Every element is followed by a newline.
+ */
+function writeNode(data, tagName) {
+  if (data === null || data === undefined) return '';
+
+  if (Array.isArray(data)) {
+    return data.map(item => writeNode(item, tagName)).join('');
   }
 
-  // Parse child elements
-  for (const name in childrenByName) {
-    const children = childrenByName[name];
-    const parsedChildren = children.map(xmlToJson).filter(c => c !== null);
-    if (parsedChildren.length > 0) {
-      // If there's only one child with this tag name, don't wrap it in an array.
-      obj[name] = parsedChildren.length === 1 ? parsedChildren[0] : parsedChildren;
-    }
+  if (typeof data === 'object' && data[LAZY_NODE]) {
+    return `${writeLazyNode(data[LAZY_NODE], tagName)}\n`;
   }
-  
-  const hasAttributes = Object.keys(obj['@attributes'] || {}).length > 0;
-  const hasChildElements = Object.keys(childrenByName).length > 0;
 
-  // Determine final object structure
-  if (hasChildElements) {
-    if (textValue) {
-      obj['#text'] = textValue;
-    }
-    return obj;
+  if (typeof data === 'object' && data[XML_LAYOUT]) {
+    return `${writeLayoutElement(data, tagName, data[XML_LAYOUT])}\n`;
   }
 
-  if (hasAttributes) {
-    if (textValue) {
-      obj['#text'] = textValue;
+  let attributes = null;
+  let children = '';
+  let textContent = '';
+
+  if (typeof data === 'object') {
+    for (const key in data) {
+      if (key === '@attributes') {
+        attributes = data[key];
+      } else if (key === '#text') {
+        textContent = escapeXml(data[key]);
+      } else {
+        children += writeNode(data[key], key);
+      }
     }
-    return obj;
+  } else {
+    textContent = escapeXml(data);
   }
-  
-  // If no attributes and no child elements, it's a text-only node or an empty tag.
-  // Return empty string for empty tags to prevent them from being discarded.
-  return textValue || '';
+
+  if (!children && !textContent) {
+    return `${buildStartTag(tagName, attributes, true)}\n`;
+  }
+
+  return `${buildStartTag(tagName, attributes, false)}${textContent}${children}</${tagName}>\n`;
 }
 
+// The source text of the placeholders being written, see `jsonToXml`.
+let lazyTexts = null;
 
 /**
- * Converts a JavaScript object back to an XML string.
- * @param {object} obj The JS object.
- * @param {string} rootName The name of the root XML element.
- * @returns {string} The XML string.
+ * Writes a subtree that was never loaded, and so never edited, straight from its
+ * source; only its tag name may have changed, by renaming the element holding it.
+ */
+function writeLazyNode(lazyNode, tagName) {
+  const { name } = lazyNode;
+  const raw = lazyTexts?.get(lazyNode);
+  if (raw === undefined) throw new Error(`The <${name}> element has not been read from the file yet.`);
+  if (tagName === name) return raw;
+  const renamed = `<${tagName}${raw.slice(name.length + 1)}`;
+  return renamed.endsWith('/>') ? renamed : renamed.replace(/<\/[^<]*>$/, `</${tagName}>`);
+}
+
+/**
+ * Writes a child in the slot recorded for it in its parent's layout. An unedited
+ * primitive is written exactly as it appeared in the source.
  */
-export function jsonToXml(obj, rootName) {
-  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+function writeChild(entry, value, tagName) {
+  if (entry && entry.raw !== undefined && entry.value === value) {
+    return entry.raw;
+  }
+  return writeNode(value, tagName).replace(/\n$/, '');
+}
 
-  const escapeXml = (str) =>
-    String(str)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
+/**
+ * Writes an element by replaying its source layout against its current content.
+ * Children fill the slots their tag name had in the source, in array order, so the
+ * original interleaving of different tags is kept. Slots left over (deleted items)
+ * are dropped together with the whitespace in front of them; extra items (added
+ * items) follow the last slot of their tag name. Tag names the source did not have
+ * follow the tag that precedes them in the object's key order.
+ */
+function writeLayoutElement(obj, tagName, layout) {
+  const attributes = obj['@attributes'];
+  const text = obj['#text'] === undefined || obj['#text'] === null ? '' : String(obj['#text']);
+  const textChanged = text !== layout.text;
 
-  const toXml = (data, tagName) => {
-    if (data === null || data === undefined) return '';
+  const pending = new Map();
+  for (const key of Object.keys(obj)) {
+    if (key === '@attributes' || key === '#text') continue;
+    pending.set(key, Array.isArray(obj[key]) ? [...obj[key]] : [obj[key]]);
+  }
 
-    if (Array.isArray(data)) {
-      return data.map(item => toXml(item, tagName)).join('');
+  const lastSlot = new Map();
+  layout.children.forEach((child, i) => {
+    if (child.type === 'element') lastSlot.set(child.name, i);
+  });
+
+  // New tag names, keyed by the source tag they follow (null: before every source tag).
+  const newNamesAfter = new Map();
+  let anchor = null;
+  for (const name of pending.keys()) {
+    if (lastSlot.has(name)) {
+      anchor = name;
+    } else {
+      if (!newNamesAfter.has(anchor)) newNamesAfter.set(anchor, []);
+      newNamesAfter.get(anchor).push(name);
     }
+  }
 
-    let attributes = '';
-    let children = '';
-    let textContent = '';
+  let body = '';
+  let whitespace = '';
+  let lastIndent = '';
+  let textWritten = !textChanged;
 
-    if (typeof data === 'object' && data !== null) {
-      for (const key in data) {
-        if (key === '@attributes') {
-          for (const attr in data[key]) {
-            attributes += ` ${attr}="${escapeXml(data[key][attr])}"`;
-          }
-        } else if (key === '#text') {
-          textContent = escapeXml(data[key]);
-        } else {
-          children += toXml(data[key], key);
-        }
+  const writeNewNames = (anchorName, indent) => {
+    (newNamesAfter.get(anchorName) || []).forEach(name => {
+      pending.get(name).forEach(item => { body += indent + writeChild(null, item, name); });
+      pending.delete(name);
+    });
+    newNamesAfter.delete(anchorName);
+  };
+
+  layout.children.forEach((child, i) => {
+    if (child.type === 'text' && child.blank) {
+      whitespace += child.raw;
+      return;
+    }
+
+    if (child.type === 'text' || child.type === 'cdata') {
+      // Edited text replaces the first text run; the remaining runs are dropped.
+      if (!textChanged) {
+        body += whitespace + child.raw;
+      } else if (!textWritten) {
+        body += whitespace + escapeXml(text);
+        textWritten = true;
       }
-    } else {
-      textContent = escapeXml(data);
+      whitespace = '';
+      return;
     }
 
-    if (!children && !textContent) {
-      return `<${tagName}${attributes}/>\n`;
+    if (child.type !== 'element') {
+      body += whitespace + child.raw;
+      whitespace = '';
+      return;
     }
 
-    return `<${tagName}${attributes}>${textContent}${children}</${tagName}>\n`;
-  };
+    const indent = whitespace;
+    whitespace = '';
+    writeNewNames(null, indent);
+
+    const items = pending.get(child.name) || [];
+    if (items.length > 0) {
+      body += indent + writeChild(child, items.shift(), child.name);
+      lastIndent = indent;
+    }
+    if (lastSlot.get(child.name) === i) {
+      items.forEach(item => { body += indent + writeChild(null, item, child.name); });
+      pending.delete(child.name);
+      writeNewNames(child.name, lastIndent || indent);
+    }
+  });
+
+  for (const [name, items] of pending) {
+    items.forEach(item => { body += lastIndent + writeChild(null, item, name); });
+  }
+  if (!textWritten && text) {
+    body = escapeXml(text) + body;
+  }
+  body += whitespace;
 
-  xml += toXml(obj[rootName], rootName);
-  return xml;
-}
\ No newline at end of file
+  const renamed = tagName !== layout.name;
+  const selfClosing = layout.endTag === null && !body;
+  const startTag = !renamed && sameAttributes(attributes, layout.attributes) && (layout.endTag !== null || selfClosing)
+    ? layout.startTag
+    : buildStartTag(tagName, attributes, selfClosing);
+
+  if (selfClosing) return startTag;
+  return startTag + body + (layout.endTag !== null && !renamed ? layout.endTag : `</${tagName}>`);
+}
+
+/**
+ * Converts a JavaScript object back to an XML string.
+ * When the layout returned by `parseXML` is given, the original prolog, epilog,
+ * sibling order, comments and whitespace are restored, so only edited nodes differ
+ * from the source file.
+ * @param {object} obj The JS object.
+ * @param {string} rootName The name of the root XML element.
+ * @param {object} [layout] The document layout recorded by `parseXML`.
+ * @param {Map<object, string>} [texts] The source text of each placeholder left in the
+ *   document, by its `LAZY_NODE` value; see `writeXmlDocument`.
+ * @returns {string} The XML string.
+ */
+export function jsonToXml(obj, rootName, layout, texts = null) {
+  lazyTexts = texts;
+  try {
+    if (layout) {
+      return layout.prolog + writeChild(layout.root, obj[rootName], rootName) + layout.epilog;
+    }
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + writeNode(obj[rootName], rootName);
+  } finally {
+    lazyTexts = null;
+  }
+}
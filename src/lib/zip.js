@@ -0,0 +1,145 @@
+/*
+ * Minimal ZIP support, enough for the Office Open XML packages of XLSX files. Written
+ * entries are stored without compression, which every reader accepts; read entries may
+ * also be deflated, which the browser's DecompressionStream undoes.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// The modification time of the entries, in the DOS format ZIP uses.
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Packs files into a ZIP archive.
+ * @param {Array<{name: string, data: string|Uint8Array}>} files The entries, in order;
+ *   text is written as UTF-8.
+ * @returns {Uint8Array} The archive.
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(new Date());
+  const entries = files.map(file => {
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    return { name: encoder.encode(file.name), data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((size, entry) => size + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  // Writes the fields shared by the local and central headers, from "version needed".
+  const writeCommon = (entry) => {
+    view.setUint16(offset, 20, true);
+    view.setUint16(offset + 2, 0x0800, true); // Names are UTF-8.
+    view.setUint16(offset + 4, 0, true); // Stored.
+    view.setUint16(offset + 6, time, true);
+    view.setUint16(offset + 8, day, true);
+    view.setUint32(offset + 10, entry.crc, true);
+    view.setUint32(offset + 14, entry.data.length, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint16(offset + 22, entry.name.length, true);
+    view.setUint16(offset + 24, 0, true);
+    offset += 26;
+  };
+
+  entries.forEach(entry => {
+    entry.offset = offset;
+    view.setUint32(offset, 0x04034B50, true);
+    offset += 4;
+    writeCommon(entry);
+    bytes.set(entry.name, offset);
+    offset += entry.name.length;
+    bytes.set(entry.data, offset);
+    offset += entry.data.length;
+  });
+
+  const centralOffset = offset;
+  entries.forEach(entry => {
+    view.setUint32(offset, 0x02014B50, true);
+    view.setUint16(offset + 4, 20, true);
+    offset += 6;
+    writeCommon(entry);
+    // Comment length, disk number, internal and external attributes.
+    offset += 10;
+    view.setUint32(offset, entry.offset, true);
+    offset += 4;
+    bytes.set(entry.name, offset);
+    offset += entry.name.length;
+  });
+
+  view.setUint32(offset, 0x06054B50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, centralOffset, true);
+  return bytes;
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Unpacks a ZIP archive.
+ * @param {Uint8Array} bytes The archive.
+ * @returns {Promise<Map<string, Uint8Array>>} The content of each file, by name.
+ * @throws {Error} If the bytes are not a ZIP archive or use a compression other than
+ *   deflate.
+ */
+export async function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // The end record is last, followed only by a comment of up to 64 KB.
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('The file is not a ZIP archive.');
+
+  const decoder = new TextDecoder();
+  const files = new Map();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014B50) throw new Error('The ZIP archive is damaged.');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) files.set(name, data);
+    else if (method === 8) files.set(name, await inflate(data));
+    else throw new Error(`${name} in the ZIP archive uses an unsupported compression.`);
+  }
+  return files;
+}